@@ -1,215 +1,318 @@
-const MPR121 = require('./lib/MPR121');
+const fs = require('fs');
+const path = require('path');
+const AutomationScheduler = require('./lib/Automations');
+const Calibration = require('./lib/Calibration');
+const Controller = require('./lib/Controller');
+const ControlApi = require('./lib/ControlApi');
 const GoveeApi = require('./lib/GoveeApi');
+const Indicators = require('./lib/Indicators');
+const MqttBridge = require('./lib/Mqtt');
+const SceneCatalog = require('./lib/GoveeApi/catalog');
+const PadMappings = require('./lib/PadMappings');
+const Schedule = require('./lib/Schedule');
+const SensorArray = require('./lib/SensorArray');
+const StateStore = require('./lib/StateStore');
+const Simulator = require('./lib/Simulator');
 const SCENES = require('./scenes');
 
 // Configuration
-const TOUCH_DEBOUNCE_MS = 1000; // Debounce delay in milliseconds
-const ALLOWED_START_HOUR = 8; // 8am
-const ALLOWED_END_HOUR = 20; // 8pm
-
-// Initialize MPR121 touch sensor
-const touchSensor = new MPR121();
-const govee = new GoveeApi();
-
-const SCENE_COLLECTIONS = {
-    NIGHT: ["Sunset", "Moon", "Moonlight", "Mountain Forest", "Fire", "Forest Fireflies", "Space", "Camping", "Starry Night"],
-    FUN: ["Groovy", "Shiny Rainbow", "Bubble", "Spider", "Music Note", "Love Heart", "UFO", "Lollipop", "Carousel", "Maze"],
-    HOLIDAY: ["Snowman", "Christmas Tree", "Santa Claus", "Sled", "Christmas Gift", "Christmas Wreath"],
-    NATURE: ["Sea Island", "Starfish", "Wave", "Rainbow", "Mushroom", "Flamingo Couple", "Waterfall"],
-    ARTSY: ["Sunflowers", "Bonsai", "The Scream", "Mondrian", "Graffiti", "Rhomb", "Dot Eater"]
-}
+const PAD_MAPPING_FILE = process.env.PAD_MAPPING_FILE || path.join(__dirname, 'pads.json');
+const SCHEDULE_FILE = process.env.SCHEDULE_FILE || path.join(__dirname, 'schedule.json');
+const AUTOMATIONS_FILE = process.env.AUTOMATIONS_FILE || path.join(__dirname, 'automations.json');
+const SENSOR_FILE = process.env.SENSOR_FILE || path.join(__dirname, 'sensor.json');
+const THRESHOLDS_FILE = process.env.THRESHOLDS_FILE || path.join(__dirname, 'thresholds.json');
+const SCENE_CACHE_FILE = process.env.SCENE_CACHE_FILE || path.join(__dirname, 'scene-cache.json');
+const API_FILE = process.env.API_FILE || path.join(__dirname, 'api.json');
+const MQTT_FILE = process.env.MQTT_FILE || path.join(__dirname, 'mqtt.json');
+const STATE_FILE = process.env.STATE_FILE || path.join(__dirname, 'state.json');
+const SIMULATOR_PORT = Number(process.env.SIMULATOR_PORT || Simulator.MockGoveeServer.DEFAULT_PORT);
 
-// Track current index for each collection
-const collectionIndices = {
-    4: 0, // NIGHT
-    5: 0, // FUN
-    6: 0, // HOLIDAY
-    7: 0, // NATURE
-    8: 0  // ARTSY
-};
-
-// Map pins to collections
-const PIN_TO_COLLECTION = {
-    4: 'NIGHT',
-    5: 'FUN',
-    6: 'HOLIDAY',
-    7: 'NATURE',
-    8: 'ARTSY'
-};
-
-// Debounce function with immediate execution
-function debounce(func, wait) {
-    let timeout;
-    let lastRun = 0;
-
-    return function executedFunction(...args) {
-        const now = Date.now();
-
-        // If enough time has passed since last execution, run immediately
-        if (now - lastRun >= wait) {
-            func.apply(this, args);
-            lastRun = now;
-            clearTimeout(timeout);
-            return;
-        }
+// `npm start -- --simulate [--script file]` runs against a simulated sensor and light instead of real ones
+const SIMULATE = process.argv.includes('--simulate');
+const SIMULATION_SCRIPT = process.argv.includes('--script') ? process.argv[process.argv.indexOf('--script') + 1] : null;
 
-        // Otherwise, debounce subsequent calls
-        clearTimeout(timeout);
-        timeout = setTimeout(() => {
-            if (Date.now() - lastRun >= wait) {
-                func.apply(this, args);
-                lastRun = Date.now();
-            }
-        }, wait);
-    };
-}
+// The device's scene list, from the last fetch until a fresh one arrives, or scenes.js before the first fetch
+const catalog = new SceneCatalog({ cacheFile: SIMULATE ? null : SCENE_CACHE_FILE, fallback: SCENES });
 
-// Function to check if current time is within allowed period
-function isAllowedTime() {
-    const now = new Date();
-    const currentHour = now.getHours();
+// Power, brightness, scene and collection positions from the last run, kept in memory only when simulating
+const store = new StateStore({ file: SIMULATE ? null : STATE_FILE });
+store.on('error', (error) => console.error(error.message));
+store.load();
 
-    // Allow if current hour is between ALLOWED_START_HOUR and ALLOWED_END_HOUR
-    return currentHour >= ALLOWED_START_HOUR && currentHour < ALLOWED_END_HOUR;
+// Load and validate pad mappings, sensor tuning, touch thresholds, the schedule, automations, the control API and MQTT before touching any hardware
+let sensorOptions;
+let boards;
+let mappings;
+let thresholds;
+let schedule;
+let automations;
+let apiConfig;
+let mqttConfig;
+try {
+    sensorOptions = loadSensorOptions(SENSOR_FILE);
+    // With several boards, pads are "board:pin"
+    boards = sensorOptions.boards ? Object.keys(sensorOptions.boards) : null;
+    mappings = PadMappings.loadMappings(PAD_MAPPING_FILE, catalog.table(), { boards });
+    thresholds = Calibration.loadProfile(THRESHOLDS_FILE, boards);
+    schedule = Schedule.load(SCHEDULE_FILE);
+    const unknownRules = Object.keys(schedule.sceneRules).filter((name) => !mappings.collections[name]);
+    if (unknownRules.length) throw new Error(`Invalid schedule:\n  - "sceneRules" has collections that aren't in ${PAD_MAPPING_FILE}: ${unknownRules.join(', ')}`);
+    automations = AutomationScheduler.load(AUTOMATIONS_FILE, {
+        scenes: catalog.table(),
+        collections: mappings.collections,
+        localTime: (date) => schedule.localTime(date),
+        execute: (mapping) => controller.performAction(mapping)
+    });
+    apiConfig = ControlApi.loadConfig(API_FILE);
+    mqttConfig = MqttBridge.loadConfig(MQTT_FILE);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
 }
 
-// Touch handler function
-async function handleTouch(pin) {
+// Initialize the MPR121 boards and the Govee API, or simulated stand-ins for both
+let touchSensor;
+let govee;
+let simulation;
+if (SIMULATE) {
+    simulation = startSimulation();
+    touchSensor = SensorArray.create(sensorOptions, simulation.connect);
+    // Polling starts just after ready, and a tap before the first read would go unseen
+    if (SIMULATION_SCRIPT) touchSensor.once('ready', () => setImmediate(() => playScript(simulation.driver)));
+    govee = new GoveeApi({
+        apiKey: 'simulated',
+        apiUrl: `http://127.0.0.1:${SIMULATOR_PORT}`,
+        deviceSku: simulation.server.device.sku,
+        deviceId: simulation.server.device.device
+    });
+} else {
+    touchSensor = SensorArray.create(sensorOptions);
     try {
-        // Check if it's the "Turn Off" action (always allowed) or if it's within allowed time
-        const isTurnOff = pin === 9;
-        const canControlDevice = isTurnOff || isAllowedTime();
-
-        switch (pin) {
-            case 0: // Turn on
-                if (canControlDevice) {
-                    await govee.controlDevice({
-                        type: 'devices.capabilities.on_off',
-                        instance: 'powerSwitch',
-                        value: 1
-                    });
-                    console.log('Light turned on');
-                } else {
-                    console.log('Light turn on request ignored - outside allowed time period');
-                }
-                break;
-
-            case 1: // Random scene
-                if (canControlDevice) {
-                    // Get all scene names
-                    const allSceneNames = Object.keys(SCENES);
-
-                    // Select a random scene
-                    const randomIndex = Math.floor(Math.random() * allSceneNames.length);
-                    const randomSceneName = allSceneNames[randomIndex];
-                    const randomSceneId = SCENES[randomSceneName];
-
-                    await govee.controlDevice({
-                        type: 'devices.capabilities.dynamic_scene',
-                        instance: 'lightScene',
-                        value: randomSceneId
-                    });
-                    console.log(`Random scene set to: ${randomSceneName}`);
-                } else {
-                    console.log('Random scene request ignored - outside allowed time period');
-                }
-                break;
-
-            case 9: // Turn off - always allowed
-                await govee.controlDevice({
-                    type: 'devices.capabilities.on_off',
-                    instance: 'powerSwitch',
-                    value: 0
-                });
-                console.log('Light turned off');
-                break;
-
-            case 2: // Brightness 100%
-                if (canControlDevice) {
-                    await govee.controlDevice({
-                        type: 'devices.capabilities.range',
-                        instance: 'brightness',
-                        value: 99
-                    });
-                    console.log('Brightness set to 100%');
-                } else {
-                    console.log('Brightness change request ignored - outside allowed time period');
-                }
-                break;
-
-            case 3: // Brightness 0%
-                if (canControlDevice) {
-                    await govee.controlDevice({
-                        type: 'devices.capabilities.range',
-                        instance: 'brightness',
-                        value: 1
-                    });
-                    console.log('Brightness set to 0%');
-                } else {
-                    console.log('Brightness change request ignored - outside allowed time period');
-                }
-                break;
-
-            case 4:
-            case 5:
-            case 6:
-            case 7:
-            case 8:
-                const collection = PIN_TO_COLLECTION[pin];
-                const scenes = SCENE_COLLECTIONS[collection];
-                const currentIndex = collectionIndices[pin];
-
-                // Get the scene name from the collection
-                const sceneName = scenes[currentIndex];
-                const sceneId = SCENES[sceneName];
-
-                if (sceneId) {
-                    if (canControlDevice) {
-                        await govee.controlDevice({
-                            type: 'devices.capabilities.dynamic_scene',
-                            instance: 'lightScene',
-                            value: sceneId
-                        });
-                        console.log(`Scene set to ${sceneName} (${collection} collection)`);
-
-                        // Update index for next touch, wrapping around to 0 if at end
-                        collectionIndices[pin] = (currentIndex + 1) % scenes.length;
-                    } else {
-                        console.log(`Scene change request ignored - outside allowed time period`);
-                    }
-                }
-                break;
-        }
+        govee = new GoveeApi();
     } catch (error) {
-        console.error('Error controlling light:', error.message);
+        console.error(`${error.message}\nRun \`npm run setup\` to write lib/GoveeApi/config.js.`);
+        process.exit(1);
+    }
+}
+
+// Electrodes with indicator LEDs become GPIO outputs
+Object.entries(Indicators.gpioModes(mappings.indicators)).forEach(([pad, mode]) => {
+    touchSensor.setGpioMode(pad, mode).catch((error) => console.error(`Could not set up indicator ${pad}:`, error.message));
+});
+
+// Per-pad thresholds from `npm run calibrate`, otherwise every pad keeps the driver's defaults.
+// Any changed while running go on top, and only changes from then on are saved.
+const savedThresholds = store.get('thresholds');
+const profileApplied = thresholds
+    ? Calibration.applyProfile(touchSensor, thresholds)
+        .then(() => console.log(`Touch thresholds loaded from ${THRESHOLDS_FILE}`))
+        .catch((error) => console.error('Could not apply touch thresholds:', error.message))
+    : Promise.resolve();
+profileApplied
+    .then(() => {
+        if (!savedThresholds) return;
+        return Calibration.applyProfile(touchSensor, savedThresholds)
+            .then(() => console.log(`Restored touch thresholds changed at runtime for pads ${Object.keys(savedThresholds).join(', ')}`))
+            .catch((error) => console.error('Could not restore saved touch thresholds:', error.message));
+    })
+    .then(() => store.attachSensor(touchSensor));
+
+// Optional MPR121 boards and tuning (charge current, filters, auto-config...), checked against the datasheet ranges
+function loadSensorOptions(file) {
+    if (!fs.existsSync(file)) return {};
+
+    const options = JSON.parse(fs.readFileSync(file, 'utf8'));
+    SensorArray.resolveBoards(options);
+    return options;
+}
+
+// Start the stand-in Govee server and take touches from the terminal or a script
+function startSimulation() {
+    const simulated = Simulator.createBoards();
+    const driver = new Simulator.TouchDriver(simulated.chips);
+    const server = new Simulator.MockGoveeServer({ scenes: SCENES });
+
+    // A simulated chip for each board
+    function connect(board, options) {
+        const wiring = simulated.connect(board, options);
+        simulated.chips.get(board).on('gpio', (pin, duty) => {
+            console.log(`[simulated LED] pin ${SensorArray.padId(board, pin)} ${duty ? 'on' : 'off'}`);
+        });
+        return wiring;
     }
+
+    server.on('command', (capability) => {
+        console.log(`[simulated light] ${capability.instance} = ${JSON.stringify(capability.value)}`);
+    });
+    server.listen(SIMULATOR_PORT)
+        .then((url) => console.log(`Simulated Govee API listening on ${url}`))
+        .catch((error) => {
+            console.error(`Could not start the simulated Govee API on port ${SIMULATOR_PORT}:`, error.message);
+            process.exit(1);
+        });
+
+    // A script waits for the simulated boards to be ready, see playScript()
+    if (!SIMULATION_SCRIPT) {
+        driver.attach(process.stdin);
+        console.log(`Simulating - type a ${boards ? 'board:pin' : 'pin number'} to tap it, or "hold 2 1500", "touch 4", "release 4", "approach", "leave"`);
+    }
+
+    return { connect, driver, server };
 }
 
-// Create debounced version of touch handler
-const debouncedHandleTouch = debounce(handleTouch, TOUCH_DEBOUNCE_MS);
+// Play the simulation script, once the boards are set up so its first taps aren't lost
+function playScript(driver) {
+    Promise.resolve()
+        .then(() => driver.play(SIMULATION_SCRIPT))
+        .then(() => console.log(`Finished ${SIMULATION_SCRIPT}`))
+        .catch((error) => console.error(`Could not play ${SIMULATION_SCRIPT}:`, error.message));
+}
 
-// Handle touch events with debouncing
-touchSensor.on('touch', debouncedHandleTouch);
+// Everything between a touch and a command to the light
+const controller = new Controller({ govee, mappings, schedule, catalog }).attach(touchSensor);
+
+// Carry on where the last run left off, and save every change for the next one
+const savedState = store.get('controller');
+if (savedState) {
+    controller.restore(savedState);
+    console.log(`Restored state saved at ${store.savedAt}: light ${savedState.power || 'unknown'}, brightness ${savedState.brightness}%, scene ${savedState.scene || 'none'}`);
+}
+store.attach(controller);
+
+controller.on('action', (mapping, message) => console.log(message));
+controller.on('blocked', (mapping, reason) => {
+    console.log(`${PadMappings.describeAction(mapping)} request ignored - ${reason}`);
+});
+controller.on('debounced', (pin, gesture, windowMs) => {
+    console.log(`Pin ${pin} ${gesture} ignored - within ${windowMs}ms debounce window`);
+});
+controller.on('warning', (mode) => {
+    console.log(`${mode === 'sleep' ? 'Sleep timer' : 'Idle timer'} almost up, dimming as a warning`);
+});
+controller.on('expired', (mode) => {
+    console.log(mode === 'sleep' ? 'Sleep timer finished' : 'No touches for a while, turning off');
+});
+controller.on('error', (error) => {
+    console.error('Error controlling light:', error.message);
+});
+controller.on('season', (collection, season) => {
+    console.log(season ? `${collection} collection: ${season} scenes from today` : `${collection} collection: no season on today`);
+});
+
+// LEDs on spare electrodes, if pads.json has any
+const indicators = new Indicators({ sensor: touchSensor, pins: mappings.indicators }).attach(controller);
+indicators.on('error', (error) => console.error('Indicator error:', error.message));
 
 // Handle errors
-touchSensor.on('error', (error) => {
-    console.error('Touch sensor error:', error);
+touchSensor.on('error', (error, board) => {
+    console.error(`Touch sensor${board === null ? '' : ` ${board}`} error:`, error);
+});
+touchSensor.on('boardReady', (board) => {
+    if (board !== null) console.log(`Touch board ${board} ready`);
 });
 
+// Timed automations go through the same schedule checks as touches
+automations.on('run', (automation) => console.log(`Automation "${automation.name}" started`));
+automations.on('done', (automation) => console.log(`Automation "${automation.name}" finished`));
+automations.on('aborted', (automation) => console.log(`Automation "${automation.name}" stopped - step not allowed right now`));
+automations.on('error', (error, automation) => {
+    console.error(`Automation "${automation.name}" failed:`, error.message);
+});
+automations.start();
+
+// Control from a phone or script on the LAN, if api.json is there
+const api = apiConfig ? new ControlApi(apiConfig, { controller, sensor: touchSensor }) : null;
+if (api) {
+    api.on('command', (mapping, result) => {
+        if (!result.ran) console.log(`Control API: ${PadMappings.describeAction(mapping)} refused - ${result.message}`);
+    });
+    api.on('error', (error) => console.error('Control API command failed:', error.message));
+    api.listen()
+        .then((url) => console.log(`Control API listening on ${url}${apiConfig.token ? '' : ' (no token, anyone on the network can use it)'}`))
+        .catch((error) => console.error('Control API could not start:', error.message));
+}
+
+// Touches, state and commands over MQTT, with Home Assistant discovery, if mqtt.json is there
+const mqtt = mqttConfig ? new MqttBridge(mqttConfig, { controller, sensor: touchSensor }) : null;
+if (mqtt) {
+    mqtt.on('connect', () => console.log(`MQTT connected to ${new URL(mqttConfig.url).host}`));
+    mqtt.on('disconnect', () => console.error('MQTT connection lost, reconnecting'));
+    mqtt.on('command', (mapping, result) => {
+        if (!result.ran) console.log(`MQTT: ${PadMappings.describeAction(mapping)} refused - ${result.message}`);
+    });
+    mqtt.on('error', (error) => console.error('MQTT error:', error.message));
+    mqtt.connect();
+}
+
+// Check the configured device exists and learn what it supports, so bad commands fail locally
+govee.discover()
+    .then((device) => {
+        console.log(`Controlling ${device.deviceName || device.sku} (${device.sku}), ${device.capabilities.length} capabilities`);
+    })
+    .catch((error) => {
+        console.error('Device discovery failed, commands will not be checked locally:', error.message);
+        if (!govee.config.deviceSku || !govee.config.deviceId) {
+            console.error('No device configured yet - run `npm run setup` to pick one');
+        }
+    });
+
+// Fetch the device's real scene list, then report any configured scene it doesn't have
+catalog.refresh(govee)
+    .then((count) => console.log(`Loaded ${count} scenes from the device`))
+    .catch((error) => {
+        const using = catalog.source === 'cache' ? `the cached list from ${catalog.fetchedAt}` : 'scenes.js';
+        console.error(`Could not fetch the device's scene list, using ${using}:`, error.message);
+    })
+    .then(() => {
+        Object.keys(mappings.collections).forEach((name) => {
+            const missing = catalog.missing(controller.collectionScenes(name));
+            if (missing.length) {
+                console.warn(`${name} collection: ${missing.join(', ')} not available on this device, will be skipped`);
+            }
+        });
+        Object.keys(mappings.tags).forEach((tag) => {
+            if (!controller.collections.tagged(tag).length) console.warn(`Tag "${tag}" doesn't match any of the device's scenes`);
+        });
+        Object.keys(mappings.pins).forEach((pin) => {
+            Object.values(mappings.pins[pin]).forEach((mapping) => {
+                if (mapping.action === 'scene' && catalog.resolve(mapping.scene) === undefined) {
+                    console.warn(`Pin ${pin}: scene "${mapping.scene}" is not available on this device`);
+                }
+            });
+        });
+        // Home Assistant's effect list should be the device's scenes
+        if (mqtt) mqtt.publishDiscovery();
+    })
+    // The light may have been changed from the Govee app, or lost power, while we were down
+    .then(() => controller.reconcile())
+    .then((changes) => {
+        if (changes.length) console.log(`Light state corrected from the device: ${changes.join(', ')}`);
+    })
+    .catch((error) => console.error('Could not check the light\'s state, keeping the saved one:', error.message));
+
 process.on('SIGINT', () => {
     touchSensor.stopPolling();
-    process.exit(0);
+    controller.stop();
+    automations.stop();
+    if (simulation) simulation.server.close();
+    if (api) api.close();
+    // Let the MQTT bridge say it's going offline, and the last changes reach state.json, before exiting
+    Promise.all([indicators.stop(), mqtt && mqtt.close(), store.flush()]).then(() => process.exit(0));
 });
 
-console.log('Touch control system initialized');
+console.log(`Touch control system initialized (schedule timezone ${schedule.timezone})`);
 console.log('Pin mappings:');
-console.log('Pin 0: Turn on');
-console.log('Pin 1: Random scene');
-console.log('Pin 2: Brightness 100%');
-console.log('Pin 3: Brightness 0%');
-console.log('Pin 4: NIGHT scenes');
-console.log('Pin 5: FUN scenes');
-console.log('Pin 6: HOLIDAY scenes');
-console.log('Pin 7: NATURE scenes');
-console.log('Pin 8: ARTSY scenes');
-console.log('Pin 9: Turn off');
+Object.keys(mappings.pins).forEach((pin) => {
+    console.log(`Pin ${pin}: ${PadMappings.describePin(mappings.pins[pin])}`);
+});
+Object.keys(mappings.indicators).forEach((role) => {
+    console.log(`Pin ${mappings.indicators[role]}: ${role} indicator`);
+});
+['approach', 'leave'].forEach((event) => {
+    const mapping = mappings.proximity[event];
+    if (mapping) console.log(`On ${event}: ${PadMappings.describeAction(mapping)}`);
+});
+console.log('Automations:');
+automations.automations.forEach((automation) => {
+    console.log(`${automation.expression}: ${automation.name}${automation.enabled ? '' : ' (disabled)'}`);
+});
@@ -0,0 +1,315 @@
+'use strict';
+
+/**
+ * @fileoverview Scheduled automations
+ * Runs sequences of light actions at cron-like times, e.g. a gradual sunrise
+ * wake-up or an auto-off at bedtime. The scheduler only decides *when* to run;
+ * executing each action (and checking it against the schedule) is left to the
+ * caller, so automations go through the same path as pad touches.
+ *
+ * @module Automations
+ * @requires fs
+ * @requires events
+ * @requires ../PadMappings
+ */
+
+const fs = require('fs'),
+    EventEmitter = require('events'),
+    PadMappings = require('../PadMappings');
+
+/** @const {Array<{name: string, min: number, max: number}>} Cron fields in order */
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+/** @const {string[]} Weekday keys in cron order, 0 and 7 are both Sunday */
+const CRON_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Parses one field of a cron expression ("*", "5", "1-5", "*\/15", "0,30").
+ * @private
+ * @param {string} field - Field text
+ * @param {{name: string, min: number, max: number}} spec - Allowed range
+ * @returns {{any: boolean, values: Set<number>}} Parsed field
+ * @throws {Error} If the field is invalid
+ */
+function parseCronField(field, spec) {
+    const values = new Set();
+
+    field.split(',').forEach((part) => {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) throw new Error(`invalid ${spec.name} "${part}"`);
+
+        const start = match[1] === '*' ? spec.min : Number(match[2]);
+        const end = match[1] === '*' ? spec.max : (match[3] !== undefined ? Number(match[3]) : start);
+        const step = match[4] !== undefined ? Number(match[4]) : 1;
+
+        if (start < spec.min || end > spec.max || start > end || step < 1) {
+            throw new Error(`${spec.name} "${part}" is out of range ${spec.min}-${spec.max}`);
+        }
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    });
+
+    return { any: field === '*', values };
+}
+
+/**
+ * Parses a five field cron expression: minute hour day-of-month month day-of-week.
+ * @param {string} expression - Cron expression, e.g. "30 19 * * *"
+ * @returns {Object[]} Parsed fields
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+    const fields = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error(`cron "${expression}" must have 5 fields (minute hour day month weekday)`);
+    }
+
+    return fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+}
+
+/**
+ * Checks a parsed cron expression against a local time. Like cron, when both
+ * day of month and day of week are restricted either one matching is enough.
+ * @param {Object[]} cron - Parsed cron fields
+ * @param {{date: string, weekday: string, minutes: number}} local - Local time parts
+ * @returns {boolean} True if the expression matches
+ */
+function cronMatches(cron, local) {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = cron;
+    const [, monthNumber, day] = local.date.split('-').map(Number);
+    const weekdayMatches = [...dayOfWeek.values].some((value) => CRON_WEEKDAYS[value] === local.weekday);
+
+    let dayMatches;
+    if (dayOfMonth.any || dayOfWeek.any) {
+        dayMatches = dayOfMonth.values.has(day) && weekdayMatches;
+    } else {
+        dayMatches = dayOfMonth.values.has(day) || weekdayMatches;
+    }
+
+    return minute.values.has(local.minutes % 60) &&
+        hour.values.has(Math.floor(local.minutes / 60)) &&
+        month.values.has(monthNumber) &&
+        dayMatches;
+}
+
+/**
+ * Cron-like scheduler for light automations.
+ * @extends EventEmitter
+ *
+ * @fires AutomationScheduler#run - Emitted with the automation when it starts
+ * @fires AutomationScheduler#done - Emitted with the automation when every step ran
+ * @fires AutomationScheduler#aborted - Emitted with (automation, step) when a step was not allowed
+ * @fires AutomationScheduler#error - Emitted with (error, automation) when a step failed
+ *
+ * @example
+ * const automations = AutomationScheduler.load('./automations.json', {
+ *     scenes: SCENES,
+ *     collections: mappings.collections,
+ *     localTime: (date) => schedule.localTime(date),
+ *     execute: (action) => performAction(action)
+ * });
+ * automations.start();
+ */
+class AutomationScheduler extends EventEmitter {
+
+    /**
+     * Creates a new automation scheduler
+     * @param {Object} config - Automations config, see automations.json
+     * @param {Object[]} config.automations - List of { name, cron, steps, enabled }
+     * @param {Object} options
+     * @param {Object<string, number>} options.scenes - Scene name to ID table, for validation
+     * @param {Object<string, string[]>} [options.collections] - Collections, for validation
+     * @param {Function} options.localTime - Converts a Date into { date, weekday, minutes } in the configured timezone
+     * @param {Function} options.execute - Runs one action, resolves false if the schedule blocked it
+     * @param {Function} [options.now] - Clock returning a Date, injectable for tests
+     * @throws {Error} If the config is invalid
+     */
+    constructor(config, options) {
+        super();
+
+        const errors = [];
+        const context = { scenes: options.scenes, collections: options.collections || {} };
+
+        this.localTime = options.localTime;
+        this.execute = options.execute;
+        this.now = options.now || (() => new Date());
+        this.timer = false;
+        this.running = new Set();
+        this.waits = new Set();
+        this.lastTick = null;
+
+        this.automations = ((config && config.automations) || []).map((automation, i) => {
+            const where = `automation ${automation.name ? `"${automation.name}"` : i}`;
+            let cron = null;
+
+            try {
+                cron = parseCron(automation.cron);
+            } catch (error) {
+                errors.push(`${where}: ${error.message}`);
+            }
+
+            if (!Array.isArray(automation.steps) || !automation.steps.length) {
+                errors.push(`${where}: "steps" must be a non-empty list`);
+            } else {
+                automation.steps.forEach((step, j) => {
+                    if (step && step.wait !== undefined) {
+                        if (typeof step.wait !== 'number' || step.wait <= 0) {
+                            errors.push(`${where} step ${j}: "wait" must be a positive number of seconds`);
+                        }
+                        return;
+                    }
+
+                    const problem = PadMappings.validateAction(step, context);
+                    if (problem) errors.push(`${where} step ${j}: ${problem}`);
+                });
+            }
+
+            return {
+                name: automation.name || `automation ${i}`,
+                cron,
+                steps: automation.steps || [],
+                enabled: automation.enabled !== false,
+                expression: automation.cron
+            };
+        });
+
+        if (errors.length) {
+            throw new Error(`Invalid automations:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * Reads and validates an automations file
+     * @param {string} file - Path to the JSON automations file
+     * @param {Object} options - Passed on to the constructor
+     * @returns {AutomationScheduler} The loaded scheduler
+     * @throws {Error} If the file cannot be read, parsed or validated
+     */
+    static load(file, options) {
+        let config;
+
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to read automations ${file}: ${error.message}`);
+        }
+
+        return new AutomationScheduler(config, options);
+    }
+
+    /**
+     * Starts checking automations at the top of every minute
+     */
+    start() {
+        if (this.timer) return;
+
+        const scheduleNext = () => {
+            const now = this.now();
+            const delay = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+
+            this.timer = setTimeout(() => {
+                this.tick();
+                scheduleNext();
+            }, delay);
+        };
+
+        scheduleNext();
+    }
+
+    /**
+     * Stops the scheduler and cancels any automation that is part way through
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = false;
+
+        this.waits.forEach((wait) => wait.cancel());
+        this.waits.clear();
+    }
+
+    /**
+     * Runs every enabled automation due at the current minute. Each minute
+     * only fires once, even if the timer drifts and ticks twice.
+     */
+    tick() {
+        const local = this.localTime(this.now());
+        const key = `${local.date} ${local.minutes}`;
+
+        if (key === this.lastTick) return;
+        this.lastTick = key;
+
+        this.automations
+            .filter((automation) => automation.enabled && cronMatches(automation.cron, local))
+            .forEach((automation) => this.run(automation));
+    }
+
+    /**
+     * Runs an automation's steps in order, stopping at the first one the
+     * schedule blocks. An automation that is still running is not restarted.
+     * @param {Object} automation - Automation to run
+     * @returns {Promise<boolean>} Resolves true if every step ran
+     */
+    async run(automation) {
+        if (this.running.has(automation)) return false;
+
+        this.running.add(automation);
+        this.emit('run', automation);
+
+        try {
+            for (const step of automation.steps) {
+                if (step.wait !== undefined) {
+                    if (!await this.wait(step.wait * 1000)) return false;
+                    continue;
+                }
+
+                if (!await this.execute(step)) {
+                    this.emit('aborted', automation, step);
+                    return false;
+                }
+            }
+
+            this.emit('done', automation);
+            return true;
+        } catch (error) {
+            this.emit('error', error, automation);
+            return false;
+        } finally {
+            this.running.delete(automation);
+        }
+    }
+
+    /**
+     * Waits between steps, cancellable by stop()
+     * @private
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise<boolean>} Resolves true when the wait finished, false if cancelled
+     */
+    wait(ms) {
+        return new Promise((resolve) => {
+            const wait = {
+                timer: setTimeout(() => {
+                    this.waits.delete(wait);
+                    resolve(true);
+                }, ms),
+                cancel: () => {
+                    clearTimeout(wait.timer);
+                    resolve(false);
+                }
+            };
+
+            this.waits.add(wait);
+        });
+    }
+}
+
+AutomationScheduler.parseCron = parseCron;
+AutomationScheduler.cronMatches = cronMatches;
+
+exports = module.exports = AutomationScheduler;
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * @fileoverview Interactive touch calibration
+ * Walks through each mapped pad: samples every pad untouched, then asks for
+ * each one to be held down in turn, proposes thresholds from the readings and
+ * saves them to thresholds.json for the controller to load at startup.
+ *
+ * Run with `npm run calibrate`, or `npm run calibrate -- --simulate` to try it
+ * against the simulated sensor.
+ *
+ * @module Calibration/cli
+ * @requires fs
+ * @requires path
+ * @requires readline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const SensorArray = require('../SensorArray');
+const Simulator = require('../Simulator');
+const StateStore = require('../StateStore');
+const Calibration = require('./index');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PAD_MAPPING_FILE = process.env.PAD_MAPPING_FILE || path.join(ROOT, 'pads.json');
+const SENSOR_FILE = process.env.SENSOR_FILE || path.join(ROOT, 'sensor.json');
+const THRESHOLDS_FILE = process.env.THRESHOLDS_FILE || path.join(ROOT, 'thresholds.json');
+const STATE_FILE = process.env.STATE_FILE || path.join(ROOT, 'state.json');
+
+/**
+ * Asks a question on the terminal
+ * @param {readline.Interface} rl - Terminal interface
+ * @param {string} question - Prompt to show
+ * @returns {Promise<string>} The trimmed answer
+ */
+function ask(rl, question) {
+    return new Promise((resolve) => rl.question(question, (answer) => resolve(answer.trim())));
+}
+
+/**
+ * Runs the calibration
+ * @async
+ */
+async function calibrate() {
+    const simulated = process.argv.includes('--simulate') ? Simulator.createBoards() : null;
+    // Calibrate with the same boards and tuning the controller will run with
+    const options = fs.existsSync(SENSOR_FILE) ? JSON.parse(fs.readFileSync(SENSOR_FILE, 'utf8')) : {};
+
+    const sensor = SensorArray.create(options, simulated ? simulated.connect : undefined);
+    const boards = sensor.boardNames();
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+    try {
+        await new Promise((resolve, reject) => {
+            sensor.once('ready', resolve);
+            sensor.once('error', reject);
+        });
+
+        // Pad IDs, board by board
+        const pins = Object.keys(require(PAD_MAPPING_FILE).pins)
+            .map((key) => SensorArray.parsePadId(key, boards))
+            .filter(Boolean)
+            .sort((a, b) => String(a.board).localeCompare(String(b.board)) || a.pin - b.pin)
+            .map((pad) => SensorArray.padId(pad.board, pad.pin));
+
+        await ask(rl, `Calibrating pins ${pins.join(', ')}. Keep your hands off the canvas and press Enter.`);
+        const idle = await Calibration.sample(sensor, pins);
+
+        const proposals = {};
+        for (const pin of pins) {
+            const answer = await ask(rl, `Touch and hold pad ${pin}, then press Enter (or type s to skip it). `);
+            if (answer.toLowerCase() === 's') continue;
+
+            const pad = SensorArray.parsePadId(pin, boards);
+            const chip = simulated ? simulated.chips.get(pad.board) : null;
+            if (chip) chip.touch(pad.pin);
+            const touched = await Calibration.sample(sensor, [pin]);
+            if (chip) chip.release(pad.pin);
+
+            const proposal = Calibration.proposeThresholds(idle[pin], touched[pin]);
+            if (proposal.error) {
+                console.log(`Pin ${pin}: ${proposal.error}, check the wiring - keeping the current thresholds`);
+                continue;
+            }
+
+            proposals[pin] = proposal;
+            console.log(`Pin ${pin}: noise ${proposal.noise}, touch ${proposal.signal} -> touch ${proposal.touch}, release ${proposal.release}`);
+        }
+
+        if (!Object.keys(proposals).length) {
+            console.log('Nothing to save.');
+            return;
+        }
+
+        const save = await ask(rl, `Save to ${THRESHOLDS_FILE}? [Y/n] `);
+        if (save.toLowerCase() === 'n') return;
+
+        Calibration.saveProfile(THRESHOLDS_FILE, proposals);
+
+        // Thresholds the controller saved from runtime changes would otherwise go on top of the new ones
+        const store = new StateStore({ file: STATE_FILE, saveDelay: 0 });
+        store.on('error', (error) => console.error(error.message));
+        if (store.load().get('thresholds')) {
+            store.set('thresholds', undefined);
+            await store.flush();
+        }
+        console.log(`Saved. The controller will use these thresholds next time it starts.`);
+    } finally {
+        rl.close();
+        sensor.stopPolling();
+    }
+}
+
+if (require.main === module) {
+    calibrate()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('Calibration failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = calibrate;
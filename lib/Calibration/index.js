@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * @fileoverview Touch threshold calibration
+ * Samples how far each electrode's filtered data drops below its baseline
+ * while idle and while touched, proposes touch and release thresholds that
+ * sit between the two, and saves them to a profile the controller loads at
+ * startup.
+ *
+ * @module Calibration
+ * @requires fs
+ * @requires path
+ * @requires ../SensorArray
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SensorArray = require('../SensorArray');
+
+/** @const {number} Samples taken per pin in each phase */
+const DEFAULT_SAMPLES = 20;
+
+/** @const {number} Time between samples */
+const DEFAULT_INTERVAL_MS = 50;
+
+/** @const {number} Smallest gap between idle noise and a touch worth calibrating against */
+const MIN_SEPARATION = 4;
+
+/**
+ * Takes repeated readings of baseline minus filtered data for some pins
+ *
+ * @param {SensorArray|MPR121} sensor - A ready sensor
+ * @param {Array<number|string>} pins - Pads to sample
+ * @param {Object} [options]
+ * @param {number} [options.samples=20] - Readings per pin
+ * @param {number} [options.intervalMs=50] - Time between readings
+ * @returns {Promise<Object<number, number[]>>} Resolves with the readings per pin
+ */
+async function sample(sensor, pins, options) {
+    options = options || {};
+
+    const samples = options.samples || DEFAULT_SAMPLES;
+    const intervalMs = options.intervalMs !== undefined ? options.intervalMs : DEFAULT_INTERVAL_MS;
+    const deltas = {};
+    pins.forEach((pin) => {
+        deltas[pin] = [];
+    });
+
+    for (let i = 0; i < samples; i++) {
+        for (const pin of pins) {
+            const [baseline, filtered] = await Promise.all([sensor.baselineData(pin), sensor.filteredData(pin)]);
+            deltas[pin].push(baseline - filtered);
+        }
+        if (intervalMs) await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+
+    return deltas;
+}
+
+/**
+ * Proposes thresholds for one pin from its idle and touched readings. The
+ * touch threshold sits halfway between the noisiest idle reading and the
+ * weakest touch, and the release threshold halfway between the noise and the
+ * touch threshold.
+ *
+ * @param {number[]} idle - Readings with nobody touching the pad
+ * @param {number[]} touched - Readings with the pad held down
+ * @returns {{touch: number, release: number, noise: number, signal: number}|{error: string, noise: number, signal: number}}
+ *     Proposed thresholds, or the reason there aren't any
+ */
+function proposeThresholds(idle, touched) {
+    const noise = Math.max(0, ...idle);
+    const signal = Math.min(...touched);
+
+    if (signal - noise < MIN_SEPARATION) {
+        return { error: `a touch (${signal}) is barely stronger than idle noise (${noise})`, noise, signal };
+    }
+
+    const touch = Math.min(255, Math.round(noise + (signal - noise) / 2));
+    const release = Math.max(0, Math.min(touch - 1, Math.round(noise + (touch - noise) / 2)));
+
+    return { touch, release, noise, signal };
+}
+
+/**
+ * Validates a threshold profile
+ *
+ * @param {Object} raw - Parsed profile, { pins: { "0": { touch, release }, ... } }
+ * @param {string[]} [boards] - Board names when there are several boards, so pins are "board:pin" pad IDs
+ * @returns {Object<string, {touch: number, release: number}>} Thresholds per pad
+ * @throws {Error} Listing every problem found
+ */
+function validateProfile(raw, boards) {
+    const errors = [];
+    const thresholds = {};
+
+    if (!raw || typeof raw.pins !== 'object' || raw.pins === null) {
+        throw new Error('Invalid threshold profile:\n  - missing "pins" object');
+    }
+
+    Object.keys(raw.pins).forEach((key) => {
+        const pad = SensorArray.parsePadId(key, boards || null);
+        const entry = raw.pins[key] || {};
+
+        if (!pad) {
+            errors.push(`pin "${key}" must be ${boards ? `board:pin with a board of ${boards.join(', ')} and a pin 0-11` : '0-11'}`);
+            return;
+        }
+
+        const pin = SensorArray.padId(pad.board, pad.pin);
+        if (!Number.isInteger(entry.touch) || entry.touch < 0 || entry.touch > 255) {
+            errors.push(`pin ${pin}: "touch" must be an integer 0-255, got ${JSON.stringify(entry.touch)}`);
+            return;
+        }
+        if (!Number.isInteger(entry.release) || entry.release < 0 || entry.release >= entry.touch) {
+            errors.push(`pin ${pin}: "release" must be an integer from 0 up to below "touch", got ${JSON.stringify(entry.release)}`);
+            return;
+        }
+
+        thresholds[pin] = { touch: entry.touch, release: entry.release };
+    });
+
+    if (errors.length) {
+        throw new Error(`Invalid threshold profile:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return thresholds;
+}
+
+/**
+ * Reads and validates a threshold profile
+ *
+ * @param {string} file - Path to the profile
+ * @param {string[]} [boards] - See validateProfile
+ * @returns {Object<string, {touch: number, release: number}>|null} Thresholds per pad, or null if there's no profile yet
+ * @throws {Error} If the file can't be parsed or is invalid
+ */
+function loadProfile(file, boards) {
+    if (!fs.existsSync(file)) return null;
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read threshold profile ${file}: ${error.message}`);
+    }
+
+    return validateProfile(raw, boards);
+}
+
+/**
+ * Writes a threshold profile
+ *
+ * @param {string} file - Path to the profile
+ * @param {Object<number, Object>} pins - Proposed thresholds per pin, as returned by proposeThresholds
+ */
+function saveProfile(file, pins) {
+    const profile = { calibratedAt: new Date().toISOString(), pins: {} };
+
+    Object.keys(pins).forEach((pin) => {
+        const { touch, release, noise, signal } = pins[pin];
+        profile.pins[pin] = { touch, release, noise, signal };
+    });
+
+    // Via a temporary file, so a crash half way through can't lose the last good profile
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+    fs.writeFileSync(tmp, `${JSON.stringify(profile, null, 4)}\n`);
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Applies a profile's thresholds to a sensor, ready or not
+ *
+ * @param {SensorArray} sensor - Boards to tune
+ * @param {Object<string, {touch: number, release: number}>} thresholds - Thresholds per pad
+ * @returns {Promise} Resolves once every pad is set
+ */
+function applyProfile(sensor, thresholds) {
+    return Promise.all(Object.keys(thresholds).map((pad) => {
+        return sensor.setPinThresholds(pad, thresholds[pad].touch, thresholds[pad].release);
+    }));
+}
+
+module.exports = {
+    sample,
+    proposeThresholds,
+    validateProfile,
+    loadProfile,
+    saveProfile,
+    applyProfile,
+    MIN_SEPARATION
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+/**
+ * @fileoverview Scene collections
+ * A collection is either a fixed list of scene names or a query that builds
+ * the list: scenes with some tags, minus scenes with others. A collection can
+ * also have seasons, each with its own dates and query, so one pad can serve
+ * Halloween scenes in October and Christmas scenes in December. Tags are
+ * named lists of scenes, or a pattern matched against the names of every
+ * scene the device has, so new scenes from Govee are picked up without
+ * editing anything.
+ *
+ * @module Collections
+ */
+
+/**
+ * Parses "MM-DD" into a number that sorts by date, e.g. 1031
+ * @private
+ * @param {string} value - Day of the year
+ * @returns {number} Month * 100 + day, or NaN if invalid
+ */
+function parseDay(value) {
+    const match = /^(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return NaN;
+
+    const month = Number(match[1]);
+    const day = Number(match[2]);
+    const days = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+    return days && day >= 1 && day <= days ? month * 100 + day : NaN;
+}
+
+/**
+ * Checks if a date falls inside a season, both ends included. A season that
+ * ends before it starts runs over new year.
+ * @private
+ * @param {Object} season - Normalized season
+ * @param {string} date - Local date, "YYYY-MM-DD"
+ * @returns {boolean} True if the date is inside it
+ */
+function inSeason(season, date) {
+    if (season.from === null) return true;
+
+    const day = parseDay(date.slice(5));
+    return season.from <= season.to
+        ? day >= season.from && day <= season.to
+        : day >= season.from || day <= season.to;
+}
+
+/**
+ * Validates the tags section
+ * @private
+ * @param {Object} raw - Tag name to scene names, or to { "match": "pattern" }
+ * @param {Object<string, number>} scenes - Scene name to ID table
+ * @param {string[]} errors - Collected problems
+ * @returns {Object<string, {scenes: string[]}|{match: RegExp}>} Normalized tags
+ */
+function validateTags(raw, scenes, errors) {
+    const tags = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push('"tags" must be an object of tag name to scene names');
+        return tags;
+    }
+
+    Object.keys(raw).forEach((tag) => {
+        const value = raw[tag];
+        if (Array.isArray(value) && value.length) {
+            value.filter((name) => !(name in scenes))
+                .forEach((name) => errors.push(`tag "${tag}" refers to unknown scene "${name}"`));
+            tags[tag] = { scenes: value };
+        } else if (value && typeof value.match === 'string') {
+            try {
+                tags[tag] = { match: new RegExp(value.match, 'i') };
+            } catch (error) {
+                errors.push(`tag "${tag}": "match" is not a valid pattern: ${error.message}`);
+            }
+        } else {
+            errors.push(`tag "${tag}" must be a non-empty array of scene names or { "match": "pattern" }`);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Validates the part of a collection or season that says which scenes are in it
+ * @private
+ * @param {Object} raw - With "scenes", "tags" and/or "except"
+ * @param {string} where - Where it came from, for error messages
+ * @param {Object} tags - Normalized tags
+ * @param {Object<string, number>} scenes - Scene name to ID table
+ * @param {string[]} errors - Collected problems
+ * @returns {{scenes: string[], tags: string[], except: string[]}} Normalized query
+ */
+function validateQuery(raw, where, tags, scenes, errors) {
+    const query = { scenes: [], tags: [], except: [] };
+
+    if (raw.scenes !== undefined) {
+        if (!Array.isArray(raw.scenes)) {
+            errors.push(`${where}: "scenes" must be an array of scene names`);
+        } else {
+            raw.scenes.filter((name) => !(name in scenes))
+                .forEach((name) => errors.push(`${where} refers to unknown scene "${name}"`));
+            query.scenes = raw.scenes;
+        }
+    }
+
+    ['tags', 'except'].forEach((key) => {
+        if (raw[key] === undefined) return;
+        if (!Array.isArray(raw[key])) {
+            errors.push(`${where}: "${key}" must be an array of tag names`);
+            return;
+        }
+        raw[key].filter((tag) => !tags[tag]).forEach((tag) => errors.push(`${where} refers to unknown tag "${tag}"`));
+        query[key] = raw[key];
+    });
+
+    if (!query.scenes.length && !query.tags.length) errors.push(`${where} needs "scenes", "tags" or both`);
+    return query;
+}
+
+/**
+ * Validates the collections section, and the tags it uses
+ * @param {Object} raw - Collection name to scene names, a query or seasons
+ * @param {Object} [rawTags] - The tags section
+ * @param {Object<string, number>} scenes - Scene name to ID table
+ * @param {string[]} errors - Collected problems
+ * @returns {{collections: Object<string, string[]|Object>, tags: Object}} Normalized collections and tags.
+ *     Fixed collections stay arrays, the rest become { query } or { seasons }
+ */
+function validate(raw, rawTags, scenes, errors) {
+    const tags = validateTags(rawTags || {}, scenes, errors);
+    const collections = {};
+
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push('"collections" must be an object of collection name to scene names');
+        return { collections, tags };
+    }
+
+    Object.keys(raw).forEach((name) => {
+        const definition = raw[name];
+        const where = `collection "${name}"`;
+
+        if (Array.isArray(definition)) {
+            if (!definition.length) {
+                errors.push(`${where} must be a non-empty array of scene names`);
+                return;
+            }
+            definition.filter((sceneName) => !(sceneName in scenes))
+                .forEach((sceneName) => errors.push(`${where} refers to unknown scene "${sceneName}"`));
+            collections[name] = definition;
+            return;
+        }
+
+        if (!definition || typeof definition !== 'object') {
+            errors.push(`${where} must be a non-empty array of scene names, a query with "tags" or a list of "seasons"`);
+            return;
+        }
+
+        if (definition.seasons === undefined) {
+            collections[name] = { query: validateQuery(definition, where, tags, scenes, errors) };
+            return;
+        }
+
+        if (!Array.isArray(definition.seasons) || !definition.seasons.length) {
+            errors.push(`${where}: "seasons" must be a non-empty array`);
+            return;
+        }
+
+        collections[name] = {
+            seasons: definition.seasons.map((season, i) => {
+                season = season || {};
+                const at = `${where} season ${i}`;
+                const dated = season.from !== undefined || season.to !== undefined;
+                const from = dated ? parseDay(season.from) : null;
+                const to = dated ? parseDay(season.to) : null;
+
+                if (typeof season.name !== 'string' || !season.name) errors.push(`${at}: "name" must be a non-empty string`);
+                if (dated && (isNaN(from) || isNaN(to))) errors.push(`${at}: "from" and "to" must both be dates like "10-31"`);
+
+                return { name: season.name, from, to, query: validateQuery(season, at, tags, scenes, errors) };
+            })
+        };
+    });
+
+    return { collections, tags };
+}
+
+/**
+ * Works out which scenes are in each collection on a given day
+ *
+ * @example
+ * const collections = new SceneCollections({ collections: mappings.collections, tags: mappings.tags, catalog });
+ * const { scenes, season } = collections.resolve('HOLIDAY', '2025-10-31');
+ */
+class SceneCollections {
+
+    /**
+     * Creates a resolver for validated collections
+     * @param {Object} options
+     * @param {Object<string, string[]|Object>} options.collections - Normalized collections, see validate()
+     * @param {Object} [options.tags] - Normalized tags, see validate()
+     * @param {SceneCatalog} options.catalog - The device's scenes, for tags with a pattern
+     */
+    constructor(options) {
+        this.collections = options.collections;
+        this.tags = options.tags || {};
+        this.catalog = options.catalog;
+    }
+
+    /**
+     * Lists the collection names
+     * @returns {string[]} Names, in the order they were defined
+     */
+    names() {
+        return Object.keys(this.collections);
+    }
+
+    /**
+     * Lists the scenes with a tag
+     * @param {string} tag - Tag name
+     * @returns {string[]} Scene names, for a pattern only those the device has
+     */
+    tagged(tag) {
+        const definition = this.tags[tag];
+        if (!definition) return [];
+        return definition.scenes || this.catalog.names().filter((name) => definition.match.test(name));
+    }
+
+    /**
+     * Works out a collection's scenes on a day
+     * @param {string} name - Collection name
+     * @param {string} date - Local date, "YYYY-MM-DD"
+     * @returns {{scenes: string[], season: string|null}} Its scenes in order, empty between seasons,
+     *     and the season they're from, if it has seasons
+     */
+    resolve(name, date) {
+        const definition = this.collections[name];
+        if (!definition) return { scenes: [], season: null };
+        if (Array.isArray(definition)) return { scenes: definition, season: null };
+        if (definition.query) return { scenes: this.query(definition.query), season: null };
+
+        // The first season that covers the day wins
+        const season = definition.seasons.find((candidate) => inSeason(candidate, date));
+        return season ? { scenes: this.query(season.query), season: season.name } : { scenes: [], season: null };
+    }
+
+    /**
+     * Runs a query: its scenes, then every scene with one of its tags, minus any with an excepted tag
+     * @private
+     * @param {{scenes: string[], tags: string[], except: string[]}} query - Normalized query
+     * @returns {string[]} Scene names, without repeats
+     */
+    query(query) {
+        const excluded = new Set([].concat(...query.except.map((tag) => this.tagged(tag))));
+        const names = query.scenes.concat(...query.tags.map((tag) => this.tagged(tag)));
+        return Array.from(new Set(names)).filter((name) => !excluded.has(name));
+    }
+}
+
+SceneCollections.validate = validate;
+
+exports = module.exports = SceneCollections;
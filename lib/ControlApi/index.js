@@ -0,0 +1,398 @@
+'use strict';
+
+/**
+ * @fileoverview Local control API
+ * A small HTTP server for working the light wall from a phone or a script on
+ * the LAN, doing what the pads do: power, brightness, scenes and collections.
+ * Commands go through Controller#handleAction, the same path as a touch, so
+ * the schedule's quiet hours, the idle countdown and the Govee rate limits
+ * all still apply. A WebSocket stream at /events reports touches and what
+ * became of every command, whoever sent it.
+ *
+ *   GET  /state                          what the controller last told the light, and the sensor's health
+ *   GET  /scenes                         scene names and collections
+ *   POST /power        { "value": "on" }
+ *   POST /brightness   { "value": 80 } or { "step": -10, "curve": "perceptual" }
+ *   POST /scene        { "scene": "Aurora" }
+ *   POST /collection/NIGHT/next          (or /previous)
+ *
+ * @module ControlApi
+ * @requires fs
+ * @requires http
+ * @requires crypto
+ * @requires events
+ * @requires ws
+ * @requires ../PadMappings
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+const PadMappings = require('../PadMappings');
+
+/** @const {Object} Settings used for anything the config leaves out */
+const DEFAULTS = {
+    port: 8080,
+    host: '0.0.0.0',
+    token: null
+};
+
+/** @const {number} Largest request body accepted */
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * An HTTP error with the status to answer with
+ * @private
+ * @param {number} status - HTTP status
+ * @param {string} message - What went wrong
+ * @returns {Error} The error, with a status property
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Serves the control API
+ *
+ * @extends EventEmitter
+ *
+ * @fires ControlApi#command - Emitted with (mapping, result) after a command has been handled, see Controller#handleAction
+ * @fires ControlApi#error - Emitted with (error, mapping) when a command fails
+ *
+ * @example
+ * const api = new ControlApi({ port: 8080, token: 'let-me-in' }, { controller, sensor });
+ * api.listen().then((url) => console.log(`Control API on ${url}`));
+ */
+class ControlApi extends EventEmitter {
+
+    /**
+     * Creates the API, not listening yet
+     * @param {Object} [config] - api.json contents
+     * @param {number} [config.port=8080] - Port to listen on, 0 for any free one
+     * @param {string} [config.host='0.0.0.0'] - Address to listen on, every interface by default
+     * @param {string} [config.token] - If set, requests need "Authorization: Bearer <token>" or ?token=<token>
+     * @param {Object} options
+     * @param {Controller} options.controller - Controller to send commands through
+     * @param {EventEmitter} [options.sensor] - Sensor whose touches are streamed, and whose status() is reported
+     * @throws {Error} Listing every problem with the config
+     */
+    constructor(config, options) {
+        super();
+
+        this.config = Object.assign({}, DEFAULTS, config);
+        ControlApi.validate(this.config);
+
+        this.controller = options.controller;
+        this.sensor = options.sensor || null;
+        this.url = null;
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.upgrade(req, socket, head));
+        // Clients have nothing big to say, anything they do say is ignored
+        this.sockets = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+        this.controller.on('action', (mapping, message) => this.broadcast({ type: 'action', action: mapping.action, message }));
+        this.controller.on('blocked', (mapping, reason) => this.broadcast({ type: 'blocked', action: mapping.action, message: reason }));
+        this.controller.on('error', (error, mapping) => this.broadcast({ type: 'error', action: mapping && mapping.action, message: error.message }));
+        this.controller.on('power', (value) => this.broadcast({ type: 'power', value }));
+        this.controller.on('reconciled', (changes) => this.broadcast({ type: 'reconciled', changes }));
+        this.controller.on('season', (collection, season) => this.broadcast({ type: 'season', collection, season }));
+
+        if (this.sensor) {
+            this.sensor.on('touch', (pad) => this.broadcast({ type: 'touch', pad }));
+            this.sensor.on('release', (pad) => this.broadcast({ type: 'release', pad }));
+            this.sensor.on('approach', (board) => this.broadcast({ type: 'approach', board: board === undefined ? null : board }));
+            this.sensor.on('leave', (board) => this.broadcast({ type: 'leave', board: board === undefined ? null : board }));
+        }
+    }
+
+    /**
+     * Checks an api.json config
+     * @param {Object} config - Config with the defaults filled in
+     * @throws {Error} Listing every problem found
+     */
+    static validate(config) {
+        const errors = [];
+
+        if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+            errors.push(`"port" must be an integer 0-65535, got ${JSON.stringify(config.port)}`);
+        }
+        if (typeof config.host !== 'string' || !config.host) {
+            errors.push('"host" must be an address to listen on, e.g. "0.0.0.0" or "127.0.0.1"');
+        }
+        if (config.token !== null && (typeof config.token !== 'string' || !config.token)) {
+            errors.push('"token" must be a non-empty string, or left out to allow anyone on the network');
+        }
+
+        if (errors.length) {
+            throw new Error(`Invalid control API config:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * Reads and validates an api.json file
+     * @param {string} file - Path to the JSON config
+     * @returns {Object|null} The config, or null if there's no file and so no API
+     * @throws {Error} If the file cannot be parsed or is invalid
+     */
+    static loadConfig(file) {
+        if (!fs.existsSync(file)) return null;
+
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to read control API config ${file}: ${error.message}`);
+        }
+
+        ControlApi.validate(Object.assign({}, DEFAULTS, config));
+        return config;
+    }
+
+    /**
+     * Starts listening
+     * @returns {Promise<string>} Resolves with the base URL once listening
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                const { address, port } = this.server.address();
+                this.url = `http://${address.includes(':') ? `[${address}]` : address}:${port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stops listening and hangs up on every client
+     * @returns {Promise} Resolves once the server has closed
+     */
+    close() {
+        this.sockets.clients.forEach((client) => client.close(1001));
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+        });
+    }
+
+    /**
+     * Sends an event to every WebSocket client
+     * @param {Object} event - Event with a type, timestamped on the way out
+     */
+    broadcast(event) {
+        const message = JSON.stringify(Object.assign({ at: new Date().toISOString() }, event));
+        this.sockets.clients.forEach((client) => {
+            if (client.readyState === client.OPEN) client.send(message);
+        });
+    }
+
+    /**
+     * Describes the state for GET /state and new WebSocket clients
+     * @private
+     * @returns {Object} Controller#state plus the sensor's status
+     */
+    state() {
+        const state = this.controller.state();
+        if (this.sensor && typeof this.sensor.status === 'function') state.sensor = this.sensor.status();
+        return state;
+    }
+
+    /**
+     * Checks a request's token, if the API has one
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @returns {boolean} True if it may go ahead
+     */
+    authorized(req) {
+        if (this.config.token === null) return true;
+
+        const header = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        const given = header ? header[1] : new URL(req.url, 'http://localhost').searchParams.get('token');
+        if (!given) return false;
+
+        const expected = Buffer.from(this.config.token);
+        const actual = Buffer.from(given);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Accepts a WebSocket client on /events
+     * @private
+     * @param {http.IncomingMessage} req - The upgrade request
+     * @param {net.Socket} socket - Its socket
+     * @param {Buffer} head - Anything the client sent after the request headers
+     */
+    upgrade(req, socket, head) {
+        // The HTTP server has let go of the socket, and a reset while it's being turned away mustn't go unhandled
+        socket.on('error', () => socket.destroy());
+
+        const path = new URL(req.url, 'http://localhost').pathname;
+
+        if (path !== '/events') {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        if (!this.authorized(req)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        this.sockets.handleUpgrade(req, socket, head, (client) => {
+            // A client that breaks the protocol is hung up on, there's nothing more to do about it
+            client.on('error', () => client.terminate());
+            client.send(JSON.stringify({ at: new Date().toISOString(), type: 'state', state: this.state() }));
+        });
+    }
+
+    /**
+     * Answers one request
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    handle(req, res) {
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (!this.authorized(req)) {
+            reply(401, { ok: false, error: 'Missing or wrong token' });
+            req.resume();
+            return;
+        }
+
+        let body = '';
+        let tooBig = false;
+        req.on('data', (chunk) => {
+            // Past the limit the rest is read and thrown away, never kept
+            if (tooBig) return;
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                tooBig = true;
+                body = '';
+            }
+        });
+        req.on('end', () => {
+            Promise.resolve()
+                .then(() => {
+                    if (tooBig) throw httpError(413, `Request body over ${MAX_BODY_BYTES} bytes`);
+
+                    let parsed;
+                    try {
+                        parsed = body ? JSON.parse(body) : {};
+                    } catch (error) {
+                        throw httpError(400, `Request body is not JSON: ${error.message}`);
+                    }
+                    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                        throw httpError(400, 'Request body must be a JSON object');
+                    }
+                    return this.route(req.method, new URL(req.url, 'http://localhost').pathname, parsed);
+                })
+                .then(({ status, response }) => reply(status, response))
+                .catch((error) => reply(error.status || 500, { ok: false, error: error.message }));
+        });
+    }
+
+    /**
+     * Works out the response for a request
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - URL path
+     * @param {Object} body - Parsed JSON body
+     * @returns {Promise<{status: number, response: Object}>} HTTP status and JSON body
+     * @throws {Error} With a status, for requests that can't be answered
+     */
+    async route(method, path, body) {
+        if (method === 'GET' && path === '/state') {
+            return { status: 200, response: this.state() };
+        }
+        if (method === 'GET' && path === '/scenes') {
+            const collections = {};
+            this.controller.collections.names().forEach((name) => {
+                collections[name] = this.controller.collectionScenes(name);
+            });
+            return { status: 200, response: { scenes: this.controller.catalog.names(), collections, seasons: this.controller.seasons } };
+        }
+        if (method !== 'POST') throw httpError(404, `No such endpoint: ${method} ${path}`);
+
+        return this.command(this.mappingFor(path, body));
+    }
+
+    /**
+     * Turns a command request into the action a pad would have
+     * @private
+     * @param {string} path - URL path
+     * @param {Object} body - Parsed JSON body
+     * @returns {Object} An unvalidated action
+     * @throws {Error} With a status, for unknown endpoints and badly encoded collection names
+     */
+    mappingFor(path, body) {
+        const collection = /^\/collection\/([^/]+)\/(next|previous)$/.exec(path);
+        if (collection) {
+            let name;
+            try {
+                name = decodeURIComponent(collection[1]);
+            } catch (error) {
+                throw httpError(400, `Collection name in ${path} is not valid URL encoding`);
+            }
+            return { action: 'collection', collection: name, direction: collection[2] };
+        }
+
+        switch (path) {
+            case '/power':
+                return { action: 'power', value: body.value };
+
+            case '/brightness':
+                if (body.step !== undefined) return { action: 'brightnessStep', step: body.step, curve: body.curve };
+                return body.seconds !== undefined
+                    ? { action: 'fade', brightness: body.value, seconds: body.seconds, curve: body.curve }
+                    : { action: 'brightness', value: body.value };
+
+            case '/scene':
+                return { action: 'scene', scene: body.scene };
+
+            default:
+                throw httpError(404, `No such endpoint: POST ${path}`);
+        }
+    }
+
+    /**
+     * Validates an action and runs it through the controller
+     * @private
+     * @param {Object} mapping - An unvalidated action
+     * @returns {Promise<{status: number, response: Object}>} 200 if it ran, 409 if the schedule blocked it
+     * @throws {Error} With a status: 400 for a bad action, 502 if the light didn't take it
+     */
+    async command(mapping) {
+        const problem = PadMappings.validateAction(mapping, {
+            collections: this.controller.mappings.collections,
+            scenes: this.controller.catalog.table()
+        });
+        if (problem) throw httpError(400, problem);
+
+        let result;
+        try {
+            result = await this.controller.handleAction(mapping);
+        } catch (error) {
+            this.emit('error', error, mapping);
+            this.broadcast({ type: 'error', action: mapping.action, message: error.message });
+            throw httpError(502, error.message);
+        }
+
+        this.emit('command', mapping, result);
+        return {
+            status: result.ran ? 200 : 409,
+            response: { ok: result.ran, message: result.message, state: this.state() }
+        };
+    }
+}
+
+ControlApi.DEFAULTS = DEFAULTS;
+
+exports = module.exports = ControlApi;
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * @fileoverview Brightness stepping
+ * Our eyes don't see brightness linearly: 1% to 10% is a big jump, 90% to
+ * 100% barely shows. Perceptual steps move along CIE 1976 lightness (L*)
+ * instead of the raw percentage, so every tap of a dimmer pad looks like
+ * about the same change, fine near the bottom and coarse near the top.
+ * Perceptual fades do the same, so they don't seem to crawl along at the top
+ * and then drop off a cliff at the bottom.
+ *
+ * @module Controller/brightness
+ */
+
+/** @const {string[]} Ways a brightnessStep can step */
+const CURVES = ['linear', 'perceptual'];
+
+/**
+ * Converts a brightness percentage to perceived lightness
+ * @param {number} percent - Brightness 0-100
+ * @returns {number} Lightness L* 0-100
+ */
+function toLightness(percent) {
+    const y = percent / 100;
+    return y > 0.008856 ? 116 * Math.cbrt(y) - 16 : 903.3 * y;
+}
+
+/**
+ * Converts perceived lightness back to a brightness percentage
+ * @param {number} lightness - Lightness L* 0-100
+ * @returns {number} Brightness 0-100, not rounded
+ */
+function fromLightness(lightness) {
+    const y = lightness > 8 ? Math.pow((lightness + 16) / 116, 3) : lightness / 903.3;
+    return y * 100;
+}
+
+/**
+ * Works out the brightness a step leads to, kept inside a range
+ * @param {number} current - Brightness now
+ * @param {number} step - Percentage points for a linear step, L* points for a perceptual one
+ * @param {string} [curve='linear'] - One of CURVES
+ * @param {{min: number, max: number}} [range] - Limits to clamp to, 1-100 by default
+ * @returns {number} The new brightness, an integer
+ */
+function stepBrightness(current, step, curve, range) {
+    range = range || { min: 1, max: 100 };
+
+    let target = current + step;
+    if (curve === 'perceptual') {
+        target = Math.round(fromLightness(toLightness(current) + step));
+        // Near the bottom a small step can round back to where it started, always move at least one
+        if (target === current) target += Math.sign(step);
+    }
+
+    return Math.min(range.max, Math.max(range.min, target));
+}
+
+/**
+ * Works out the brightness part way through a fade
+ * @param {number} from - Brightness at the start
+ * @param {number} to - Brightness at the end
+ * @param {number} fraction - How far along, 0-1
+ * @param {string} [curve='linear'] - One of CURVES, perceptual fades evenly in L*
+ * @returns {number} The brightness in between, an integer
+ */
+function fadeBrightness(from, to, fraction, curve) {
+    if (curve === 'perceptual') {
+        const start = toLightness(from);
+        return Math.round(fromLightness(start + (toLightness(to) - start) * fraction));
+    }
+    return Math.round(from + (to - from) * fraction);
+}
+
+module.exports = {
+    CURVES,
+    toLightness,
+    fromLightness,
+    stepBrightness,
+    fadeBrightness
+};
@@ -0,0 +1,790 @@
+'use strict';
+
+/**
+ * @fileoverview Touch controller
+ * Everything between a touch on the canvas and a command to the light:
+ * gesture recognition, per-pin debouncing, schedule checks, collection
+ * cycling and scene picking, brightness stepping within the device's range
+ * and the schedule's limits, fades, the idle / sleep countdown and reactions
+ * to someone walking up to the wall. It has no side effects until a sensor
+ * is attached, so it can be driven with fake sensors, clocks and APIs.
+ *
+ * @module Controller
+ * @requires events
+ * @requires ../Collections
+ * @requires ../Debouncer
+ * @requires ../Gestures
+ * @requires ../IdleTimer
+ * @requires ../PadMappings
+ * @requires ../Transitions
+ * @requires ./brightness
+ * @requires ./selection
+ */
+
+const EventEmitter = require('events');
+const SceneCollections = require('../Collections');
+const PinDebouncer = require('../Debouncer');
+const GestureDetector = require('../Gestures');
+const IdleTimer = require('../IdleTimer');
+const PadMappings = require('../PadMappings');
+const TransitionEngine = require('../Transitions');
+const { stepBrightness, fadeBrightness } = require('./brightness');
+const SceneSelector = require('./selection');
+
+/** @const {number} How often to look for collections changing season */
+const SEASON_CHECK_MS = 60000;
+
+/**
+ * Works out which scene in a collection comes next, stepping forward or back
+ * and wrapping around at either end, and skipping scenes that aren't available
+ *
+ * @param {string[]} scenes - Scene names in the collection
+ * @param {number} current - Index of the scene showing now, -1 if none yet
+ * @param {string} [direction='next'] - 'next' or 'previous'
+ * @param {Function} [isAvailable] - Returns false for scene names to skip
+ * @returns {{index: number, skipped: string[]}} The next index and the names skipped on the way
+ */
+function nextCollectionIndex(scenes, current, direction, isAvailable) {
+    const step = direction === 'previous' ? -1 : 1;
+    const skipped = [];
+    let index = step < 0 ? Math.max(current, 0) : current;
+
+    for (let tried = 0; tried < scenes.length; tried++) {
+        index = (index + step + scenes.length) % scenes.length;
+        if (!isAvailable || isAvailable(scenes[index])) break;
+        skipped.push(scenes[index]);
+    }
+
+    return { index, skipped };
+}
+
+/**
+ * Turns touches into light commands
+ *
+ * @extends EventEmitter
+ *
+ * @fires Controller#action - Emitted with (mapping, message) after an action has run
+ * @fires Controller#blocked - Emitted with (mapping, reason) when the schedule blocks an action
+ * @fires Controller#power - Emitted with 'on' or 'off' when a power action changes what the light was last told
+ * @fires Controller#debounced - Emitted with (pin, gesture, windowMs) when a touch lands inside its debounce window
+ * @fires Controller#warning - Emitted with the countdown mode ('idle' or 'sleep') shortly before auto-off
+ * @fires Controller#expired - Emitted with the countdown mode when auto-off kicks in
+ * @fires Controller#reconciled - Emitted with a list of what changed when reconcile() corrects the state from the light
+ * @fires Controller#season - Emitted with (collection, season, previous) when a seasonal collection changes season, null between seasons
+ * @fires Controller#error - Emitted with (error, mapping) when an action fails
+ *
+ * @example
+ * const controller = new Controller({ govee, mappings, schedule, catalog });
+ * controller.on('action', (mapping, message) => console.log(message));
+ * controller.attach(new MPR121());
+ */
+class Controller extends EventEmitter {
+
+    /**
+     * Creates a controller
+     * @param {Object} options
+     * @param {GoveeApi} options.govee - Light to control
+     * @param {Object} options.mappings - Validated pad mappings, see PadMappings.loadMappings
+     * @param {Schedule} options.schedule - Decides which actions are allowed when
+     * @param {SceneCatalog} options.catalog - Resolves scene names
+     * @param {Function} [options.now=Date.now] - Clock for debouncing and countdowns, injectable for tests
+     * @param {Function} [options.random=Math.random] - Random numbers for picking scenes, injectable for tests
+     */
+    constructor(options) {
+        super();
+
+        this.govee = options.govee;
+        this.mappings = options.mappings;
+        this.schedule = options.schedule;
+        this.catalog = options.catalog;
+        this.now = options.now || Date.now;
+
+        // Which scenes each collection has today, and the season each seasonal one is in
+        this.collections = new SceneCollections({ collections: this.mappings.collections, tags: this.mappings.tags, catalog: this.catalog });
+        this.seasons = {};
+        this.seasonTimer = null;
+
+        // Index of the scene currently showing for each collection (-1 = none yet)
+        this.collectionIndices = {};
+        this.collections.names().forEach((name) => {
+            this.collectionIndices[name] = -1;
+            this.seasons[name] = this.collections.resolve(name, this.schedule.localTime().date).season;
+        });
+
+        // Picks scenes for the random pad and collections that don't go in order, and remembers what's been shown
+        this.selector = new SceneSelector({ random: options.random });
+
+        // Last brightness we sent or the light reported, so brightness steps have something to step from (null = unknown)
+        this.currentBrightness = null;
+
+        // Last power state we sent, null until the first one
+        this.power = null;
+
+        // Last scene we sent, null until the first one
+        this.scene = null;
+
+        // Last colour we sent as [r, g, b], null until the first one or once a scene replaces it
+        this.color = null;
+
+        // Fades, paced to the API's rate limit, and cancelled by any other command
+        this.transitions = new TransitionEngine({ rateLimit: this.govee.config && this.govee.config.rateLimit, now: this.now });
+
+        // Auto-off after the last handled touch, or when a sleep timer runs out
+        this.idleTimer = new IdleTimer(Object.assign({ now: this.now }, this.mappings.idle));
+        this.sleepOptionIndex = -1;
+
+        // Boards whose proximity electrode has someone in range
+        this.nearby = new Set();
+
+        // Per-pin cooldowns, so a touch on one pad never swallows a touch on another
+        this.debouncer = new PinDebouncer(Object.assign({ now: this.now }, this.mappings.debounce));
+
+        // Recognize gestures from raw touch/release events, only waiting on the ones each pin binds
+        this.gestures = new GestureDetector({
+            timings: this.mappings.gestures,
+            gesturesFor: (pin) => Object.keys(this.mappings.pins[pin] || {})
+        });
+
+        this.gestures.on('gesture', (gesture, pin) => this.onGesture(gesture, pin));
+        this.idleTimer.on('warning', (mode) => this.onWarning(mode));
+        this.idleTimer.on('expired', (mode) => this.onExpired(mode));
+    }
+
+    /**
+     * Starts listening to a sensor's touch and release events, and its
+     * proximity approach and leave events
+     * @param {EventEmitter} sensor - An MPR121, or anything emitting touch/release with a pin number
+     * @returns {Controller} this
+     */
+    attach(sensor) {
+        this.gestures.attach(sensor);
+        if (!this.seasonTimer) this.seasonTimer = setInterval(() => this.checkSeasons(), SEASON_CHECK_MS);
+        sensor.on('approach', (board) => this.onProximity('approach', board));
+        sensor.on('leave', (board) => this.onProximity('leave', board));
+        return this;
+    }
+
+    /**
+     * Cancels every pending gesture, countdown and fade, and stops watching for season changes
+     */
+    stop() {
+        this.gestures.reset();
+        this.idleTimer.cancel();
+        this.transitions.cancel();
+        clearInterval(this.seasonTimer);
+        this.seasonTimer = null;
+    }
+
+    /**
+     * Runs an action if the schedule allows this kind of action right now
+     * @param {Object} mapping - A validated action
+     * @returns {Promise<boolean>} Resolves false if the schedule blocked it
+     */
+    async performAction(mapping) {
+        return (await this.attemptAction(mapping)).ran;
+    }
+
+    /**
+     * Like performAction, but says what happened
+     * @param {Object} mapping - A validated action
+     * @returns {Promise<{ran: boolean, message: string}>} Resolves with whether it ran, and the
+     *     action's description of what it did or the schedule's reason for blocking it
+     */
+    async attemptAction(mapping) {
+        const { allowed, reason } = this.schedule.check(PadMappings.actionClass(mapping));
+
+        if (!allowed) {
+            this.emit('blocked', mapping, reason);
+            return { ran: false, message: reason };
+        }
+
+        const message = await this.runAction(mapping);
+        this.emit('action', mapping, message);
+        return { ran: true, message };
+    }
+
+    /**
+     * Runs an action on someone's behalf, from a pad or a remote control, and
+     * keeps the idle countdown up to date
+     * @param {Object} mapping - A validated action
+     * @returns {Promise<{ran: boolean, message: string}>} See attemptAction
+     * @throws {Error} If the action fails
+     */
+    async handleAction(mapping) {
+        const result = await this.attemptAction(mapping);
+        if (!result.ran) return result;
+
+        // Turning off ends any countdown, anything else (bar the sleep timer itself) restarts it
+        if (Controller.isTurnOff(mapping)) {
+            this.idleTimer.cancel();
+        } else if (mapping.action !== 'sleepTimer') {
+            this.idleTimer.activity();
+        }
+        return result;
+    }
+
+    /**
+     * Runs whatever action is bound to a gesture on a pin, and keeps the idle
+     * countdown up to date
+     * @param {number} pin - Pin number
+     * @param {string} [gesture='tap'] - Gesture name
+     * @returns {Promise} Resolves when the action has finished, errors are emitted rather than thrown
+     */
+    async handleTouch(pin, gesture = 'tap') {
+        const mapping = this.mappings.pins[pin] && this.mappings.pins[pin][gesture];
+        if (!mapping) return;
+
+        try {
+            await this.handleAction(mapping);
+        } catch (error) {
+            this.emit('error', error, mapping);
+        }
+    }
+
+    /**
+     * Describes what the controller last told the light and what's pending
+     * @returns {{power: string|null, brightness: number|null, scene: string|null, collections: Object<string, string|null>,
+     *     countdown: {mode: string, remainingMs: number}|null}} The light's state as far as the controller knows,
+     *     the scene showing in each collection, and the idle or sleep countdown
+     */
+    state() {
+        const collections = {};
+        Object.keys(this.collectionIndices).forEach((name) => {
+            const index = this.collectionIndices[name];
+            collections[name] = index < 0 ? null : this.collectionScenes(name)[index] || null;
+        });
+
+        const remainingMs = this.idleTimer.remaining();
+        return {
+            power: this.power,
+            brightness: this.currentBrightness,
+            scene: this.scene,
+            collections,
+            countdown: remainingMs === null ? null : { mode: this.idleTimer.mode, remainingMs }
+        };
+    }
+
+    /**
+     * Picks up where a previous run left off, e.g. from a StateStore. Anything
+     * that no longer fits the mappings, like a scene dropped from a
+     * collection, is left at its default.
+     * @param {Object} [saved] - An earlier state(): power, brightness, scene and each collection's scene
+     */
+    restore(saved) {
+        if (!saved) return;
+
+        if (saved.power === 'on' || saved.power === 'off') this.power = saved.power;
+        if (Number.isInteger(saved.brightness) && saved.brightness >= 1 && saved.brightness <= 100) {
+            this.currentBrightness = saved.brightness;
+        }
+        if (typeof saved.scene === 'string') {
+            this.scene = saved.scene;
+            this.selector.shown(saved.scene);
+        }
+
+        Object.keys(this.collectionIndices).forEach((name) => {
+            const index = saved.collections ? this.collectionScenes(name).indexOf(saved.collections[name]) : -1;
+            if (index >= 0) this.collectionIndices[name] = index;
+        });
+    }
+
+    /**
+     * Asks the light what it's really doing and corrects the power, brightness
+     * and scene to match, in case it was changed from the Govee app or lost
+     * power while the controller was down. A scene that's in a collection
+     * moves that collection to it, so the next tap carries on from there.
+     * Nothing is changed if an action runs while the light is being asked.
+     * @returns {Promise<string[]>} Resolves with a description of each correction made
+     * @throws {Error} If the light's state can't be fetched
+     */
+    async reconcile() {
+        let stale = false;
+        const onAction = () => {
+            stale = true;
+        };
+
+        this.on('action', onAction);
+        let response;
+        try {
+            response = await this.govee.getDeviceState();
+        } finally {
+            this.off('action', onAction);
+        }
+
+        const capabilities = (response && response.payload && response.payload.capabilities) || [];
+        const reported = (instance) => {
+            const capability = capabilities.find((c) => c.instance === instance);
+            return capability && capability.state ? capability.state.value : undefined;
+        };
+        if (stale || reported('online') === false) return [];
+
+        const changes = [];
+        const power = { 1: 'on', 0: 'off' }[reported('powerSwitch')];
+        if (power && power !== this.power) {
+            changes.push(`power ${this.power || 'unknown'} -> ${power}`);
+            this.power = power;
+            this.emit('power', power);
+        }
+
+        const brightness = reported('brightness');
+        if (Number.isInteger(brightness) && brightness >= 1 && brightness <= 100 && brightness !== this.currentBrightness) {
+            changes.push(`brightness ${this.currentBrightness === null ? 'unknown' : `${this.currentBrightness}%`} -> ${brightness}%`);
+            this.currentBrightness = brightness;
+        }
+
+        // The light often doesn't say which scene it's on, so only a scene it names counts
+        const scene = this.catalog.nameOf(reported('lightScene'));
+        if (scene && scene !== this.scene) {
+            changes.push(`scene ${this.scene || 'unknown'} -> ${scene}`);
+            this.scene = scene;
+            this.selector.shown(scene);
+            Object.keys(this.collectionIndices).forEach((name) => {
+                const index = this.collectionScenes(name).indexOf(scene);
+                if (index >= 0) this.collectionIndices[name] = index;
+            });
+        }
+
+        if (changes.length) this.emit('reconciled', changes);
+        return changes;
+    }
+
+    /**
+     * Debounces a recognized gesture and hands it to handleTouch
+     * @private
+     * @param {string} gesture - Gesture name
+     * @param {number} pin - Pin number
+     */
+    onGesture(gesture, pin) {
+        const mapping = this.mappings.pins[pin] && this.mappings.pins[pin][gesture];
+        if (!mapping) return;
+
+        // Hold repeats drive ramps and must not be swallowed, and turning off always gets through
+        if (gesture !== 'hold' && !this.debouncer.accept(pin, Controller.isTurnOff(mapping))) {
+            this.emit('debounced', pin, gesture, this.debouncer.windowFor(pin));
+            return;
+        }
+
+        this.handleTouch(pin, gesture);
+    }
+
+    /**
+     * Reacts to someone walking up to the wall or away from it. Approaching
+     * keeps an idle countdown from running out, without sending anything, and
+     * the proximity section can bind an action to each. With several boards,
+     * only the first approach and the last leave count.
+     * @private
+     * @param {string} event - 'approach' or 'leave'
+     * @param {string|null} [board] - Board whose proximity electrode it was
+     * @returns {Promise} Resolves when any action has finished, errors are emitted rather than thrown
+     */
+    async onProximity(event, board) {
+        const wasNear = this.nearby.size > 0;
+        if (event === 'approach') {
+            this.nearby.add(board);
+        } else {
+            this.nearby.delete(board);
+        }
+        if (wasNear === this.nearby.size > 0) return;
+
+        const { keepAwake } = this.mappings.proximity;
+        if (event === 'approach' && keepAwake && this.idleTimer.mode === 'idle') this.idleTimer.activity();
+
+        const mapping = this.mappings.proximity[event];
+        if (!mapping) return;
+
+        // Walking past a dark wall only turns it on if that's the action, and passers-by
+        // outside the schedule's hours are ignored rather than reported as blocked
+        if (this.power === 'off' && mapping.action !== 'power') return;
+        if (!this.schedule.check(PadMappings.actionClass(mapping)).allowed) return;
+
+        try {
+            await this.performAction(mapping);
+
+            if (Controller.isTurnOff(mapping)) {
+                this.idleTimer.cancel();
+            } else if (mapping.action === 'power') {
+                this.idleTimer.activity();
+            }
+        } catch (error) {
+            this.emit('error', error, mapping);
+        }
+    }
+
+    /**
+     * Dims as a warning shortly before auto-off
+     * @private
+     * @param {string} mode - 'idle' or 'sleep'
+     */
+    onWarning(mode) {
+        this.emit('warning', mode);
+        if (!this.mappings.idle.warning) return;
+
+        this.performAction(this.mappings.idle.warning)
+            .catch((error) => this.emit('error', error, this.mappings.idle.warning));
+    }
+
+    /**
+     * Turns the light off when the countdown runs out
+     * @private
+     * @param {string} mode - 'idle' or 'sleep'
+     */
+    onExpired(mode) {
+        const off = { action: 'power', value: 'off' };
+
+        this.emit('expired', mode);
+        this.performAction(off).catch((error) => this.emit('error', error, off));
+    }
+
+    /**
+     * Sends a scene by name
+     * @private
+     * @param {string} sceneName - Scene name
+     * @returns {Promise} Resolves when the command has been sent
+     * @throws {Error} If the device doesn't have the scene
+     */
+    async setScene(sceneName) {
+        const scene = this.catalog.resolve(sceneName);
+        if (scene === undefined) {
+            throw new Error(`Scene "${sceneName}" is not available on this device`);
+        }
+
+        await this.govee.setScene(scene);
+        this.scene = sceneName;
+        this.color = null;
+        this.selector.shown(sceneName);
+    }
+
+    /**
+     * Gets the scenes in a collection today
+     * @param {string} name - Collection name
+     * @returns {string[]} Scene names, in order, and empty for a collection between seasons
+     */
+    collectionScenes(name) {
+        return this.collections.resolve(name, this.schedule.localTime().date).scenes;
+    }
+
+    /**
+     * Notices collections that have moved into a new season, or out of one,
+     * and starts them again from the top. Runs every minute once a sensor is
+     * attached, and before every collection action.
+     */
+    checkSeasons() {
+        const date = this.schedule.localTime().date;
+
+        this.collections.names().forEach((name) => {
+            const { season } = this.collections.resolve(name, date);
+            if (season === this.seasons[name]) return;
+
+            const previous = this.seasons[name];
+            this.seasons[name] = season;
+            this.collectionIndices[name] = -1;
+            this.selector.reset(name);
+            this.emit('season', name, season, previous);
+        });
+    }
+
+    /**
+     * Works out which scenes can't be picked right now: those the device
+     * doesn't have, and those in a collection the schedule's scene rules keep
+     * off offer at the moment
+     * @private
+     * @returns {Function} Takes a scene name and returns why it can't be picked, or null if it can
+     */
+    availability() {
+        const date = this.schedule.localTime().date;
+        const blocked = new Map();
+
+        this.collections.names().forEach((collection) => {
+            const { allowed, reason } = this.schedule.sceneRule(collection);
+            if (allowed) return;
+            this.collections.resolve(collection, date).scenes.forEach((name) => {
+                if (!blocked.has(name)) blocked.set(name, reason);
+            });
+        });
+
+        return (sceneName) => (this.catalog.resolve(sceneName) === undefined
+            ? 'not available on this device'
+            : blocked.get(sceneName) || null);
+    }
+
+    /**
+     * Describes why a collection has nothing to pick from
+     * @private
+     * @param {string} collection - Collection name
+     * @param {string[]} scenes - Its scenes today
+     * @param {Function} unavailable - See availability()
+     * @returns {string} e.g. 'No HOLIDAY scenes on offer right now ("HOLIDAY" scenes are only on offer in dec)'
+     */
+    noneOnOffer(collection, scenes, unavailable) {
+        const reasons = scenes.length ? Array.from(new Set(scenes.map(unavailable))) : ['it has no season on today'];
+        return `No ${collection} scenes on offer right now (${reasons.join('; ')})`;
+    }
+
+    /**
+     * Describes the scenes skipped on the way to the one picked, grouped by why
+     * @private
+     * @param {string[]} skipped - Scene names
+     * @param {Function} unavailable - See availability()
+     * @returns {string} e.g. ", skipped Fire - not available on this device", or nothing
+     */
+    describeSkipped(skipped, unavailable) {
+        const reasons = new Map();
+        skipped.forEach((name) => {
+            const reason = unavailable(name);
+            reasons.set(reason, (reasons.get(reason) || []).concat(name));
+        });
+
+        const parts = Array.from(reasons, ([reason, names]) => `${names.join(', ')} - ${reason}`);
+        return parts.length ? `, skipped ${parts.join('; ')}` : '';
+    }
+
+    /**
+     * Works out the brightness levels allowed right now: the range the light
+     * declared when it was discovered, narrowed by the schedule's limits for
+     * this time of day
+     * @private
+     * @returns {{min: number, max: number, reason: string|null}} Inclusive range, and the schedule
+     *     windows narrowing it, if any
+     */
+    brightnessRange() {
+        const declared = this.govee.getCapability('devices.capabilities.range', 'brightness');
+        const device = (declared && declared.parameters && declared.parameters.range) || { min: 1, max: 100 };
+        const limits = this.schedule.brightnessLimits();
+
+        const max = Math.min(device.max, limits.max);
+        return { min: Math.min(Math.max(device.min, limits.min), max), max, reason: limits.reason };
+    }
+
+    /**
+     * Gets the brightness to step from: the last one we know of, or failing
+     * that whatever the light reports, or failing that the middle
+     * @private
+     * @returns {Promise<number>} Resolves with the current brightness
+     */
+    async knownBrightness() {
+        if (this.currentBrightness !== null) return this.currentBrightness;
+
+        try {
+            const response = await this.govee.getDeviceState();
+            const capabilities = (response && response.payload && response.payload.capabilities) || [];
+            const reported = capabilities.find((capability) => capability.instance === 'brightness');
+            if (reported && reported.state && Number.isInteger(reported.state.value) && reported.state.value >= 1) {
+                this.currentBrightness = reported.state.value;
+                return this.currentBrightness;
+            }
+        } catch (error) {
+            // Not knowing is no reason to ignore the pad
+        }
+        return 50;
+    }
+
+    /**
+     * Fades the brightness, the colour or both over a number of seconds, in
+     * as many steps as the rate limit allows. Brightness starts from where it
+     * is and stays inside brightnessRange(). Colour starts from "from", or
+     * else the last colour sent, and if there isn't one it changes at the
+     * first step. Resolves once the fade is over, or as soon as another command
+     * cuts it short.
+     * @private
+     * @param {Object} mapping - A validated fade action
+     * @returns {Promise<string>} Resolves with a description of what happened
+     */
+    async fade(mapping) {
+        const durationMs = mapping.seconds * 1000;
+        const targets = [];
+        const notes = [];
+        let brightness = null;
+        let color = null;
+
+        if (mapping.brightness !== undefined) {
+            const range = this.brightnessRange();
+            const to = Math.min(range.max, Math.max(range.min, mapping.brightness));
+            if (to !== mapping.brightness) notes.push(`instead of ${mapping.brightness}% (${range.reason || 'device range'})`);
+
+            brightness = { from: await this.knownBrightness(), to };
+            targets.push(`${to}%`);
+        }
+
+        if (mapping.rgb) {
+            color = { from: mapping.from || this.color || mapping.rgb, to: mapping.rgb };
+            targets.push(`rgb(${mapping.rgb.join(', ')})`);
+        }
+
+        const target = targets.join(' and ') + (notes.length ? ` ${notes.join(', ')}` : '');
+        const distance = Math.max(
+            brightness ? Math.abs(brightness.to - brightness.from) : 0,
+            color ? Math.max(...color.to.map((channel, i) => Math.abs(channel - color.from[i]))) : 0
+        );
+
+        // Nothing to fade, but a colour nobody has set yet still needs sending
+        if (distance === 0) {
+            if (color && !this.color) {
+                await this.govee.setColorRgb(...color.to);
+                this.color = color.to;
+                return `Color set to ${target}`;
+            }
+            return `Already at ${target}`;
+        }
+
+        // No more steps than there are values in between, and no more than the rate limit affords
+        const steps = Math.min(distance, this.transitions.steps(durationMs, targets.length));
+        const completed = await this.transitions.run(steps, durationMs, async (fraction) => {
+            if (brightness) {
+                const value = fadeBrightness(brightness.from, brightness.to, fraction, mapping.curve);
+                if (value !== this.currentBrightness) {
+                    await this.govee.setBrightness(value);
+                    this.currentBrightness = value;
+                }
+            }
+            if (color) {
+                const rgb = TransitionEngine.mixRgb(color.from, color.to, fraction);
+                if (!this.color || rgb.some((channel, i) => channel !== this.color[i])) {
+                    await this.govee.setColorRgb(...rgb);
+                    this.color = rgb;
+                }
+            }
+        });
+
+        if (completed) return `Faded to ${target} over ${mapping.seconds} seconds`;
+
+        const reached = [];
+        if (brightness) reached.push(this.currentBrightness === null ? 'unknown' : `${this.currentBrightness}%`);
+        if (color) reached.push(this.color ? `rgb(${this.color.join(', ')})` : 'unknown');
+        return `Fade to ${target} interrupted at ${reached.join(' and ')}`;
+    }
+
+    /**
+     * Runs a single action against the light, no questions asked
+     * @private
+     * @param {Object} mapping - A validated action
+     * @returns {Promise<string>} Resolves with a description of what happened
+     */
+    async runAction(mapping) {
+        // Whatever the light is told next takes over from a fade, the sleep timer doesn't tell it anything
+        if (mapping.action !== 'sleepTimer') this.transitions.cancel();
+
+        switch (mapping.action) {
+            case 'power': {
+                await this.govee.setPower(mapping.value);
+                if (this.power !== mapping.value) {
+                    this.power = mapping.value;
+                    this.emit('power', mapping.value);
+                }
+                if (mapping.value === 'off' || this.currentBrightness === null) return `Light turned ${mapping.value}`;
+
+                // Coming back on at a level that's out of bounds for this time of day
+                const range = this.brightnessRange();
+                const brightness = Math.min(range.max, Math.max(range.min, this.currentBrightness));
+                if (brightness === this.currentBrightness) return `Light turned ${mapping.value}`;
+
+                await this.govee.setBrightness(brightness);
+                this.currentBrightness = brightness;
+                return `Light turned on at ${brightness}% (${range.reason || 'device range'})`;
+            }
+
+            case 'brightness': {
+                const range = this.brightnessRange();
+                const brightness = Math.min(range.max, Math.max(range.min, mapping.value));
+
+                await this.govee.setBrightness(brightness);
+                this.currentBrightness = brightness;
+                return brightness === mapping.value
+                    ? `Brightness set to ${brightness}%`
+                    : `Brightness set to ${brightness}% instead of ${mapping.value}% (${range.reason || 'device range'})`;
+            }
+
+            case 'brightnessStep': {
+                const current = await this.knownBrightness();
+                const range = this.brightnessRange();
+                const brightness = stepBrightness(current, mapping.step, mapping.curve, range);
+                const limited = (mapping.step > 0 ? brightness === range.max : brightness === range.min) && range.reason ? ` (${range.reason})` : '';
+                if (brightness === current) return `Brightness already at ${brightness}%${limited}`;
+
+                await this.govee.setBrightness(brightness);
+                this.currentBrightness = brightness;
+                return `Brightness stepped to ${brightness}%${limited}`;
+            }
+
+            case 'randomScene': {
+                // Pick from all the device's scenes that are on offer right now
+                const unavailable = this.availability();
+                const randomSceneName = this.selector.pick('*', this.catalog.names().filter((name) => !unavailable(name)), mapping);
+                if (!randomSceneName) return 'No scenes on offer right now';
+
+                await this.setScene(randomSceneName);
+                return `Random scene set to: ${randomSceneName}`;
+            }
+
+            case 'scene':
+                await this.setScene(mapping.scene);
+                return `Scene set to ${mapping.scene}`;
+
+            case 'collection': {
+                this.checkSeasons();
+                const scenes = this.collectionScenes(mapping.collection);
+                const unavailable = this.availability();
+                let index;
+                let note = '';
+
+                if (!mapping.strategy || mapping.strategy === 'sequence') {
+                    const next = nextCollectionIndex(scenes, this.collectionIndices[mapping.collection],
+                        mapping.direction, (name) => !unavailable(name));
+                    index = next.index;
+                    note = this.describeSkipped(next.skipped, unavailable);
+
+                    if (next.skipped.length === scenes.length) return this.noneOnOffer(mapping.collection, scenes, unavailable);
+                } else {
+                    const name = this.selector.pick(mapping.collection, scenes.filter((scene) => !unavailable(scene)), mapping);
+                    if (!name) return this.noneOnOffer(mapping.collection, scenes, unavailable);
+                    index = scenes.indexOf(name);
+                }
+
+                // Move on even if sending fails, so one bad scene can't wedge the pad
+                this.collectionIndices[mapping.collection] = index;
+                await this.setScene(scenes[index]);
+
+                return `Scene set to ${scenes[index]} (${mapping.collection} collection${note})`;
+            }
+
+            case 'sleepTimer': {
+                // Each tap moves on to the next duration, and one past the last cancels the timer
+                const options = [].concat(mapping.minutes);
+                this.sleepOptionIndex = this.idleTimer.mode === 'sleep' ? this.sleepOptionIndex + 1 : 0;
+
+                if (this.sleepOptionIndex >= options.length) {
+                    this.idleTimer.cancelSleep();
+                    return 'Sleep timer cancelled';
+                }
+
+                this.idleTimer.sleep(options[this.sleepOptionIndex] * 60000);
+                return `Sleep timer set to ${options[this.sleepOptionIndex]} minutes`;
+            }
+
+            case 'color': {
+                const [r, g, b] = mapping.rgb;
+                await this.govee.setColorRgb(r, g, b);
+                this.color = mapping.rgb;
+                return `Color set to rgb(${r}, ${g}, ${b})`;
+            }
+
+            case 'fade':
+                return this.fade(mapping);
+
+            default:
+                throw new Error(`Unknown action "${mapping.action}"`);
+        }
+    }
+
+    /**
+     * Checks whether an action turns the light off, which debouncing never blocks
+     * @param {Object} mapping - A validated action
+     * @returns {boolean} True for power off
+     */
+    static isTurnOff(mapping) {
+        return mapping.action === 'power' && mapping.value === 'off';
+    }
+}
+
+Controller.nextCollectionIndex = nextCollectionIndex;
+
+exports = module.exports = Controller;
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * @fileoverview Scene selection
+ * How the random pad and the collection pads pick their next scene. A
+ * collection steps through its scenes in order unless its pad picks another
+ * strategy: "random" is a fresh pick every time, "shuffle" works through
+ * every scene once before any comes round again, and "weighted" picks
+ * favorites more often. None of the picking strategies repeat a scene shown
+ * in the last few picks (just the one showing now, by default), as long as
+ * there's anything else to pick.
+ *
+ * @module Controller/selection
+ */
+
+/** @const {string[]} Ways a pad can pick a scene, "sequence" being a collection's fixed order */
+const STRATEGIES = ['sequence', 'random', 'shuffle', 'weighted'];
+
+/** @const {number} Recent scenes a pick avoids, unless the pad says otherwise */
+const DEFAULT_AVOID_RECENT = 1;
+
+/** @const {number} Most recent scenes remembered, and so the most a pad can avoid */
+const MAX_AVOID_RECENT = 50;
+
+/**
+ * Picks scenes and remembers what's been shown
+ *
+ * @example
+ * const selector = new SceneSelector();
+ * const name = selector.pick('FUN', ['Groovy', 'Bubble', 'UFO'], { strategy: 'shuffle' });
+ * selector.shown(name);
+ */
+class SceneSelector {
+
+    /**
+     * Creates a selector
+     * @param {Object} [options]
+     * @param {Function} [options.random=Math.random] - Random numbers 0-1, injectable for tests
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.random = options.random || Math.random;
+
+        // Scenes shown lately, oldest first, whichever pad or command showed them
+        this.recent = [];
+
+        // Scenes still to come in each shuffle, by collection ("*" for the random pad)
+        this.bags = {};
+    }
+
+    /**
+     * Records that a scene is showing
+     * @param {string} name - Scene name
+     */
+    shown(name) {
+        this.recent = this.recent.filter((recent) => recent !== name).concat(name).slice(-MAX_AVOID_RECENT);
+    }
+
+    /**
+     * Forgets a shuffle part way through, so the next pick starts a new one,
+     * e.g. when a collection's scenes change with the season
+     * @param {string} key - What the picks were for, see pick()
+     */
+    reset(key) {
+        delete this.bags[key];
+    }
+
+    /**
+     * Picks a scene with one of the picking strategies
+     * @param {string} key - What the pick is for, which keeps each collection's shuffle separate
+     * @param {string[]} candidates - Scene names it may pick from
+     * @param {Object} [options] - The pad's settings
+     * @param {string} [options.strategy='random'] - 'random', 'shuffle' or 'weighted'
+     * @param {Object<string, number>} [options.weights] - Relative weight per scene for 'weighted', 1 if not given
+     * @param {number} [options.avoidRecent=1] - How many of the latest scenes not to repeat
+     * @returns {string|null} The scene, or null if there are no candidates
+     */
+    pick(key, candidates, options) {
+        options = options || {};
+        if (!candidates.length) return null;
+
+        const avoid = options.avoidRecent === undefined ? DEFAULT_AVOID_RECENT : options.avoidRecent;
+        const recent = avoid ? this.recent.slice(-avoid) : [];
+        let choices = candidates.filter((name) => !recent.includes(name));
+
+        // Everything was shown lately, a repeat beats not changing at all
+        if (!choices.length) choices = candidates;
+
+        switch (options.strategy) {
+            case 'shuffle': {
+                let bag = this.bags[key];
+                let left = bag ? choices.filter((name) => bag.has(name)) : [];
+                if (!left.length) {
+                    bag = this.bags[key] = new Set(candidates);
+                    left = choices;
+                }
+
+                const name = left[Math.floor(this.random() * left.length)];
+                bag.delete(name);
+                return name;
+            }
+
+            case 'weighted': {
+                const weights = options.weights || {};
+                const weightOf = (name) => (weights[name] === undefined ? 1 : weights[name]);
+                const total = choices.reduce((sum, name) => sum + weightOf(name), 0);
+                if (total <= 0) return choices[Math.floor(this.random() * choices.length)];
+
+                let point = this.random() * total;
+                return choices.find((name) => (point -= weightOf(name)) < 0) || choices[choices.length - 1];
+            }
+
+            default:
+                return choices[Math.floor(this.random() * choices.length)];
+        }
+    }
+}
+
+SceneSelector.STRATEGIES = STRATEGIES;
+SceneSelector.DEFAULT_AVOID_RECENT = DEFAULT_AVOID_RECENT;
+SceneSelector.MAX_AVOID_RECENT = MAX_AVOID_RECENT;
+
+exports = module.exports = SceneSelector;
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * @fileoverview Per-pin touch debouncing
+ * Tracks a cooldown window for each electrode separately, so a burst of
+ * noise on one pad can't swallow a deliberate touch on another.
+ *
+ * @module Debouncer
+ */
+
+/** @const {number} Default cooldown window in milliseconds */
+const DEFAULT_WINDOW_MS = 1000;
+
+/**
+ * Per-pin debouncer with leading-edge cooldowns.
+ *
+ * The first trigger on a pin is accepted straight away, and every further
+ * trigger on that same pin is dropped until its window has passed. Other pins
+ * are unaffected.
+ *
+ * @example
+ * const debouncer = new PinDebouncer({ defaultMs: 1000, windows: { 2: 250 } });
+ * if (debouncer.accept(pin)) handleTouch(pin);
+ */
+class PinDebouncer {
+
+    /**
+     * Creates a new per-pin debouncer
+     * @param {Object} [options]
+     * @param {number} [options.defaultMs=1000] - Window used for pins without their own
+     * @param {Object<number, number>} [options.windows] - Window in milliseconds per pin
+     * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.defaultMs = Number.isInteger(options.defaultMs) ? options.defaultMs : DEFAULT_WINDOW_MS;
+        this.windows = Object.assign({}, options.windows);
+        this.now = options.now || Date.now;
+        this.lastAccepted = {};
+    }
+
+    /**
+     * Gets the cooldown window for a pin
+     * @param {number} pin - Pin number
+     * @returns {number} Window in milliseconds
+     */
+    windowFor(pin) {
+        return pin in this.windows ? this.windows[pin] : this.defaultMs;
+    }
+
+    /**
+     * Decides whether a trigger on a pin should be handled
+     * @param {number} pin - Pin number
+     * @param {boolean} [force=false] - Always accept, e.g. for power off, while still starting the window
+     * @returns {boolean} True if the trigger should be handled
+     */
+    accept(pin, force) {
+        const now = this.now();
+        const last = this.lastAccepted[pin];
+
+        if (!force && last !== undefined && now - last < this.windowFor(pin)) {
+            return false;
+        }
+
+        this.lastAccepted[pin] = now;
+        return true;
+    }
+
+    /**
+     * Forgets every pin's last trigger
+     */
+    reset() {
+        this.lastAccepted = {};
+    }
+}
+
+PinDebouncer.DEFAULT_WINDOW_MS = DEFAULT_WINDOW_MS;
+
+exports = module.exports = PinDebouncer;
@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * @fileoverview Gesture recognition for touch pads
+ * Turns the raw touch/release events emitted by the MPR121 driver into
+ * higher level gestures: tap, double-tap, long-press and press-and-hold.
+ *
+ * @module Gestures
+ * @requires events
+ */
+
+const EventEmitter = require('events');
+
+/** @const {string[]} Gestures the detector can recognize */
+const GESTURES = ['tap', 'doubleTap', 'longPress', 'hold'];
+
+/** @const {Object<string, number>} Default gesture timings in milliseconds */
+const DEFAULT_TIMINGS = {
+    doubleTapMs: 300, // Max gap between two taps to count as a double-tap
+    longPressMs: 700, // How long a pad must be held before long-press/hold kicks in
+    holdRepeatMs: 300 // Interval between repeated hold events
+};
+
+/**
+ * Gesture detector for capacitive touch pads.
+ *
+ * A detector only waits for gestures that are actually bound on a pin. A pin
+ * that binds nothing but a tap reports it on touch, just like the raw sensor
+ * event, and a pin without a double-tap binding reports its tap on release
+ * instead of waiting out the double-tap window.
+ *
+ * @extends EventEmitter
+ *
+ * @fires GestureDetector#gesture - Emitted with (gesture, pin, count) for every recognized gesture
+ * @fires GestureDetector#tap - Emitted with the pin number on a single tap
+ * @fires GestureDetector#doubleTap - Emitted with the pin number on a double-tap
+ * @fires GestureDetector#longPress - Emitted with the pin number once a press passes longPressMs
+ * @fires GestureDetector#hold - Emitted with (pin, count) every holdRepeatMs while a pad is held
+ *
+ * @example
+ * const detector = new GestureDetector({ gesturesFor: (pin) => ['tap', 'hold'] });
+ * detector.attach(touchSensor);
+ * detector.on('gesture', (gesture, pin) => console.log(`${gesture} on pin ${pin}`));
+ */
+class GestureDetector extends EventEmitter {
+
+    /**
+     * Creates a new gesture detector
+     * @param {Object} [options]
+     * @param {Object<string, number>} [options.timings] - Overrides for DEFAULT_TIMINGS
+     * @param {Function} [options.gesturesFor] - Returns the gestures bound on a pin, defaults to all of them
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this.timings = Object.assign({}, DEFAULT_TIMINGS, options.timings);
+        this.gesturesFor = options.gesturesFor || (() => GESTURES);
+        this.pins = {};
+    }
+
+    /**
+     * Subscribes to touch and release events from a sensor
+     * @param {EventEmitter} sensor - Anything emitting 'touch' and 'release' with a pin number
+     * @returns {GestureDetector} This detector, for chaining
+     */
+    attach(sensor) {
+        sensor.on('touch', (pin) => this.touch(pin));
+        sensor.on('release', (pin) => this.release(pin));
+        return this;
+    }
+
+    /**
+     * Feeds a touch event into the detector
+     * @param {number} pin - Pin that was touched
+     */
+    touch(pin) {
+        const state = this.pinState(pin);
+        const bound = this.gesturesFor(pin);
+
+        if (state.down) return;
+
+        clearTimeout(state.pressTimer);
+        state.down = true;
+        state.longPressed = false;
+        state.holding = false;
+        state.tapped = false;
+
+        if (!bound.some((gesture) => gesture !== 'tap')) {
+            state.tapped = true;
+            this.emitGesture('tap', pin);
+        } else if (bound.includes('hold')) {
+            state.pressTimer = setTimeout(() => {
+                let count = 0;
+
+                state.holding = true;
+                this.emitGesture('hold', pin, count);
+                state.repeatTimer = setInterval(() => {
+                    this.emitGesture('hold', pin, ++count);
+                }, this.timings.holdRepeatMs);
+            }, this.timings.longPressMs);
+        } else if (bound.includes('longPress')) {
+            state.pressTimer = setTimeout(() => {
+                state.longPressed = true;
+                this.emitGesture('longPress', pin);
+            }, this.timings.longPressMs);
+        }
+    }
+
+    /**
+     * Feeds a release event into the detector
+     * @param {number} pin - Pin that was released
+     */
+    release(pin) {
+        const state = this.pinState(pin);
+
+        if (!state.down) return;
+
+        state.down = false;
+        clearTimeout(state.pressTimer);
+        clearInterval(state.repeatTimer);
+
+        // Taps, long presses and holds already reported themselves while the pad was down
+        if (state.tapped || state.holding || state.longPressed) return;
+
+        if (!this.gesturesFor(pin).includes('doubleTap')) {
+            this.emitGesture('tap', pin);
+            return;
+        }
+
+        // Second tap inside the window completes a double-tap
+        if (state.tapTimer) {
+            clearTimeout(state.tapTimer);
+            state.tapTimer = null;
+            this.emitGesture('doubleTap', pin);
+            return;
+        }
+
+        state.tapTimer = setTimeout(() => {
+            state.tapTimer = null;
+            this.emitGesture('tap', pin);
+        }, this.timings.doubleTapMs);
+    }
+
+    /**
+     * Cancels every pending timer, e.g. on shutdown
+     */
+    reset() {
+        Object.keys(this.pins).forEach((pin) => {
+            const state = this.pins[pin];
+
+            clearTimeout(state.pressTimer);
+            clearTimeout(state.tapTimer);
+            clearInterval(state.repeatTimer);
+        });
+
+        this.pins = {};
+    }
+
+    /**
+     * Gets or creates the tracking state for a pin
+     * @private
+     * @param {number} pin - Pin number
+     * @returns {Object} Mutable pin state
+     */
+    pinState(pin) {
+        if (!this.pins[pin]) {
+            this.pins[pin] = {
+                down: false,
+                tapped: false,
+                longPressed: false,
+                holding: false,
+                pressTimer: null,
+                tapTimer: null,
+                repeatTimer: null
+            };
+        }
+
+        return this.pins[pin];
+    }
+
+    /**
+     * Emits a recognized gesture both as a generic and a named event
+     * @private
+     * @param {string} gesture - Gesture name
+     * @param {number} pin - Pin number
+     * @param {number} [count] - Repeat count for hold gestures
+     */
+    emitGesture(gesture, pin, count) {
+        this.emit('gesture', gesture, pin, count);
+        this.emit(gesture, pin, count);
+    }
+}
+
+GestureDetector.GESTURES = GESTURES;
+GestureDetector.DEFAULT_TIMINGS = DEFAULT_TIMINGS;
+
+exports = module.exports = GestureDetector;
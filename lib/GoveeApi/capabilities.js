@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Capability payload builders for the Govee control endpoint.
+ * Each builder validates its values against the ranges documented in
+ * docs/govee_control_device.txt and returns the capability object that
+ * GoveeApi#controlDevice sends.
+ */
+
+/**
+ * Documented value ranges.
+ * @const {Object}
+ */
+const RANGES = {
+  brightness: { min: 1, max: 100 },
+  colorComponent: { min: 0, max: 255 },
+  colorTemperatureK: { min: 2000, max: 9000 },
+  segment: { min: 0, max: 14 },
+  segmentCount: { min: 1, max: 15 },
+  segmentedBrightness: { min: 0, max: 100 },
+  musicSensitivity: { min: 0, max: 100 }
+};
+
+/**
+ * Music modes from the music_setting capability.
+ * @const {Object<string, number>}
+ */
+const MUSIC_MODES = {
+  Energic: 5,
+  Rhythm: 3,
+  Spectrum: 4,
+  Rolling: 6
+};
+
+/**
+ * Throws unless value is an integer inside range.
+ *
+ * @param {string} name - Value name, for the error message
+ * @param {*} value - Value to check
+ * @param {{min: number, max: number}} range - Inclusive range
+ * @returns {number} The value
+ * @throws {Error} If the value is not an integer in range
+ */
+function checkInteger(name, value, range) {
+  if (!Number.isInteger(value) || value < range.min || value > range.max) {
+    throw new Error(`${name} must be an integer between ${range.min} and ${range.max}, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Converts a 0/1, boolean or 'on'/'off' switch value into 0 or 1.
+ *
+ * @param {string} name - Value name, for the error message
+ * @param {boolean|number|string} value - Switch value
+ * @returns {number} 1 for on, 0 for off
+ * @throws {Error} If the value is not a recognizable on/off value
+ */
+function checkSwitch(name, value) {
+  if (value === true || value === 1 || value === 'on') return 1;
+  if (value === false || value === 0 || value === 'off') return 0;
+  throw new Error(`${name} must be on or off (true/false, 1/0, 'on'/'off'), got ${JSON.stringify(value)}`);
+}
+
+/**
+ * Packs r, g and b into Govee's single integer color format.
+ *
+ * @param {number} r - Red, 0-255
+ * @param {number} g - Green, 0-255
+ * @param {number} b - Blue, 0-255
+ * @returns {number} ((r & 0xFF) << 16) | ((g & 0xFF) << 8) | (b & 0xFF)
+ * @throws {Error} If a component is out of range
+ */
+function rgbToInt(r, g, b) {
+  checkInteger('red', r, RANGES.colorComponent);
+  checkInteger('green', g, RANGES.colorComponent);
+  checkInteger('blue', b, RANGES.colorComponent);
+  return ((r & 0xFF) << 16) | ((g & 0xFF) << 8) | (b & 0xFF);
+}
+
+/**
+ * Validates a list of segment indexes.
+ *
+ * @param {number[]} segments - Segment indexes
+ * @returns {number[]} The segments
+ * @throws {Error} If the list is empty, too long or has an index out of range
+ */
+function checkSegments(segments) {
+  if (!Array.isArray(segments)) {
+    throw new Error(`segments must be an array of segment indexes, got ${JSON.stringify(segments)}`);
+  }
+  checkInteger('number of segments', segments.length, RANGES.segmentCount);
+  segments.forEach((segment) => checkInteger('segment', segment, RANGES.segment));
+  return segments;
+}
+
+/**
+ * Capability builders, one per documented instance.
+ */
+const capabilities = {
+  /**
+   * @param {boolean|number|string} on - true/1/'on' or false/0/'off'
+   * @returns {Object} on_off/powerSwitch capability
+   */
+  power(on) {
+    return { type: 'devices.capabilities.on_off', instance: 'powerSwitch', value: checkSwitch('power', on) };
+  },
+
+  /**
+   * @param {number} value - Brightness, 1-100
+   * @returns {Object} range/brightness capability
+   */
+  brightness(value) {
+    return { type: 'devices.capabilities.range', instance: 'brightness', value: checkInteger('brightness', value, RANGES.brightness) };
+  },
+
+  /**
+   * @param {number} r - Red, 0-255
+   * @param {number} g - Green, 0-255
+   * @param {number} b - Blue, 0-255
+   * @returns {Object} color_setting/colorRgb capability
+   */
+  colorRgb(r, g, b) {
+    return { type: 'devices.capabilities.color_setting', instance: 'colorRgb', value: rgbToInt(r, g, b) };
+  },
+
+  /**
+   * @param {number} kelvin - Color temperature, 2000-9000
+   * @returns {Object} color_setting/colorTemperatureK capability
+   */
+  colorTemperature(kelvin) {
+    return {
+      type: 'devices.capabilities.color_setting',
+      instance: 'colorTemperatureK',
+      value: checkInteger('color temperature', kelvin, RANGES.colorTemperatureK)
+    };
+  },
+
+  /**
+   * @param {number[]} segments - Segment indexes, 0-14
+   * @param {number} r - Red, 0-255
+   * @param {number} g - Green, 0-255
+   * @param {number} b - Blue, 0-255
+   * @returns {Object} segment_color_setting/segmentedColorRgb capability
+   */
+  segmentColors(segments, r, g, b) {
+    return {
+      type: 'devices.capabilities.segment_color_setting',
+      instance: 'segmentedColorRgb',
+      value: { segment: checkSegments(segments), rgb: rgbToInt(r, g, b) }
+    };
+  },
+
+  /**
+   * @param {number[]} segments - Segment indexes, 0-14
+   * @param {number} brightness - Brightness, 0-100
+   * @returns {Object} segment_color_setting/segmentedBrightness capability
+   */
+  segmentBrightness(segments, brightness) {
+    return {
+      type: 'devices.capabilities.segment_color_setting',
+      instance: 'segmentedBrightness',
+      value: {
+        segment: checkSegments(segments),
+        brightness: checkInteger('segment brightness', brightness, RANGES.segmentedBrightness)
+      }
+    };
+  },
+
+  /**
+   * @param {string|number} mode - A MUSIC_MODES name or a music mode code
+   * @param {number} sensitivity - Sensitivity, 0-100
+   * @param {Object} [options]
+   * @param {boolean} [options.autoColor] - Let the device pick colors
+   * @param {number[]} [options.rgb] - [r, g, b] color to use when autoColor is off
+   * @returns {Object} music_setting/musicMode capability
+   */
+  musicMode(mode, sensitivity, options) {
+    const musicMode = typeof mode === 'string' ? MUSIC_MODES[mode] : mode;
+    if (!Number.isInteger(musicMode) || musicMode < 0) {
+      throw new Error(`music mode must be one of ${Object.keys(MUSIC_MODES).join(', ')} or a mode code, got ${JSON.stringify(mode)}`);
+    }
+
+    const value = {
+      musicMode,
+      sensitivity: checkInteger('music sensitivity', sensitivity, RANGES.musicSensitivity)
+    };
+
+    options = options || {};
+    if (options.autoColor !== undefined) value.autoColor = checkSwitch('autoColor', options.autoColor);
+    if (options.rgb !== undefined) value.rgb = rgbToInt(...options.rgb);
+
+    return { type: 'devices.capabilities.music_setting', instance: 'musicMode', value };
+  },
+
+  /**
+   * @param {Object|number} scene - { id, paramId } from the device's scene list, or an integer scene id
+   * @returns {Object} dynamic_scene/lightScene capability
+   */
+  scene(scene) {
+    const valid = Number.isInteger(scene) ||
+      (scene && typeof scene === 'object' && Number.isInteger(scene.id) && Number.isInteger(scene.paramId));
+    if (!valid) {
+      throw new Error(`scene must be an { id, paramId } object or an integer id, got ${JSON.stringify(scene)}`);
+    }
+    return { type: 'devices.capabilities.dynamic_scene', instance: 'lightScene', value: scene };
+  },
+
+  /**
+   * @param {number} sceneId - Scene value from the device's diyScene options
+   * @returns {Object} dynamic_scene/diyScene capability
+   */
+  diyScene(sceneId) {
+    if (!Number.isInteger(sceneId)) {
+      throw new Error(`DIY scene must be an integer id, got ${JSON.stringify(sceneId)}`);
+    }
+    return { type: 'devices.capabilities.dynamic_scene', instance: 'diyScene', value: sceneId };
+  },
+
+  /**
+   * @param {number} value - Night light scene value from the device's nightlightScene options
+   * @returns {Object} mode/nightlightScene capability
+   */
+  nightlightScene(value) {
+    if (!Number.isInteger(value)) {
+      throw new Error(`night light scene must be an integer, got ${JSON.stringify(value)}`);
+    }
+    return { type: 'devices.capabilities.mode', instance: 'nightlightScene', value };
+  },
+
+  /**
+   * @param {boolean|number|string} on - true/1/'on' or false/0/'off'
+   * @returns {Object} toggle/gradientToggle capability
+   */
+  gradient(on) {
+    return { type: 'devices.capabilities.toggle', instance: 'gradientToggle', value: checkSwitch('gradient', on) };
+  },
+
+  /**
+   * @param {number} workMode - Work mode value from the device's workMode options
+   * @param {number} [modeValue] - Value for that mode
+   * @returns {Object} work_mode/workMode capability
+   */
+  workMode(workMode, modeValue) {
+    if (!Number.isInteger(workMode)) {
+      throw new Error(`work mode must be an integer, got ${JSON.stringify(workMode)}`);
+    }
+    if (modeValue !== undefined && !Number.isInteger(modeValue)) {
+      throw new Error(`work mode value must be an integer, got ${JSON.stringify(modeValue)}`);
+    }
+
+    const value = { workMode };
+    if (modeValue !== undefined) value.modeValue = modeValue;
+    return { type: 'devices.capabilities.work_mode', instance: 'workMode', value };
+  }
+};
+
+/**
+ * Compares two option values, which are numbers or strings for most
+ * capabilities but objects like { id, paramId } for dynamic scenes.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if they are equal, field by field for objects
+ */
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => sameValue(a[key], b[key]));
+}
+
+/**
+ * Checks a value against the parameters a device declares for a capability in
+ * /router/api/v1/user/devices (ENUM options, INTEGER ranges, STRUCT fields and
+ * arrays). Anything the declaration doesn't pin down, like an ENUM with no
+ * options because its values are fetched dynamically, is let through.
+ *
+ * @param {Object} parameters - The capability's declared parameters
+ * @param {*} value - Value about to be sent
+ * @param {string} name - Value name, for the error message
+ * @returns {string|null} Description of the problem, or null if the value is fine
+ */
+function checkParameters(parameters, value, name) {
+  if (!parameters) return null;
+
+  switch (parameters.dataType) {
+    case 'ENUM': {
+      const options = (parameters.options || []).filter((option) => option.value !== undefined);
+      if (!options.length || options.some((option) => sameValue(option.value, value))) return null;
+      return `${name} must be one of ${options.map((option) => `${JSON.stringify(option.value)} (${option.name})`).join(', ')}, got ${JSON.stringify(value)}`;
+    }
+
+    case 'INTEGER': {
+      const range = parameters.range;
+      if (!Number.isInteger(value)) return `${name} must be an integer, got ${JSON.stringify(value)}`;
+      if (range && (value < range.min || value > range.max)) {
+        return `${name} must be between ${range.min} and ${range.max} on this device, got ${value}`;
+      }
+      return null;
+    }
+
+    case 'Array': {
+      const size = parameters.size;
+      const range = parameters.elementRange;
+      if (!Array.isArray(value)) return `${name} must be an array, got ${JSON.stringify(value)}`;
+      if (size && (value.length < size.min || value.length > size.max)) {
+        return `${name} must have between ${size.min} and ${size.max} entries on this device, got ${value.length}`;
+      }
+      const outside = range && value.find((element) => element < range.min || element > range.max);
+      if (outside !== undefined) {
+        return `${name} entries must be between ${range.min} and ${range.max} on this device, got ${outside}`;
+      }
+      return null;
+    }
+
+    case 'STRUCT': {
+      if (!value || typeof value !== 'object') return `${name} must be an object, got ${JSON.stringify(value)}`;
+
+      for (const field of parameters.fields || []) {
+        if (value[field.fieldName] === undefined) {
+          if (field.required && field.defaultValue === undefined) return `${name} is missing required field "${field.fieldName}"`;
+          continue;
+        }
+
+        const problem = checkParameters(field, value[field.fieldName], `${name}.${field.fieldName}`);
+        if (problem) return problem;
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  capabilities,
+  checkParameters,
+  rgbToInt,
+  RANGES,
+  MUSIC_MODES
+};
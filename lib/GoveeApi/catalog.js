@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Scene catalog for the configured Govee device.
+ * Fetches the device's real light scene list (name, id and paramId) from the
+ * dynamic scene endpoint and keeps a copy on disk, so scenes still resolve
+ * when the API can't be reached. Until a list has been fetched or loaded from
+ * disk, the hand-copied name to ID table in scenes.js is used instead.
+ *
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SceneCatalog resolves scene names to the value the lightScene capability expects.
+ *
+ * @class
+ * @example
+ * const catalog = new SceneCatalog({ cacheFile: './scene-cache.json', fallback: require('./scenes') });
+ * await catalog.refresh(govee);
+ * await govee.setScene(catalog.resolve('Moonlight'));
+ */
+class SceneCatalog {
+  /**
+   * Creates a scene catalog and loads the cached scene list, if there is one.
+   *
+   * @constructor
+   * @param {Object} [options]
+   * @param {string} [options.cacheFile] - Where to keep the last fetched scene list
+   * @param {Object<string, number>} [options.fallback] - Static name to ID table used until a list is available
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.cacheFile = options.cacheFile || null;
+    this.fallback = options.fallback || {};
+    this.scenes = null;
+    this.source = 'static';
+    this.fetchedAt = null;
+
+    this.loadCache();
+  }
+
+  /**
+   * Loads the scene list saved by the last successful refresh().
+   *
+   * @returns {boolean} True if a cached list was loaded
+   */
+  loadCache() {
+    if (!this.cacheFile || !fs.existsSync(this.cacheFile)) return false;
+
+    try {
+      const cached = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      this.scenes = cached.scenes;
+      this.fetchedAt = cached.fetchedAt;
+      this.source = 'cache';
+      return true;
+    } catch (error) {
+      console.error(`Ignoring unreadable scene cache ${this.cacheFile}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Fetches the device's scene list and saves it to the cache file. If this
+   * fails, whatever was loaded before (cached or static) stays in use.
+   *
+   * @async
+   * @param {GoveeApi} govee - API wrapper to fetch with
+   * @returns {Promise<number>} A promise that resolves to the number of scenes fetched
+   * @throws {Error} If the API request fails or returns no light scenes
+   */
+  async refresh(govee) {
+    const response = await govee.getScenes();
+    const capabilities = (response.payload && response.payload.capabilities) || [];
+    const lightScene = capabilities.find((capability) => capability.instance === 'lightScene');
+    const options = (lightScene && lightScene.parameters && lightScene.parameters.options) || [];
+
+    if (!options.length) {
+      throw new Error('the device returned no light scenes');
+    }
+
+    const scenes = {};
+    options.forEach((option) => {
+      scenes[option.name] = option.value;
+    });
+
+    this.scenes = scenes;
+    this.fetchedAt = new Date().toISOString();
+    this.source = 'live';
+    this.saveCache();
+
+    return options.length;
+  }
+
+  /**
+   * Writes the scene list to the cache file, via a temporary file so a crash
+   * half way through can't leave a corrupt cache behind.
+   *
+   * @private
+   */
+  saveCache() {
+    if (!this.cacheFile) return;
+
+    const tmp = path.join(path.dirname(this.cacheFile), `.${path.basename(this.cacheFile)}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify({ fetchedAt: this.fetchedAt, scenes: this.scenes }, null, 2));
+    fs.renameSync(tmp, this.cacheFile);
+  }
+
+  /**
+   * Looks up the lightScene value for a scene name.
+   *
+   * @param {string} name - Scene name
+   * @returns {Object|number|undefined} { id, paramId } from the device list, an ID from the static table, or undefined
+   */
+  resolve(name) {
+    const table = this.scenes || this.fallback;
+    return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined;
+  }
+
+  /**
+   * Looks up the scene name for a lightScene value, the way the device
+   * reports its current scene.
+   *
+   * @param {Object|number} value - { id, paramId } or a scene ID
+   * @returns {string|undefined} The scene name, or undefined if no scene has that ID
+   */
+  nameOf(value) {
+    const idOf = (scene) => (scene && typeof scene === 'object' ? scene.id : scene);
+    const id = idOf(value);
+    if (id === undefined || id === null || id === '') return undefined;
+
+    const table = this.scenes || this.fallback;
+    return Object.keys(table).find((name) => idOf(table[name]) === id);
+  }
+
+  /**
+   * Lists the scene names that currently resolve.
+   *
+   * @returns {string[]} Scene names
+   */
+  names() {
+    return Object.keys(this.scenes || this.fallback);
+  }
+
+  /**
+   * Lists every scene name worth accepting in config files: the static table
+   * plus anything in the device list, so mappings can use scenes that aren't
+   * in scenes.js yet.
+   *
+   * @returns {Object<string, *>} Scene name table
+   */
+  table() {
+    return Object.assign({}, this.fallback, this.scenes);
+  }
+
+  /**
+   * Filters a list of scene names down to the ones that don't resolve.
+   *
+   * @param {string[]} names - Scene names
+   * @returns {string[]} Names that don't resolve
+   */
+  missing(names) {
+    return names.filter((name) => this.resolve(name) === undefined);
+  }
+}
+
+module.exports = SceneCatalog;
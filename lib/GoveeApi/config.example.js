@@ -3,7 +3,12 @@ const config = {
     apiKey: '',
     apiUrl: 'https://openapi.api.govee.com',
     deviceSku: '',
-    deviceId: ''
+    deviceId: '',
+
+    // Optional: request queue tuning, these are the defaults
+    rateLimit: { perMinute: 10, perDay: 10000 }, // Govee's published limits
+    retry: { retries: 4, baseDelayMs: 1000, maxDelayMs: 30000 }, // backoff for 429s and 5xx errors
+    settleMs: 150 // how long a command waits to be replaced by a newer one
 };
 
 module.exports = config;
\ No newline at end of file
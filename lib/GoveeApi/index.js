@@ -4,10 +4,42 @@
  * 
  * @requires axios
  * @requires ./config
+ * @requires ./queue
+ * @requires ./capabilities
  */
 
 const axios = require('axios');
-const config = require('./config');
+const { RequestQueue } = require('./queue');
+const { capabilities, checkParameters } = require('./capabilities');
+
+/**
+ * Loads ./config.js if it exists. Everything in it can also be passed to the
+ * constructor, so a missing file is only a problem if nothing else fills in.
+ *
+ * @returns {Object} The config, or an empty object
+ */
+function loadConfig() {
+  try {
+    return require('./config');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    return {};
+  }
+}
+
+/**
+ * Works out which queued commands a new one makes pointless: those for the
+ * same capability instance, and for segment commands the same segments too,
+ * since colouring segments 5 and 6 doesn't undo colouring 0 and 1.
+ *
+ * @param {Object} capability - type, instance and value
+ * @returns {string} Coalescing key for the request queue
+ */
+function coalescingKey(capability) {
+  const key = `${capability.type}/${capability.instance}`;
+  const segments = capability.value && capability.value.segment;
+  return Array.isArray(segments) ? `${key}/${segments.slice().sort((a, b) => a - b).join(',')}` : key;
+}
 
 /**
  * GoveeApi class provides methods to interact with Govee smart devices.
@@ -23,12 +55,21 @@ const config = require('./config');
 class GoveeApi {
   /**
    * Creates an instance of GoveeApi.
-   * Initializes axios with base URL and authentication headers from config.
+   * Initializes axios with base URL and authentication headers from config,
+   * and the queue every request goes through.
    * 
    * @constructor
+   * @param {Object} [options] - Overrides for anything in config.js (apiKey, apiUrl, deviceSku, deviceId, rateLimit, retry)
    * @throws {Error} If config is missing required fields (apiKey, apiUrl)
    */
-  constructor() {
+  constructor(options) {
+    const config = Object.assign({}, loadConfig(), options);
+
+    if (!config.apiKey || !config.apiUrl) {
+      throw new Error('Govee config is missing apiKey or apiUrl, see lib/GoveeApi/config.example.js');
+    }
+
+    this.config = config;
     this.axios = axios.create({
       baseURL: config.apiUrl,
       headers: {
@@ -36,6 +77,84 @@ class GoveeApi {
         'Content-Type': 'application/json'
       }
     });
+    this.queue = new RequestQueue({
+      send: (request) => request(),
+      rateLimit: config.rateLimit,
+      retry: config.retry,
+      settleMs: config.settleMs
+    });
+
+    // Filled in by discover()
+    this.device = null;
+    this.capabilities = null;
+  }
+
+  /**
+   * Fetches the account's devices, confirms the configured device is one of
+   * them and caches its declared capabilities. From then on controlDevice
+   * rejects commands the device doesn't support, or values outside the
+   * ranges it declares, without calling the API.
+   * 
+   * @async
+   * @returns {Promise<Object>} A promise that resolves to the device entry from the device list
+   * @throws {Error} If the API request fails or the configured device isn't in the account
+   * 
+   * @example
+   * const device = await govee.discover();
+   * console.log(`Controlling ${device.deviceName} (${device.sku})`);
+   */
+  async discover() {
+    const { data } = await this.getDevices();
+    const devices = data || [];
+    const device = devices.find((d) => d.sku === this.config.deviceSku && d.device === this.config.deviceId);
+
+    if (!device) {
+      const available = devices.map((d) => `${d.deviceName || 'unnamed'} (${d.sku} ${d.device})`).join(', ') || 'none';
+      throw new Error(`Configured device ${this.config.deviceSku} ${this.config.deviceId} is not in this Govee account. ` +
+        `Available devices: ${available}`);
+    }
+
+    this.device = device;
+    this.capabilities = {};
+    (device.capabilities || []).forEach((capability) => {
+      this.capabilities[`${capability.type}/${capability.instance}`] = capability;
+    });
+
+    return device;
+  }
+
+  /**
+   * Looks up a capability the device declared during discover().
+   * 
+   * @param {string} type - Capability type, e.g. 'devices.capabilities.range'
+   * @param {string} instance - Capability instance, e.g. 'brightness'
+   * @returns {Object|null} The declared capability with its parameters, or null if unknown or not discovered yet
+   */
+  getCapability(type, instance) {
+    return (this.capabilities && this.capabilities[`${type}/${instance}`]) || null;
+  }
+
+  /**
+   * Checks a capability command against what the device declared. Does
+   * nothing until discover() has run.
+   * 
+   * @param {Object} capability - The capability object about to be sent
+   * @throws {Error} If the device doesn't support the capability or the value is out of range
+   */
+  checkCapability(capability) {
+    if (!this.capabilities) return;
+
+    const declared = this.getCapability(capability.type, capability.instance);
+    const deviceName = this.device.deviceName || this.device.sku;
+
+    if (!declared) {
+      throw new Error(`${deviceName} does not support ${capability.instance} (${capability.type})`);
+    }
+
+    const problem = checkParameters(declared.parameters, capability.value, capability.instance);
+    if (problem) {
+      throw new Error(`Rejected for ${deviceName}: ${problem}`);
+    }
   }
 
   /**
@@ -55,7 +174,7 @@ class GoveeApi {
    */
   async getDevices() {
     try {
-      const response = await this.axios.get('/router/api/v1/user/devices');
+      const response = await this.queue.push(null, () => this.axios.get('/router/api/v1/user/devices'));
       return response.data;
     } catch (error) {
       console.error('Error getting devices:', error.message);
@@ -81,10 +200,10 @@ class GoveeApi {
    */
   async getDeviceState() {
     try {
-      const response = await this.axios.post('/router/api/v1/device/state', {
+      const response = await this.queue.push(null, () => this.axios.post('/router/api/v1/device/state', {
         requestId: Date.now().toString(),
-        payload: { sku: config.deviceSku, device: config.deviceId }
-      });
+        payload: { sku: this.config.deviceSku, device: this.config.deviceId }
+      }));
       return response.data;
     } catch (error) {
       console.error('Error getting device state:', error.message);
@@ -92,26 +211,57 @@ class GoveeApi {
     }
   }
 
+  /**
+   * Retrieves the light scenes the configured device offers. Each option's
+   * value is the { id, paramId } object the lightScene capability expects.
+   * 
+   * @async
+   * @returns {Promise<Object>} A promise that resolves to the scene list response
+   * @throws {Error} If the API request fails or if config is missing deviceSku/deviceId
+   * 
+   * @example
+   * const { payload } = await govee.getScenes();
+   * const lightScene = payload.capabilities.find((c) => c.instance === 'lightScene');
+   * console.log(lightScene.parameters.options.map((option) => option.name));
+   */
+  async getScenes() {
+    try {
+      const response = await this.queue.push(null, () => this.axios.post('/router/api/v1/device/scenes', {
+        requestId: Date.now().toString(),
+        payload: { sku: this.config.deviceSku, device: this.config.deviceId }
+      }));
+      return response.data;
+    } catch (error) {
+      console.error('Error getting scenes:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Controls a device by sending a capability command.
-   * Uses device SKU and ID from config file.
+   * Uses device SKU and ID from config file. Commands are rate limited and
+   * retried, and a command still waiting to be sent is replaced by a newer
+   * one for the same capability instance (and segments, for segment commands). Once discover() has run, commands
+   * the device doesn't support are rejected without calling the API.
    * 
    * @async
    * @param {Object} capability - The capability object defining the control command
    * @returns {Promise<Object>} A promise that resolves to the control response
-   * @throws {Error} If the API request fails or if config is missing deviceSku/deviceId
+   * @throws {Error} If the API request fails, the device doesn't support the command or if config is missing deviceSku/deviceId
    * 
    * @example
    * try {
    *   // Turn on the device
    *   await govee.controlDevice({
-   *     name: 'powerSwitch',
-   *     value: 'on'
+   *     type: 'devices.capabilities.on_off',
+   *     instance: 'powerSwitch',
+   *     value: 1
    *   });
    * 
    *   // Set brightness to 50%
    *   await govee.controlDevice({
-   *     name: 'brightness',
+   *     type: 'devices.capabilities.range',
+   *     instance: 'brightness',
    *     value: 50
    *   });
    * } catch (error) {
@@ -119,17 +269,196 @@ class GoveeApi {
    * }
    */
   async controlDevice(capability) {
+    this.checkCapability(capability);
+
     try {
-      const response = await this.axios.post('/router/api/v1/device/control', {
+      const response = await this.queue.push(coalescingKey(capability), () => this.axios.post('/router/api/v1/device/control', {
         requestId: Date.now().toString(),
-        payload: { sku: config.deviceSku, device: config.deviceId, capability }
-      });
+        payload: { sku: this.config.deviceSku, device: this.config.deviceId, capability }
+      }));
       return response.data;
     } catch (error) {
       console.error('Error controlling device:', error.message);
       throw error;
     }
   }
+
+  /**
+   * Turns the device on or off.
+   * 
+   * @async
+   * @param {boolean|number|string} on - true/1/'on' or false/0/'off'
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If the value is invalid or the API request fails
+   * 
+   * @example
+   * await govee.setPower(true);
+   */
+  async setPower(on) {
+    return this.controlDevice(capabilities.power(on));
+  }
+
+  /**
+   * Sets the brightness.
+   * 
+   * @async
+   * @param {number} value - Brightness, 1-100
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If the value is out of range or the API request fails
+   * 
+   * @example
+   * await govee.setBrightness(50);
+   */
+  async setBrightness(value) {
+    return this.controlDevice(capabilities.brightness(value));
+  }
+
+  /**
+   * Sets a solid color.
+   * 
+   * @async
+   * @param {number} r - Red, 0-255
+   * @param {number} g - Green, 0-255
+   * @param {number} b - Blue, 0-255
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If a component is out of range or the API request fails
+   * 
+   * @example
+   * await govee.setColorRgb(255, 120, 0);
+   */
+  async setColorRgb(r, g, b) {
+    return this.controlDevice(capabilities.colorRgb(r, g, b));
+  }
+
+  /**
+   * Sets a white color temperature.
+   * 
+   * @async
+   * @param {number} kelvin - Color temperature, 2000-9000
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If the value is out of range or the API request fails
+   * 
+   * @example
+   * await govee.setColorTemperature(2700);
+   */
+  async setColorTemperature(kelvin) {
+    return this.controlDevice(capabilities.colorTemperature(kelvin));
+  }
+
+  /**
+   * Sets the color of some segments of the light.
+   * 
+   * @async
+   * @param {number[]} segments - Segment indexes, 0-14
+   * @param {number} r - Red, 0-255
+   * @param {number} g - Green, 0-255
+   * @param {number} b - Blue, 0-255
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If a value is out of range or the API request fails
+   * 
+   * @example
+   * await govee.setSegmentColors([0, 1, 2], 0, 0, 255);
+   */
+  async setSegmentColors(segments, r, g, b) {
+    return this.controlDevice(capabilities.segmentColors(segments, r, g, b));
+  }
+
+  /**
+   * Sets the brightness of some segments of the light.
+   * 
+   * @async
+   * @param {number[]} segments - Segment indexes, 0-14
+   * @param {number} brightness - Brightness, 0-100
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If a value is out of range or the API request fails
+   * 
+   * @example
+   * await govee.setSegmentBrightness([0, 1, 2], 20);
+   */
+  async setSegmentBrightness(segments, brightness) {
+    return this.controlDevice(capabilities.segmentBrightness(segments, brightness));
+  }
+
+  /**
+   * Switches to a music mode.
+   * 
+   * @async
+   * @param {string|number} mode - 'Energic', 'Rhythm', 'Spectrum', 'Rolling' or a mode code
+   * @param {number} sensitivity - Sensitivity, 0-100
+   * @param {Object} [options] - { autoColor: boolean, rgb: [r, g, b] }
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If a value is invalid or the API request fails
+   * 
+   * @example
+   * await govee.setMusicMode('Rhythm', 60, { autoColor: true });
+   */
+  async setMusicMode(mode, sensitivity, options) {
+    return this.controlDevice(capabilities.musicMode(mode, sensitivity, options));
+  }
+
+  /**
+   * Switches to a light scene.
+   * 
+   * @async
+   * @param {Object|number} scene - { id, paramId } from getScenes(), or a scene id from scenes.js
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If the scene is invalid or the API request fails
+   * 
+   * @example
+   * await govee.setScene({ id: 3853, paramId: 4280 });
+   */
+  async setScene(scene) {
+    return this.controlDevice(capabilities.scene(scene));
+  }
+
+  /**
+   * Switches to a DIY scene made in the Govee app.
+   * 
+   * @async
+   * @param {number} sceneId - DIY scene id
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If the id is invalid or the API request fails
+   */
+  async setDiyScene(sceneId) {
+    return this.controlDevice(capabilities.diyScene(sceneId));
+  }
+
+  /**
+   * Switches the night light scene, for devices with a night light.
+   * 
+   * @async
+   * @param {number} value - Night light scene value
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If the value is invalid or the API request fails
+   */
+  async setNightlightScene(value) {
+    return this.controlDevice(capabilities.nightlightScene(value));
+  }
+
+  /**
+   * Turns the color gradient on or off.
+   * 
+   * @async
+   * @param {boolean|number|string} on - true/1/'on' or false/0/'off'
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If the value is invalid or the API request fails
+   */
+  async setGradient(on) {
+    return this.controlDevice(capabilities.gradient(on));
+  }
+
+  /**
+   * Sets the device work mode.
+   * 
+   * @async
+   * @param {number} workMode - Work mode value
+   * @param {number} [modeValue] - Value for that mode
+   * @returns {Promise<Object>} A promise that resolves to the control response
+   * @throws {Error} If a value is invalid or the API request fails
+   */
+  async setWorkMode(workMode, modeValue) {
+    return this.controlDevice(capabilities.workMode(workMode, modeValue));
+  }
 }
 
 module.exports = GoveeApi;
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Rate limited request queue for the Govee API.
+ * Sends requests one at a time within Govee's published rate limits, retries
+ * rate limited (429) and transient (5xx / network) failures with exponential
+ * backoff, and coalesces commands that a newer one has made pointless.
+ */
+
+/**
+ * Default rate limits. Govee allows 10 requests per minute per device and
+ * 10,000 requests per day per account.
+ * @const {Object}
+ */
+const DEFAULT_RATE_LIMIT = {
+  perMinute: 10,
+  perDay: 10000
+};
+
+/**
+ * How long a request sits in the queue before it is sent, giving a newer
+ * request with the same key a chance to replace it.
+ * @const {number}
+ */
+const DEFAULT_SETTLE_MS = 150;
+
+/**
+ * Default retry policy.
+ * @const {Object}
+ */
+const DEFAULT_RETRY = {
+  retries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+/**
+ * TokenBucket refills continuously up to its capacity, one token per request.
+ *
+ * @class
+ */
+class TokenBucket {
+  /**
+   * Creates a token bucket that starts full.
+   *
+   * @constructor
+   * @param {number} capacity - Maximum number of tokens
+   * @param {number} refillMs - Time in which an empty bucket refills completely
+   * @param {Function} now - Clock returning milliseconds
+   */
+  constructor(capacity, refillMs, now) {
+    this.capacity = capacity;
+    this.refillMs = refillMs;
+    this.now = now;
+    this.tokens = capacity;
+    this.updatedAt = now();
+  }
+
+  /**
+   * Works out how long until a token is available.
+   *
+   * @returns {number} Milliseconds to wait, 0 if a token is available now
+   */
+  waitTime() {
+    this.refill();
+    if (this.tokens >= 1) return 0;
+    return Math.ceil((1 - this.tokens) * this.refillMs / this.capacity);
+  }
+
+  /**
+   * Takes a token. Call waitTime() first.
+   */
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  /**
+   * Adds the tokens earned since the last update.
+   *
+   * @private
+   */
+  refill() {
+    const now = this.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.capacity / this.refillMs);
+    this.updatedAt = now;
+  }
+}
+
+/**
+ * Checks whether a failed request is worth retrying.
+ *
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} True for rate limits, server errors and network failures
+ */
+function isRetryable(error) {
+  if (!error.response) return true;
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Reads a Retry-After header, which is either seconds or an HTTP date.
+ *
+ * @param {Error} error - Error thrown by axios
+ * @param {Function} now - Clock returning milliseconds
+ * @returns {number|null} Milliseconds to wait, or null if there's no usable header
+ */
+function retryAfterMs(error, now) {
+  const headers = error.response && error.response.headers;
+  const value = headers && (headers['retry-after'] || headers['Retry-After']);
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+(\.\d+)?$/.test(String(value))) return Number(value) * 1000;
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now());
+}
+
+/**
+ * RequestQueue sends requests in order through a token bucket.
+ *
+ * Requests pushed with a key replace a queued request with the same key that
+ * has not been sent yet, taking their place at the back of the queue, and
+ * everyone waiting on either gets the outcome of the newer one. Each request settles for a moment before it is sent, so
+ * three quick brightness taps send only the last.
+ *
+ * @class
+ * @example
+ * const queue = new RequestQueue({ send: (capability) => post(capability) });
+ * await queue.push('brightness', { type: 'devices.capabilities.range', instance: 'brightness', value: 50 });
+ */
+class RequestQueue {
+  /**
+   * Creates a request queue.
+   *
+   * @constructor
+   * @param {Object} options
+   * @param {Function} options.send - Sends one payload, returning a promise
+   * @param {Object} [options.rateLimit] - Overrides for DEFAULT_RATE_LIMIT
+   * @param {Object} [options.retry] - Overrides for DEFAULT_RETRY
+   * @param {number} [options.settleMs=150] - How long a request waits for a newer one with the same key
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   * @param {Function} [options.sleep] - Resolves after the given milliseconds, injectable for tests
+   */
+  constructor(options) {
+    const rateLimit = Object.assign({}, DEFAULT_RATE_LIMIT, options.rateLimit);
+
+    this.send = options.send;
+    this.retry = Object.assign({}, DEFAULT_RETRY, options.retry);
+    this.settleMs = options.settleMs !== undefined ? options.settleMs : DEFAULT_SETTLE_MS;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.buckets = [
+      new TokenBucket(rateLimit.perMinute, 60 * 1000, this.now),
+      new TokenBucket(rateLimit.perDay, 24 * 60 * 60 * 1000, this.now)
+    ];
+    this.pending = [];
+    this.draining = false;
+  }
+
+  /**
+   * Queues a request.
+   *
+   * @param {string|null} key - Coalescing key, null to never coalesce
+   * @param {*} payload - Passed to send()
+   * @returns {Promise<*>} Resolves with the response of the request that was actually sent
+   */
+  push(key, payload) {
+    return new Promise((resolve, reject) => {
+      const waiters = [{ resolve, reject }];
+      const index = key === null ? -1 : this.pending.findIndex((entry) => entry.key === key);
+
+      // The replaced request's place in line goes too, so on, scene, off still ends with off
+      if (index !== -1) waiters.unshift(...this.pending.splice(index, 1)[0].waiters);
+
+      this.pending.push({ key, payload, readyAt: this.now() + this.settleMs, waiters });
+      this.drain();
+    });
+  }
+
+  /**
+   * Number of requests waiting to be sent.
+   *
+   * @returns {number} Queue length
+   */
+  get size() {
+    return this.pending.length;
+  }
+
+  /**
+   * Sends queued requests one at a time until the queue is empty.
+   *
+   * @private
+   * @async
+   */
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      while (this.pending.length) {
+        const settle = this.pending[0].readyAt - this.now();
+        if (settle > 0) {
+          await this.sleep(settle);
+          continue;
+        }
+
+        const entry = this.pending.shift();
+
+        try {
+          const result = await this.attempt(entry);
+          if (result.superseded) continue;
+          entry.waiters.forEach((waiter) => waiter.resolve(result.response));
+        } catch (error) {
+          entry.waiters.forEach((waiter) => waiter.reject(error));
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Sends one request, retrying with exponential backoff. If a newer request
+   * with the same key shows up while we're backing off, this one is dropped
+   * and its waiters move over to the newer one.
+   *
+   * @private
+   * @async
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<{response: *, superseded: boolean}>} Outcome of the request
+   */
+  async attempt(entry) {
+    for (let attempt = 0; ; attempt++) {
+      await this.takeToken();
+
+      try {
+        return { response: await this.send(entry.payload), superseded: false };
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= this.retry.retries) throw error;
+
+        const backoff = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * Math.pow(2, attempt));
+        const delay = retryAfterMs(error, this.now);
+        await this.sleep(delay !== null ? delay : backoff);
+
+        const newer = entry.key !== null && this.pending.find((queued) => queued.key === entry.key);
+        if (newer) {
+          newer.waiters.unshift(...entry.waiters);
+          return { response: null, superseded: true };
+        }
+      }
+    }
+  }
+
+  /**
+   * Waits until every bucket has a token, then takes one from each.
+   *
+   * @private
+   * @async
+   */
+  async takeToken() {
+    let wait;
+    while ((wait = Math.max(...this.buckets.map((bucket) => bucket.waitTime()))) > 0) {
+      await this.sleep(wait);
+    }
+    this.buckets.forEach((bucket) => bucket.take());
+  }
+}
+
+module.exports = {
+  RequestQueue,
+  TokenBucket,
+  DEFAULT_RATE_LIMIT,
+  DEFAULT_RETRY,
+  DEFAULT_SETTLE_MS
+};
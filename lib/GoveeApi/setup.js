@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Interactive first-time setup for the Govee API wrapper.
+ * Lists the devices on a Govee account, lets you pick the one to control and
+ * writes lib/GoveeApi/config.js, instead of copying config.example.js and
+ * filling in the SKU and device ID by hand.
+ *
+ * Run with `npm run setup`.
+ *
+ * @requires fs
+ * @requires path
+ * @requires readline
+ * @requires ./index
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const GoveeApi = require('./index');
+
+const CONFIG_FILE = path.join(__dirname, 'config.js');
+const DEFAULT_API_URL = 'https://openapi.api.govee.com';
+
+/**
+ * Asks a question on the terminal.
+ *
+ * @param {readline.Interface} rl - Terminal interface
+ * @param {string} question - Prompt to show
+ * @returns {Promise<string>} The trimmed answer
+ */
+function ask(rl, question) {
+  return new Promise((resolve) => rl.question(question, (answer) => resolve(answer.trim())));
+}
+
+/**
+ * Renders config.js in the same shape as config.example.js.
+ *
+ * @param {Object} config - apiKey, apiUrl, deviceSku, deviceId and any other settings to keep
+ * @returns {string} File contents
+ */
+function renderConfig(config) {
+  return `// config.js
+const config = ${JSON.stringify(config, null, 4)};
+
+module.exports = config;
+`;
+}
+
+/**
+ * Walks through picking a device and writes the config file.
+ *
+ * @async
+ */
+async function setup() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    let existing = {};
+    if (fs.existsSync(CONFIG_FILE)) existing = require(CONFIG_FILE);
+
+    const apiKey = existing.apiKey || await ask(rl, 'Govee API key: ');
+    const apiUrl = existing.apiUrl || DEFAULT_API_URL;
+    const govee = new GoveeApi({ apiKey, apiUrl });
+
+    const { data } = await govee.getDevices();
+    const devices = data || [];
+
+    if (!devices.length) {
+      console.log('No devices found on this Govee account.');
+      return;
+    }
+
+    console.log('Devices on this account:');
+    devices.forEach((device, i) => {
+      console.log(`  ${i + 1}. ${device.deviceName || 'unnamed'} - ${device.sku} ${device.device}`);
+    });
+
+    let choice;
+    while (!choice) {
+      const answer = Number(await ask(rl, `Which device should the touch pads control? [1-${devices.length}] `));
+      choice = devices[answer - 1];
+    }
+
+    const config = Object.assign({}, existing, { apiKey, apiUrl, deviceSku: choice.sku, deviceId: choice.device });
+    fs.writeFileSync(CONFIG_FILE, renderConfig(config));
+    console.log(`Wrote ${CONFIG_FILE} for ${choice.deviceName || choice.sku}.`);
+  } finally {
+    rl.close();
+  }
+}
+
+if (require.main === module) {
+  setup().catch((error) => {
+    console.error('Setup failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = setup;
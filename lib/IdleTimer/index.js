@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * @fileoverview Idle auto-off and sleep timer
+ * Counts down to turning the light off, either from the last interaction
+ * (idle mode) or from an explicitly set sleep timer (sleep mode), with an
+ * optional warning shortly before the end.
+ *
+ * @module IdleTimer
+ * @requires events
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Countdown to auto-off.
+ *
+ * In idle mode every call to activity() restarts the countdown. A sleep timer
+ * runs to its deadline no matter what else happens, until it is cancelled.
+ *
+ * @extends EventEmitter
+ *
+ * @fires IdleTimer#warning - Emitted with the mode ('idle' or 'sleep') warningMs before the end
+ * @fires IdleTimer#expired - Emitted with the mode ('idle' or 'sleep') when the countdown ends
+ *
+ * @example
+ * const idle = new IdleTimer({ timeoutMs: 60 * 60000, warningMs: 60000 });
+ * idle.on('expired', () => turnOff());
+ * idle.activity();
+ */
+class IdleTimer extends EventEmitter {
+
+    /**
+     * Creates a new idle timer
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=0] - Idle countdown, 0 disables idle auto-off
+     * @param {number} [options.warningMs=0] - How long before the end to warn, 0 disables the warning
+     * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this.timeoutMs = options.timeoutMs || 0;
+        this.warningMs = options.warningMs || 0;
+        this.now = options.now || Date.now;
+
+        this.mode = null;
+        this.deadline = null;
+        this.warningTimer = null;
+        this.expireTimer = null;
+    }
+
+    /**
+     * Records an interaction, restarting the idle countdown unless a sleep timer is running
+     */
+    activity() {
+        if (this.mode === 'sleep' || !this.timeoutMs) return;
+        this.start('idle', this.timeoutMs);
+    }
+
+    /**
+     * Starts a sleep timer, replacing any running countdown
+     * @param {number} ms - Milliseconds until the light turns off
+     */
+    sleep(ms) {
+        this.start('sleep', ms);
+    }
+
+    /**
+     * Cancels a running sleep timer and goes back to the idle countdown
+     */
+    cancelSleep() {
+        if (this.mode !== 'sleep') return;
+
+        this.cancel();
+        this.activity();
+    }
+
+    /**
+     * Stops every countdown, e.g. once the light has been turned off
+     */
+    cancel() {
+        clearTimeout(this.warningTimer);
+        clearTimeout(this.expireTimer);
+
+        this.mode = null;
+        this.deadline = null;
+        this.warningTimer = null;
+        this.expireTimer = null;
+    }
+
+    /**
+     * Gets the time left on the current countdown
+     * @returns {number|null} Milliseconds left, or null if nothing is counting down
+     */
+    remaining() {
+        return this.deadline === null ? null : Math.max(0, this.deadline - this.now());
+    }
+
+    /**
+     * Starts a countdown
+     * @private
+     * @param {string} mode - 'idle' or 'sleep'
+     * @param {number} ms - Milliseconds until expiry
+     */
+    start(mode, ms) {
+        this.cancel();
+
+        this.mode = mode;
+        this.deadline = this.now() + ms;
+
+        if (this.warningMs && this.warningMs < ms) {
+            this.warningTimer = setTimeout(() => {
+                this.warningTimer = null;
+                this.emit('warning', mode);
+            }, ms - this.warningMs);
+        }
+
+        this.expireTimer = setTimeout(() => {
+            this.cancel();
+            this.emit('expired', mode);
+        }, ms);
+    }
+}
+
+exports = module.exports = IdleTimer;
@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * @fileoverview Indicator LEDs
+ * Drives LEDs wired to spare MPR121 electrodes from what the controller does:
+ * a short flash when a command goes through, a few blinks when the schedule
+ * blocks one, and a steady light while the light is on. Roles can share an
+ * LED, in which case flashes and blinks play over the steady power light.
+ *
+ * @module Indicators
+ * @requires events
+ */
+
+const EventEmitter = require('events');
+
+/** @const {string[]} Things an indicator can show */
+const ROLES = ['success', 'blocked', 'power'];
+
+/** @const {string} GPIO mode for an LED from the pin to ground */
+const LED_MODE = 'outputHighSide';
+
+/**
+ * Lights indicator LEDs from controller events
+ *
+ * @extends EventEmitter
+ *
+ * @fires Indicators#error - Emitted with an Error when an LED can't be written
+ *
+ * @example
+ * const indicators = new Indicators({ sensor, pins: { success: 11, blocked: 11 } });
+ * indicators.attach(controller);
+ */
+class Indicators extends EventEmitter {
+
+    /**
+     * Creates the indicators
+     * @param {Object} options
+     * @param {SensorArray|MPR121} options.sensor - Sensor whose GPIO pins the LEDs are on, set up as outputs
+     * @param {Object<string, number|string>} options.pins - Pin (or "board:pin" pad ID) for each role in ROLES, roles left out aren't shown
+     * @param {number} [options.flashMs=200] - How long a success flash lasts
+     * @param {number} [options.blinkMs=150] - Length of each half of a blocked blink
+     * @param {number} [options.blinks=3] - Blinks when an action is blocked
+     */
+    constructor(options) {
+        super();
+
+        this.sensor = options.sensor;
+        this.pins = Object.assign({}, options.pins);
+        this.flashMs = options.flashMs || 200;
+        this.blinkMs = options.blinkMs || 150;
+        this.blinks = options.blinks || 3;
+
+        // Steady level per pin, and the timer of any flash or blink playing on it
+        this.levels = {};
+        this.timers = {};
+    }
+
+    /**
+     * Starts following a controller's events
+     * @param {Controller} controller - Controller to follow
+     * @returns {Indicators} this
+     */
+    attach(controller) {
+        controller.on('action', () => this.flash(this.pins.success));
+        controller.on('blocked', () => this.blink(this.pins.blocked));
+        controller.on('power', (state) => this.show(this.pins.power, state === 'on'));
+        return this;
+    }
+
+    /**
+     * Sets a pin's steady level
+     * @param {number} [pin] - Pin, nothing happens without one
+     * @param {boolean} on - True to light it
+     */
+    show(pin, on) {
+        if (pin === undefined) return;
+
+        this.levels[pin] = on;
+        // A flash or blink in progress puts the new level back when it ends
+        if (!this.timers[pin]) this.write(pin, on);
+    }
+
+    /**
+     * Briefly flips a pin from its steady level
+     * @param {number} [pin] - Pin, nothing happens without one
+     */
+    flash(pin) {
+        this.play(pin, 2, this.flashMs);
+    }
+
+    /**
+     * Flips a pin from its steady level and back a few times
+     * @param {number} [pin] - Pin, nothing happens without one
+     */
+    blink(pin) {
+        this.play(pin, this.blinks * 2, this.blinkMs);
+    }
+
+    /**
+     * Stops any flashing and turns every indicator off
+     * @returns {Promise} Resolves when the LEDs are off, errors are emitted rather than thrown
+     */
+    stop() {
+        Object.keys(this.timers).forEach((pin) => clearTimeout(this.timers[pin]));
+        this.timers = {};
+
+        const pins = Array.from(new Set(ROLES.map((role) => this.pins[role]).filter((pin) => pin !== undefined)));
+        return Promise.all(pins.map((pin) => {
+            this.levels[pin] = false;
+            return this.write(pin, false);
+        }));
+    }
+
+    /**
+     * Flips a pin a number of times, ending on its steady level, replacing
+     * anything already playing on it
+     * @private
+     * @param {number} [pin] - Pin, nothing happens without one
+     * @param {number} steps - Writes to make, even so it ends where it started
+     * @param {number} ms - Time between writes
+     */
+    play(pin, steps, ms) {
+        if (pin === undefined) return;
+
+        clearTimeout(this.timers[pin]);
+
+        let remaining = steps;
+        const step = () => {
+            remaining--;
+            this.write(pin, remaining % 2 === 1 ? !this.levels[pin] : !!this.levels[pin]);
+
+            if (remaining > 0) {
+                this.timers[pin] = setTimeout(step, ms);
+            } else {
+                delete this.timers[pin];
+            }
+        };
+        step();
+    }
+
+    /**
+     * Writes a pin
+     * @private
+     * @param {number} pin - Pin
+     * @param {boolean} on - True to light it
+     * @returns {Promise} Resolves when written, errors are emitted rather than thrown
+     */
+    write(pin, on) {
+        return this.sensor.writeGpio(pin, on)
+            .catch((error) => this.emit('error', error));
+    }
+
+    /**
+     * GPIO modes the sensor needs for a set of indicator pins
+     * @param {Object<string, number|string>} pins - Pin or pad ID for each role
+     * @returns {Object<string, string>} GPIO mode by pin, for setGpioMode or the MPR121 gpioModes option
+     */
+    static gpioModes(pins) {
+        const modes = {};
+        Object.keys(pins || {}).forEach((role) => {
+            modes[pins[role]] = LED_MODE;
+        });
+        return modes;
+    }
+}
+
+Indicators.ROLES = ROLES;
+
+exports = module.exports = Indicators;
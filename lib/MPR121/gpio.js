@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * @fileoverview GPIO edge watching for the MPR121 IRQ line
+ * The driver only needs one thing from GPIO: to be told when the IRQ pin
+ * falls. Anything with a watch(pin, onEdge, onError) method that returns an
+ * unwatch function will do, so a different GPIO library (or the simulator's
+ * IRQ line) can be plugged in through the `gpio` option.
+ *
+ * The default adapter runs libgpiod's `gpiomon`, which comes with Raspberry Pi
+ * OS (`sudo apt install gpiod` otherwise), so there's no native module to build.
+ *
+ * @module MPR121/gpio
+ * @requires child_process
+ * @requires readline
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+/**
+ * gpiomon arguments for libgpiod 1.x, which Raspberry Pi OS Bullseye and
+ * Bookworm ship. libgpiod 2.x wants `['-e', 'falling', '-c', chip, String(pin)]`.
+ * @param {string} chip - GPIO chip name
+ * @param {number} pin - Line offset, the BCM number on a Raspberry Pi
+ * @returns {string[]} Command line arguments
+ */
+function defaultArgs(chip, pin) {
+    return ['--falling-edge', chip, String(pin)];
+}
+
+/**
+ * Builds a GPIO adapter that watches falling edges with gpiomon
+ *
+ * @param {Object} [options]
+ * @param {string} [options.chip='gpiochip0'] - GPIO chip the IRQ pin is on
+ * @param {string} [options.command='gpiomon'] - Path to gpiomon
+ * @param {Function} [options.args] - (chip, pin) => arguments, for other gpiomon versions
+ * @returns {{watch: Function}} A GPIO adapter
+ *
+ * @example
+ * const sensor = new MPR121({ irqPin: 4, gpio: gpiomon({ chip: 'gpiochip4' }) });
+ */
+function gpiomon(options) {
+    options = options || {};
+
+    const chip = options.chip || 'gpiochip0';
+    const command = options.command || 'gpiomon';
+    const args = options.args || defaultArgs;
+
+    return {
+        /**
+         * Calls onEdge for every falling edge on a pin
+         * @param {number} pin - Line offset
+         * @param {Function} onEdge - Called once per edge
+         * @param {Function} onError - Called with an Error if watching stops unexpectedly
+         * @returns {Function} Stops watching
+         */
+        watch(pin, onEdge, onError) {
+            const child = spawn(command, args(chip, pin), { stdio: ['ignore', 'pipe', 'pipe'] });
+            let stopped = false;
+            let stderr = '';
+
+            // gpiomon prints one line per event
+            readline.createInterface({ input: child.stdout }).on('line', () => {
+                if (!stopped) onEdge();
+            });
+            child.stderr.on('data', (data) => {
+                stderr += data;
+            });
+            child.on('error', (error) => {
+                if (stopped) return;
+                stopped = true;
+                onError(new Error(`Could not run ${command}: ${error.message}`));
+            });
+            child.on('exit', (code, signal) => {
+                if (stopped) return;
+                stopped = true;
+                onError(new Error(`${command} exited (${signal || code})${stderr ? `: ${stderr.trim()}` : ''}`));
+            });
+
+            return () => {
+                if (stopped) return;
+                stopped = true;
+                child.kill();
+            };
+        }
+    };
+}
+
+module.exports = {
+    gpiomon
+};
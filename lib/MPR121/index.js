@@ -4,15 +4,28 @@
  * @fileoverview MPR121 Capacitive Touch Sensor Driver
  * This module provides a driver for the MPR121 capacitive touch sensor controller,
  * communicating over I2C. It supports up to 12 capacitive touch inputs and provides
- * events for touch and release actions.
+ * events for touch and release actions. Touches are picked up by polling the
+ * status register, or by waiting for the chip's IRQ line to fall. Electrodes
+ * 4-11 can be used as GPIO pins instead, e.g. to drive LEDs, and some of the
+ * electrodes can be combined into a 13th, proximity electrode that notices a
+ * hand or a body before it touches anything.
  * 
  * @module MPR121
  * @requires i2c-bus
  * @requires events
  */
 
-const i2c = require('i2c-bus'),
-    EventEmitter = require('events');
+const EventEmitter = require('events');
+const {
+    FIRST_GPIO_PIN,
+    GPIO_MODES,
+    resolveOptions,
+    registerValues,
+    electrodeCount,
+    gpioRegisterValues,
+    proximityEnable,
+    calibrationLock
+} = require('./options');
 
 // MPR121 Register Addresses
 /** @const {number} Default I2C address for MPR121 */
@@ -49,6 +62,28 @@ const MPR121_I2CADDR_DEFAULT = 0x5A,
     MPR121_NCLT = 0x34,
     /** @const {number} Touched FDL register */
     MPR121_FDLT = 0x35,
+    /** @const {number} Proximity rising MHD register */
+    MPR121_MHDPROXR = 0x36,
+    /** @const {number} Proximity rising NHD register */
+    MPR121_NHDPROXR = 0x37,
+    /** @const {number} Proximity rising NCL register */
+    MPR121_NCLPROXR = 0x38,
+    /** @const {number} Proximity rising FDL register */
+    MPR121_FDLPROXR = 0x39,
+    /** @const {number} Proximity falling MHD register */
+    MPR121_MHDPROXF = 0x3A,
+    /** @const {number} Proximity falling NHD register */
+    MPR121_NHDPROXF = 0x3B,
+    /** @const {number} Proximity falling NCL register */
+    MPR121_NCLPROXF = 0x3C,
+    /** @const {number} Proximity falling FDL register */
+    MPR121_FDLPROXF = 0x3D,
+    /** @const {number} Proximity touched NHD register */
+    MPR121_NHDPROXT = 0x3E,
+    /** @const {number} Proximity touched NCL register */
+    MPR121_NCLPROXT = 0x3F,
+    /** @const {number} Proximity touched FDL register */
+    MPR121_FDLPROXT = 0x40,
     /** @const {number} Touch threshold register start */
     MPR121_TOUCHTH_0 = 0x41,
     /** @const {number} Release threshold register start */
@@ -65,6 +100,12 @@ const MPR121_I2CADDR_DEFAULT = 0x5A,
     MPR121_CHARGECURR_0 = 0x5F,
     /** @const {number} Charge time register */
     MPR121_CHARGETIME_1 = 0x6C,
+    /** @const {number} GPIO control register 0 */
+    MPR121_GPIOCTL0 = 0x73,
+    /** @const {number} GPIO control register 1 */
+    MPR121_GPIOCTL1 = 0x74,
+    /** @const {number} GPIO data register */
+    MPR121_GPIODATA = 0x75,
     /** @const {number} GPIO direction register */
     MPR121_GPIODIR = 0x76,
     /** @const {number} GPIO enable register */
@@ -86,7 +127,66 @@ const MPR121_I2CADDR_DEFAULT = 0x5A,
     /** @const {number} Target limit register */
     MPR121_TARGETLIMIT = 0x7F,
     /** @const {number} Soft reset register */
-    MPR121_SOFTRESET = 0x80;
+    MPR121_SOFTRESET = 0x80,
+    /** @const {number} PWM duty register start, two GPIO pins per register */
+    MPR121_PWM_0 = 0x81;
+
+/** @const {number} ECR electrode bits that run all 12 electrodes */
+const ECR_ALL_ELECTRODES = 0x0F;
+
+/** @const {number} Highest PWM duty, fully on */
+const PWM_MAX = 15;
+
+/** @const {number} The proximity electrode's slot in the data and threshold registers, after ELE0-11 */
+const PROXIMITY_PIN = 12;
+
+/** @const {number} Touch status bit for the proximity electrode */
+const STATUS_PROXIMITY = 0x1000;
+
+/** @const {number} Touch status bit the chip sets when REXT is shorted, after which it stops */
+const STATUS_OVER_CURRENT = 0x8000;
+
+/** @const {number} Wait before retrying a failed recovery, doubled each time */
+const RECOVERY_DELAY_MS = 1000;
+
+/** @const {number} Longest wait between recovery attempts */
+const MAX_RECOVERY_DELAY_MS = 30000;
+
+/** @const {Object<string, number>} Tuning registers, by the names options.js uses */
+const TUNING_REGISTERS = {
+    MHDR: MPR121_MHDR,
+    NHDR: MPR121_NHDR,
+    NCLR: MPR121_NCLR,
+    FDLR: MPR121_FDLR,
+    MHDF: MPR121_MHDF,
+    NHDF: MPR121_NHDF,
+    NCLF: MPR121_NCLF,
+    FDLF: MPR121_FDLF,
+    NHDT: MPR121_NHDT,
+    NCLT: MPR121_NCLT,
+    FDLT: MPR121_FDLT,
+    MHDPROXR: MPR121_MHDPROXR,
+    NHDPROXR: MPR121_NHDPROXR,
+    NCLPROXR: MPR121_NCLPROXR,
+    FDLPROXR: MPR121_FDLPROXR,
+    MHDPROXF: MPR121_MHDPROXF,
+    NHDPROXF: MPR121_NHDPROXF,
+    NCLPROXF: MPR121_NCLPROXF,
+    FDLPROXF: MPR121_FDLPROXF,
+    NHDPROXT: MPR121_NHDPROXT,
+    NCLPROXT: MPR121_NCLPROXT,
+    FDLPROXT: MPR121_FDLPROXT,
+    DEBOUNCE: MPR121_DEBOUNCE,
+    CONFIG1: MPR121_CONFIG1,
+    CONFIG2: MPR121_CONFIG2,
+    CHARGECURR_0: MPR121_CHARGECURR_0,
+    CHARGETIME_1: MPR121_CHARGETIME_1,
+    AUTOCONFIG0: MPR121_AUTOCONFIG0,
+    AUTOCONFIG1: MPR121_AUTOCONFIG1,
+    UPLIMIT: MPR121_UPLIMIT,
+    LOWLIMIT: MPR121_LOWLIMIT,
+    TARGETLIMIT: MPR121_TARGETLIMIT
+};
 
 /**
  * MPR121 Capacitive Touch Sensor Controller Class
@@ -94,33 +194,97 @@ const MPR121_I2CADDR_DEFAULT = 0x5A,
  * 
  * @fires MPR121#touch - Emitted when a pin is touched
  * @fires MPR121#release - Emitted when a pin is released
- * @fires MPR121#error - Emitted when an error occurs
- * @fires MPR121#ready - Emitted when the sensor is initialized and ready
+ * @fires MPR121#approach - Emitted when something comes within range of the proximity electrode
+ * @fires MPR121#leave - Emitted when it has gone again
+ * @fires MPR121#error - Emitted when an error occurs, including failed reads. The sensor resets
+ *     and reconfigures itself afterwards, so listen for this rather than letting it throw
+ * @fires MPR121#ready - Emitted when the sensor is initialized and ready, and again after it recovers
  */
 class MPR121 extends EventEmitter {
 
     /**
-     * Creates a new MPR121 instance
-     * @param {number} [address=0x5A] - I2C address of the MPR121
-     * @param {number} [bus=1] - I2C bus number
-     * @param {number} [interval=100] - Polling interval in milliseconds
+     * Creates a new MPR121 instance, either from an options object or from the
+     * original (address, bus, interval, i2cBus) arguments.
+     * @param {Object|number} [options] - Options, or the I2C address
+     * @param {number} [options.address=0x5A] - I2C address of the MPR121 (0x5A-0x5D)
+     * @param {number} [options.bus=1] - I2C bus number
+     * @param {number} [options.interval=100] - Polling interval in milliseconds
+     * @param {number} [options.irqPin] - GPIO the chip's IRQ output is wired to. When set, the status is
+     *     only read after the line falls, instead of every interval
+     * @param {Object} [options.gpio] - GPIO adapter with watch(pin, onEdge, onError), see gpio.js. Defaults to gpiomon
+     * @param {number} [options.irqWatchdogMs=1000] - In IRQ mode, also read this often in case an edge
+     *     was missed (0 to turn off)
+     * @param {Object} [options.i2cBus] - Anything with i2c-bus's open(), e.g. a simulated bus. Defaults to i2c-bus itself
+     * @param {Object} [options.thresholds] - { touch, release } for every electrode, 25/15 by default
+     * @param {number} [options.chargeCurrent=16] - Global charge current in uA (1-63)
+     * @param {number} [options.chargeTimeUs=0.5] - Global charge time in us (0.5, 1, 2, 4, 8, 16 or 32)
+     * @param {Object} [options.electrodeCharge] - Per-pin overrides, e.g. { "3": { current: 20, timeUs: 1 } }
+     * @param {number} [options.firstFilterIterations=6] - Samples per first-level filter reading (6, 10, 18 or 34)
+     * @param {number} [options.secondFilterIterations=4] - Readings per second-level filter value (4, 6, 10 or 18)
+     * @param {number} [options.sampleIntervalMs=1] - Electrode sample interval (1, 2, 4 ... 128)
+     * @param {Object} [options.filters] - Baseline filter settings, { rising: { mhd, nhd, ncl, fdl }, falling: {...}, touched: { nhd, ncl, fdl } }
+     * @param {Object} [options.debounce] - { touch, release }, consecutive readings (0-7) needed to change state
+     * @param {string} [options.baselineTracking='fiveBit'] - 'current', 'disabled', 'fiveBit' or 'tenBit'
+     * @param {Object|boolean} [options.autoConfig=false] - true or { supplyVoltage, retry, reconfigure, skipChargeTimeSearch }
+     *     to let the chip pick each electrode's charge current and time
+     * @param {Object<number, string>} [options.gpioModes] - Electrodes (4-11) to use as GPIO pins, with their
+     *     GPIO_MODES mode. The lowest one and every electrode above it stop sensing touches
+     * @param {Object|boolean} [options.proximity=false] - true or { electrodes, thresholds, filters } to turn on
+     *     the proximity electrode, made of ELE0-1, ELE0-3 or ELE0-11 (electrodes 2, 4 or 12, 4 by default).
+     *     thresholds and filters work like the touch ones, with defaults meant for proximity
+     * @param {number} [bus] - I2C bus number, when called with positional arguments
+     * @param {number} [interval] - Polling interval, when called with positional arguments
+     * @param {Object} [i2cBus] - i2c-bus lookalike, when called with positional arguments
+     * @throws {Error} If an option is outside the datasheet's range
      */
-    constructor(address, bus, interval) {
+    constructor(options, bus, interval, i2cBus) {
         super();
 
-        this.address = address || MPR121_I2CADDR_DEFAULT;
-        this.bus = Number.isInteger(bus) ? bus : 1;
-        this.interval = interval || 100;
+        if (options === null || typeof options !== 'object') {
+            const positional = { address: options, bus, interval, i2cBus };
+            options = {};
+            // Leave out missing arguments so they get their defaults
+            Object.keys(positional).forEach((key) => {
+                if (positional[key]) options[key] = positional[key];
+            });
+        }
+
+        const settings = resolveOptions(options);
+
+        this.settings = settings;
+        this.address = settings.address;
+        this.bus = settings.bus;
+        this.interval = settings.interval;
+        // Only load the native module when we're talking to real hardware
+        this.i2c = settings.i2cBus || require('i2c-bus');
 
         this.state = [false, false, false, false, false, false, false, false, false, false, false, false];
+        this.thresholds = this.state.map(() => Object.assign({}, settings.thresholds));
+        this.near = false;
+        this.gpioModes = Object.assign({}, settings.gpioModes);
+        this.gpioData = 0;
+        this.pwmDuty = [0, 0, 0, 0, 0, 0, 0, 0];
+        this.ecr = this.electrodeConfig();
+        this.stoppedWrite = null;
+        this.irqPin = settings.irqPin;
+        this.gpio = settings.irqPin === null ? null : settings.gpio || require('./gpio').gpiomon();
+        this.mode = null;
         this.device = false;
         this.ready = false;
-        this.timer = false;
+        this.stopped = false;
+        this.timer = null;
+        this.unwatch = null;
+        this.reading = null;
+        this.readAgain = false;
+        this.recovering = false;
+        this.recoveryTimer = null;
 
         this.init()
             .then(this.reset.bind(this))
             .then(this.configure.bind(this))
-            .then(this.startPolling.bind(this))
+            .then(() => {
+                if (!this.stopped) this.startPolling();
+            })
             .catch((err) => this.emit('error', err));
     }
 
@@ -131,7 +295,7 @@ class MPR121 extends EventEmitter {
      */
     init() {
         return new Promise((resolve, reject) => {
-            this.device = i2c.open(this.bus, (err) => {
+            this.device = this.i2c.open(this.bus, (err) => {
                 if (err) return reject(err);
                 resolve();
             });
@@ -154,27 +318,20 @@ class MPR121 extends EventEmitter {
     }
 
     /**
-     * Configures the MPR121 with default settings
+     * Configures the MPR121 from the constructor options, while it is still
+     * stopped, then starts it
      * @private
      * @returns {Promise} Resolves when configuration is complete
      */
     configure() {
-        return this.setThresholds(25, 15)
-            .then(() => this.writeByte(MPR121_MHDR, 0x01))
-            .then(() => this.writeByte(MPR121_NHDR, 0x01))
-            .then(() => this.writeByte(MPR121_NCLR, 0x0E))
-            .then(() => this.writeByte(MPR121_FDLR, 0x00))
-            .then(() => this.writeByte(MPR121_MHDF, 0x01))
-            .then(() => this.writeByte(MPR121_NHDF, 0x05))
-            .then(() => this.writeByte(MPR121_NCLF, 0x01))
-            .then(() => this.writeByte(MPR121_FDLF, 0x00))
-            .then(() => this.writeByte(MPR121_NHDT, 0x00))
-            .then(() => this.writeByte(MPR121_NCLT, 0x00))
-            .then(() => this.writeByte(MPR121_FDLT, 0x00))
-            .then(() => this.writeByte(MPR121_DEBOUNCE, 0))
-            .then(() => this.writeByte(MPR121_CONFIG1, 0x10)) // default, 16uA charge current
-            .then(() => this.writeByte(MPR121_CONFIG2, 0x20)) // 0.5uS encoding, 1ms period
-            .then(() => this.writeByte(MPR121_ECR, 0x8F)) // start with first 5 bits of baseline tracking
+        const writes = registerValues(this.settings, TUNING_REGISTERS);
+
+        return this.writeThresholds()
+            .then(() => writes.reduce((previous, [reg, value]) => {
+                return previous.then(() => this.writeByte(reg, value));
+            }, Promise.resolve()))
+            .then(() => this.writeGpioConfig())
+            .then(() => this.writeByte(MPR121_ECR, this.ecr)) // start the electrodes with the chosen baseline tracking
             .then(() => {
                 this.ready = true;
                 this.emit('ready');
@@ -182,46 +339,436 @@ class MPR121 extends EventEmitter {
     }
 
     /**
-     * Sets touch and release thresholds for all electrodes
+     * Sets touch and release thresholds for all electrodes. Can be called at
+     * any time: before the sensor is ready the values are used when it starts,
+     * afterwards they are written straight away.
      * @param {number} touch - Touch threshold (0-255)
-     * @param {number} release - Release threshold (0-255)
+     * @param {number} release - Release threshold (0-255), lower than touch
      * @returns {Promise} Resolves when thresholds are set
      */
     setThresholds(touch, release) {
-        if (touch < 0 || touch > 255) return Promise.reject();
-        if (release < 0 || release > 255) return Promise.reject();
+        try {
+            this.thresholds.forEach((current, pin) => this.checkThresholds(pin, touch, release));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        this.thresholds = this.thresholds.map(() => ({ touch, release }));
+        return this.ready ? this.writeThresholds() : Promise.resolve();
+    }
+
+    /**
+     * Sets touch and release thresholds for one electrode, so each painted pad
+     * can be tuned on its own. Like setThresholds, it works before and after
+     * the sensor is ready.
+     * @param {number} pin - Pin number (0-11)
+     * @param {number} touch - Touch threshold (0-255)
+     * @param {number} release - Release threshold (0-255), lower than touch
+     * @returns {Promise} Resolves when thresholds are set
+     */
+    setPinThresholds(pin, touch, release) {
+        try {
+            this.checkThresholds(pin, touch, release);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        this.thresholds[pin] = { touch, release };
+        return this.ready ? this.writeThresholds() : Promise.resolve();
+    }
+
+    /**
+     * Gets the thresholds in use
+     * @returns {Array<{touch: number, release: number}>} Thresholds per pin
+     */
+    getThresholds() {
+        return this.thresholds.map((thresholds) => Object.assign({}, thresholds));
+    }
+
+    /**
+     * Throws unless a pin and its thresholds are in range
+     * @private
+     * @param {number} pin - Pin number (0-11)
+     * @param {number} touch - Touch threshold
+     * @param {number} release - Release threshold
+     */
+    checkThresholds(pin, touch, release) {
+        if (!Number.isInteger(pin) || pin < 0 || pin >= 12) {
+            throw new Error(`Pin must be 0-11, got ${pin}`);
+        }
+        if (!Number.isInteger(touch) || touch < 0 || touch > 255) {
+            throw new Error(`Touch threshold for pin ${pin} must be an integer 0-255, got ${touch}`);
+        }
+        if (!Number.isInteger(release) || release < 0 || release > 255) {
+            throw new Error(`Release threshold for pin ${pin} must be an integer 0-255, got ${release}`);
+        }
+        if (release >= touch) {
+            throw new Error(`Release threshold for pin ${pin} must be lower than its touch threshold (${release} >= ${touch})`);
+        }
+    }
+
+    /**
+     * Writes every electrode's thresholds. The chip ignores writes to these
+     * registers while it is running, so once the sensor is ready it is stopped
+     * for the write and started again afterwards.
+     * @private
+     * @returns {Promise} Resolves when the thresholds are written
+     */
+    writeThresholds() {
+        // The proximity electrode's thresholds follow ELE11's
+        const thresholds = this.settings.proximity ? this.thresholds.concat(this.settings.proximity.thresholds) : this.thresholds;
+        const write = () => Promise.all(thresholds.map((pin, i) => Promise.all([
+            this.writeByte(MPR121_TOUCHTH_0 + 2 * i, pin.touch),
+            this.writeByte(MPR121_RELEASETH_0 + 2 * i, pin.release)
+        ])));
+
+        return this.ready ? this.whileStopped(write) : write();
+    }
+
+    /**
+     * Stops the chip, runs some writes and starts it again with the current
+     * ECR value
+     * @private
+     * @param {Function} write - Returns a promise for the writes
+     * @returns {Promise} Resolves once the chip is running again
+     */
+    whileStopped(write) {
+        // One stop/write/start at a time, so overlapping calls can't restart the chip mid-write
+        this.stoppedWrite = (this.stoppedWrite || Promise.resolve())
+            .catch(() => {})
+            .then(() => this.writeByte(MPR121_ECR, 0x00))
+            .then(write)
+            .then(() => this.writeByte(MPR121_ECR, this.ecr));
+
+        return this.stoppedWrite;
+    }
 
-        let promises = [];
+    /**
+     * Works out the ECR value: the baseline tracking mode, the proximity
+     * electrode, and every electrode below the first GPIO pin
+     * @private
+     * @returns {number} ECR value
+     */
+    electrodeConfig() {
+        const electrodes = electrodeCount(this.gpioModes);
+        return calibrationLock(this.settings.baselineTracking) |
+            proximityEnable(this.settings.proximity) |
+            (electrodes === 12 ? ECR_ALL_ELECTRODES : electrodes);
+    }
+
+    /**
+     * Turns an electrode into a GPIO pin, changes its mode, or (with null)
+     * gives it back to touch sensing. The pin starts out low. Like the
+     * thresholds, this can be called before the sensor is ready.
+     * @param {number} pin - Electrode number (4-11)
+     * @param {string|null} mode - A GPIO_MODES name, or null
+     * @returns {Promise} Resolves when the pin is set up
+     */
+    setGpioMode(pin, mode) {
+        try {
+            this.checkGpioPin(pin);
+            if (mode !== null && !GPIO_MODES[mode]) {
+                throw new Error(`GPIO mode must be one of ${Object.keys(GPIO_MODES).join(', ')} or null, got ${mode}`);
+            }
+            if (mode !== null && this.settings.proximity && pin < this.settings.proximity.electrodes) {
+                throw new Error(`Pin ${pin} is part of the proximity electrode (ELE0-${this.settings.proximity.electrodes - 1}), it can't be GPIO`);
+            }
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const electrodes = electrodeCount(this.gpioModes);
+        if (mode === null) {
+            delete this.gpioModes[pin];
+        } else {
+            this.gpioModes[pin] = mode;
+        }
+        this.gpioData &= ~(1 << (pin - FIRST_GPIO_PIN));
+        this.pwmDuty[pin - FIRST_GPIO_PIN] = 0;
+        this.ecr = this.electrodeConfig();
+
+        if (!this.ready) return Promise.resolve();
+
+        // Electrodes can only be switched between touch sensing and GPIO while the chip is stopped
+        if (electrodeCount(this.gpioModes) !== electrodes) return this.whileStopped(() => this.writeGpioConfig());
+        return this.writeGpioConfig();
+    }
+
+    /**
+     * Sets a GPIO output high or low
+     * @param {number} pin - Electrode number (4-11), set up as an output
+     * @param {boolean} value - True for high
+     * @returns {Promise} Resolves when written
+     */
+    writeGpio(pin, value) {
+        return this.setOutput(pin, value ? PWM_MAX : 0);
+    }
+
+    /**
+     * Dims a GPIO output with the chip's PWM, e.g. to set an LED's brightness
+     * @param {number} pin - Electrode number (4-11), set up as an output
+     * @param {number} duty - Duty cycle in 16ths (0 is off, 15 fully on)
+     * @returns {Promise} Resolves when written
+     */
+    pwm(pin, duty) {
+        if (!Number.isInteger(duty) || duty < 0 || duty > PWM_MAX) {
+            return Promise.reject(new Error(`PWM duty for pin ${pin} must be an integer 0-${PWM_MAX}, got ${duty}`));
+        }
+
+        return this.setOutput(pin, duty);
+    }
 
-        for (let i = 0; i <= 12; i++) {
-            promises.push(this.writeByte(MPR121_TOUCHTH_0 + 2 * i, touch));
-            promises.push(this.writeByte(MPR121_RELEASETH_0 + 2 * i, release));
+    /**
+     * Reads a GPIO pin's level
+     * @param {number} pin - Electrode number (4-11), set up as GPIO
+     * @returns {Promise<boolean>} Resolves true if the pin is high
+     */
+    readGpio(pin) {
+        try {
+            this.checkGpioPin(pin);
+            if (!this.gpioModes[pin]) throw new Error(`Pin ${pin} is not a GPIO pin, set it up with setGpioMode first`);
+        } catch (error) {
+            return Promise.reject(error);
         }
 
-        return Promise.all(promises);
+        return this.readByte(MPR121_GPIODATA).then((data) => (data & (1 << (pin - FIRST_GPIO_PIN))) !== 0);
     }
 
     /**
-     * Starts the polling loop for touch detection
+     * Sets an output's level and PWM duty. Anything below fully on goes
+     * through the PWM, since the data bit has to be high for it to run.
      * @private
+     * @param {number} pin - Electrode number (4-11)
+     * @param {number} duty - 0 for low, PWM_MAX for high, anything between to dim
+     * @returns {Promise} Resolves when written
+     */
+    setOutput(pin, duty) {
+        try {
+            this.checkGpioPin(pin);
+            const mode = GPIO_MODES[this.gpioModes[pin]];
+            if (!mode || !mode.dir) throw new Error(`Pin ${pin} is not a GPIO output, set it up with setGpioMode first`);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const index = pin - FIRST_GPIO_PIN;
+        const bit = 1 << index;
+        // A PWM duty of 0 means "just follow the data bit", which is what fully on wants
+        this.pwmDuty[index] = duty === PWM_MAX ? 0 : duty;
+        this.gpioData = duty ? this.gpioData | bit : this.gpioData & ~bit;
+
+        if (!this.ready) return Promise.resolve();
+
+        return this.writePwm(index)
+            .then(() => this.writeByte(duty ? MPR121_GPIOSET : MPR121_GPIOCLR, bit));
+    }
+
+    /**
+     * Writes the PWM register holding a GPIO pin's duty
+     * @private
+     * @param {number} index - GPIO number (0-7)
+     * @returns {Promise} Resolves when written
+     */
+    writePwm(index) {
+        const even = index & ~1;
+        return this.writeByte(MPR121_PWM_0 + even / 2, (this.pwmDuty[even + 1] << 4) | this.pwmDuty[even]);
+    }
+
+    /**
+     * Writes every GPIO register from the modes, levels and duties in use, so
+     * they come back after a reset too
+     * @private
+     * @returns {Promise} Resolves when written
+     */
+    writeGpioConfig() {
+        const values = gpioRegisterValues(this.gpioModes);
+        const writes = [
+            [MPR121_GPIOCTL0, values.ctl0],
+            [MPR121_GPIOCTL1, values.ctl1],
+            [MPR121_GPIODIR, values.dir],
+            [MPR121_GPIOEN, values.en],
+            [MPR121_GPIODATA, this.gpioData]
+        ];
+
+        return writes.reduce((previous, [reg, value]) => {
+            return previous.then(() => this.writeByte(reg, value));
+        }, Promise.resolve())
+            .then(() => [0, 2, 4, 6].reduce((previous, index) => previous.then(() => this.writePwm(index)), Promise.resolve()));
+    }
+
+    /**
+     * Throws unless a pin can be used as GPIO
+     * @private
+     * @param {number} pin - Electrode number
+     */
+    checkGpioPin(pin) {
+        if (!Number.isInteger(pin) || pin < FIRST_GPIO_PIN || pin >= 12) {
+            throw new Error(`GPIO pin must be ${FIRST_GPIO_PIN}-11, got ${pin}`);
+        }
+    }
+
+    /**
+     * Starts watching for touches: on the IRQ line if there is one, otherwise
+     * by polling. Falls back to polling if the IRQ line can't be watched.
      */
     startPolling() {
-        if (!this.ready) return this.on('ready', this.startPolling);
-        if (!this.interval) return;
+        this.stopped = false;
+        if (!this.ready) return this.once('ready', () => {
+            if (!this.stopped) this.startPolling();
+        });
+        if (this.mode) return;
+
+        if (this.irqPin === null) return this.poll(this.interval);
 
-        this.timer = setInterval(() => {
-            this.touched().then(this.updateState.bind(this));
-        }, this.interval);
+        try {
+            this.unwatch = this.gpio.watch(this.irqPin, () => this.read(), (err) => this.fallBackToPolling(err));
+        } catch (err) {
+            return this.fallBackToPolling(err);
+        }
+        this.mode = 'irq';
+        // The line may have fallen before we were watching, and only a read lets it go again
+        this.read();
+        if (this.settings.irqWatchdogMs) this.schedule(this.settings.irqWatchdogMs);
     }
 
     /**
-     * Stops the polling loop
+     * Stops watching for touches, and any recovery in progress
      */
     stopPolling() {
-        if (!this.timer) return;
+        this.stopped = true;
+        this.stopWatching();
+
+        clearTimeout(this.recoveryTimer);
+        this.recoveryTimer = null;
+        this.recovering = false;
+    }
+
+    /**
+     * Stops the IRQ watch and the read timer
+     * @private
+     */
+    stopWatching() {
+        if (this.unwatch) this.unwatch();
+        this.unwatch = null;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.mode = null;
+    }
+
+    /**
+     * Switches to polling after the IRQ line stopped working
+     * @private
+     * @param {Error} err - Why the IRQ line can't be used
+     */
+    fallBackToPolling(err) {
+        this.stopWatching();
+        if (!this.stopped) this.poll(this.interval);
+        this.emit('error', new Error(`Can't watch IRQ on GPIO ${this.irqPin}, polling every ${this.interval}ms instead: ${err.message}`));
+    }
 
-        clearInterval(this.timer);
-        this.timer = false;
+    /**
+     * Starts polling the status register
+     * @private
+     * @param {number} interval - Time between reads
+     */
+    poll(interval) {
+        this.mode = 'polling';
+        this.schedule(interval);
+    }
+
+    /**
+     * Reads the status after a delay, then schedules the next read. Each read
+     * waits for the last one to finish, so a slow bus can't pile them up.
+     * @private
+     * @param {number} delay - Time between reads
+     */
+    schedule(delay) {
+        const timer = setTimeout(() => {
+            this.read().then(() => {
+                if (this.timer === timer) this.schedule(delay);
+            });
+        }, delay);
+        this.timer = timer;
+    }
+
+    /**
+     * Reads the touch status and emits events for whatever changed. Only one
+     * read runs at a time. Asking again while one is running queues a single
+     * follow-up read, so an IRQ edge in the middle of a read isn't lost.
+     * Failures go to the error event and start a recovery.
+     * @private
+     * @returns {Promise} Resolves when done, never rejects
+     */
+    read() {
+        if (!this.ready) return Promise.resolve();
+        if (this.reading) {
+            this.readAgain = true;
+            return this.reading;
+        }
+
+        this.reading = this.readWord(MPR121_TOUCHSTATUS_L)
+            .then((status) => {
+                if (status & STATUS_OVER_CURRENT) {
+                    throw new Error('Over current on REXT, the MPR121 has stopped');
+                }
+                // A recovery may have started while this read was on the bus
+                if (!this.ready) return;
+
+                this.updateState(status & 0x0FFF);
+                this.updateProximity((status & STATUS_PROXIMITY) !== 0);
+            })
+            .catch((err) => this.recover(err))
+            .then(() => {
+                this.reading = null;
+                if (!this.readAgain) return;
+
+                this.readAgain = false;
+                return this.read();
+            });
+
+        return this.reading;
+    }
+
+    /**
+     * Reports a failure, then resets and reconfigures the chip, which brings it
+     * back after an I2C glitch or a brownout. Every pad is released first,
+     * since there's no knowing what was touched in the meantime. Failed
+     * attempts are retried with a growing delay until one works or the sensor
+     * is stopped.
+     * @private
+     * @param {Error} err - What went wrong
+     */
+    recover(err) {
+        if (this.recovering) return;
+
+        this.recovering = true;
+        this.ready = false;
+        this.updateState(0);
+        this.updateProximity(false);
+
+        const attempt = (delay) => {
+            this.recoveryTimer = setTimeout(() => {
+                this.recoveryTimer = null;
+                this.reset()
+                    .then(() => this.configure())
+                    .then(() => {
+                        if (!this.recovering) return;
+
+                        this.recovering = false;
+                        return this.read();
+                    })
+                    .catch((error) => {
+                        if (!this.recovering) return;
+
+                        this.emit('error', new Error(`Could not reset the MPR121: ${error.message}`));
+                        attempt(Math.min(delay * 2 || RECOVERY_DELAY_MS, MAX_RECOVERY_DELAY_MS));
+                    });
+            }, delay);
+        };
+
+        attempt(0);
+        this.emit('error', err);
     }
 
     /**
@@ -239,25 +786,10 @@ class MPR121 extends EventEmitter {
 
             if (current) {
                 // When touch event happens, get and log baseline and filtered data
-                Promise.all([
-                    this.baselineData(i),
-                    this.filteredData(i)
-                ]).then(([baseline, filtered]) => {
-                    console.log(`Touch on pin ${i} - Baseline: ${baseline}, Filtered: ${filtered}`);
-                }).catch(err => {
-                    console.error(`Error getting data for pin ${i}:`, err);
-                });
-
+                this.logData(i, 'Touch');
                 this.emit('touch', i);
             } else {
-                Promise.all([
-                    this.baselineData(i),
-                    this.filteredData(i)
-                ]).then(([baseline, filtered]) => {
-                    console.log(`Release on pin ${i} - Baseline: ${baseline}, Filtered: ${filtered}`);
-                }).catch(err => {
-                    console.error(`Error getting data for pin ${i}:`, err);
-                });
+                this.logData(i, 'Release');
                 this.emit('release', i);
             }
 
@@ -265,23 +797,56 @@ class MPR121 extends EventEmitter {
         });
     }
 
+    /**
+     * Updates the proximity state and emits approach or leave if it changed
+     * @private
+     * @param {boolean} near - Whether the proximity electrode's status bit is set
+     */
+    updateProximity(near) {
+        if (near === this.near) return;
+
+        this.near = near;
+        this.logData(PROXIMITY_PIN, near ? 'Approach' : 'Leave');
+        this.emit(near ? 'approach' : 'leave');
+    }
+
+    /**
+     * Logs a pin's baseline and filtered data, unless the chip is being reset
+     * @private
+     * @param {number} pin - Pin number (0-11), or 12 for the proximity electrode
+     * @param {string} event - 'Touch', 'Release', 'Approach' or 'Leave'
+     */
+    logData(pin, event) {
+        if (!this.ready) return;
+
+        const name = pin === PROXIMITY_PIN ? 'the proximity electrode' : `pin ${pin}`;
+        Promise.all([
+            this.baselineData(pin),
+            this.filteredData(pin)
+        ]).then(([baseline, filtered]) => {
+            console.log(`${event} on ${name} - Baseline: ${baseline}, Filtered: ${filtered}`);
+        }).catch(err => {
+            console.error(`Error getting data for ${name}:`, err);
+        });
+    }
+
     /**
      * Gets the filtered data value for a specific pin
-     * @param {number} pin - Pin number (0-11)
+     * @param {number} pin - Pin number (0-11), or 12 for the proximity electrode
      * @returns {Promise<number>} Resolves with the filtered data value
      */
     filteredData(pin) {
-        if (pin < 0 || pin >= 12) return Promise.reject();
+        if (pin < 0 || pin > this.lastPin()) return Promise.reject();
         return this.readWord(MPR121_FILTDATA_0L + (pin * 2));
     }
 
     /**
      * Gets the baseline data value for a specific pin
-     * @param {number} pin - Pin number (0-11)
+     * @param {number} pin - Pin number (0-11), or 12 for the proximity electrode
      * @returns {Promise<number>} Resolves with the baseline data value
      */
     baselineData(pin) {
-        if (pin < 0 || pin >= 12) return Promise.reject();
+        if (pin < 0 || pin > this.lastPin()) return Promise.reject();
 
         return this.readByte(MPR121_BASELINE_0 + pin)
             .then((bl) => {
@@ -309,6 +874,23 @@ class MPR121 extends EventEmitter {
         return this.state[pin];
     }
 
+    /**
+     * Checks if something is within range of the proximity electrode
+     * @returns {boolean} True if it is, false when proximity is off
+     */
+    isNear() {
+        return this.ready && this.near;
+    }
+
+    /**
+     * Highest pin the data registers can be read for
+     * @private
+     * @returns {number} 11, or 12 with the proximity electrode on
+     */
+    lastPin() {
+        return this.settings.proximity ? PROXIMITY_PIN : 11;
+    }
+
     /**
      * Reads a byte from a register
      * @private
@@ -356,4 +938,13 @@ class MPR121 extends EventEmitter {
     }
 }
 
+/**
+ * Checks constructor options against the datasheet ranges without touching
+ * the hardware
+ * @param {Object} options - See the constructor
+ * @returns {Object} The complete settings
+ * @throws {Error} Listing every problem found
+ */
+MPR121.resolveOptions = resolveOptions;
+
 exports = module.exports = MPR121;
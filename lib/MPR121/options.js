@@ -0,0 +1,434 @@
+'use strict';
+
+/**
+ * @fileoverview MPR121 tuning options
+ * Defaults, datasheet ranges and register encoding for the settings the
+ * MPR121 constructor accepts: charge current and time, the baseline filters,
+ * debounce, baseline tracking and auto-configuration, how touches are picked
+ * up (polling, or waiting on the IRQ line), which electrodes are GPIO pins
+ * and the proximity electrode.
+ *
+ * @module MPR121/options
+ */
+
+/** @const {number[]} First filter iterations, indexed by their CONFIG1 FFI code */
+const FIRST_FILTER_ITERATIONS = [6, 10, 18, 34];
+
+/** @const {number[]} Second filter iterations, indexed by their CONFIG2 SFI code */
+const SECOND_FILTER_ITERATIONS = [4, 6, 10, 18];
+
+/** @const {number[]} Electrode sample intervals in ms, indexed by their CONFIG2 ESI code */
+const SAMPLE_INTERVALS_MS = [1, 2, 4, 8, 16, 32, 64, 128];
+
+/** @const {number[]} Charge times in microseconds, indexed by their CDT code (0 means "use the global one") */
+const CHARGE_TIMES_US = [0, 0.5, 1, 2, 4, 8, 16, 32];
+
+/**
+ * ECR calibration lock (CL) modes
+ * - current: track the baseline, starting from whatever is in the baseline register
+ * - disabled: no baseline tracking
+ * - fiveBit: track the baseline, starting from the top 5 bits of the first reading
+ * - tenBit: track the baseline, starting from the whole first reading
+ * @const {Object<string, number>}
+ */
+const BASELINE_TRACKING = {
+    current: 0,
+    disabled: 1,
+    fiveBit: 2,
+    tenBit: 3
+};
+
+/** @const {number} Lowest electrode that can be a GPIO pin (ELE4 is GPIO0) */
+const FIRST_GPIO_PIN = 4;
+
+/**
+ * GPIO modes, as their GPIO control 0, control 1 and direction register bits
+ * - input, inputPullDown, inputPullUp: inputs, with no pull or an internal pull-down/up
+ * - output: CMOS push-pull output
+ * - outputHighSide: high-side open drain, the LED driver mode, for an LED from the pin to ground
+ * - outputLowSide: low-side open drain, for an LED from the supply to the pin
+ * @const {Object<string, {ctl0: number, ctl1: number, dir: number}>}
+ */
+const GPIO_MODES = {
+    input: { ctl0: 0, ctl1: 0, dir: 0 },
+    inputPullDown: { ctl0: 1, ctl1: 0, dir: 0 },
+    inputPullUp: { ctl0: 1, ctl1: 1, dir: 0 },
+    output: { ctl0: 0, ctl1: 0, dir: 1 },
+    outputHighSide: { ctl0: 1, ctl1: 1, dir: 1 },
+    outputLowSide: { ctl0: 1, ctl1: 0, dir: 1 }
+};
+
+/**
+ * ECR ELEPROX_EN codes, by how many electrodes (from ELE0 up) are combined
+ * into the proximity electrode. More electrodes make a bigger antenna.
+ * @const {Object<number, number>}
+ */
+const PROXIMITY_ELECTRODES = {
+    2: 1,
+    4: 2,
+    12: 3
+};
+
+/**
+ * Proximity electrode settings used for anything left out. The filters are the
+ * datasheet's suggestions for proximity: the baseline follows a falling signal
+ * quickly and a rising one hardly at all, so someone standing still in front
+ * of the wall isn't tracked away.
+ * @const {Object}
+ */
+const PROXIMITY_DEFAULTS = {
+    electrodes: 4,
+    thresholds: { touch: 8, release: 4 },
+    filters: {
+        rising: { mhd: 63, nhd: 63, ncl: 0, fdl: 0 },
+        falling: { mhd: 1, nhd: 1, ncl: 255, fdl: 255 },
+        touched: { nhd: 0, ncl: 0, fdl: 0 }
+    }
+};
+
+/** @const {{min: number, max: number}} Supply voltages the chip runs on */
+const SUPPLY_VOLTAGE = { min: 1.71, max: 3.6 };
+
+/**
+ * Settings used for anything the options leave out. These are the values the
+ * driver has always written.
+ * @const {Object}
+ */
+const DEFAULTS = {
+    address: 0x5A,
+    bus: 1,
+    interval: 100,
+    irqPin: null,
+    gpio: null,
+    irqWatchdogMs: 1000,
+    thresholds: { touch: 25, release: 15 },
+    chargeCurrent: 16,
+    chargeTimeUs: 0.5,
+    electrodeCharge: {},
+    firstFilterIterations: 6,
+    secondFilterIterations: 4,
+    sampleIntervalMs: 1,
+    filters: {
+        rising: { mhd: 1, nhd: 1, ncl: 14, fdl: 0 },
+        falling: { mhd: 1, nhd: 5, ncl: 1, fdl: 0 },
+        touched: { nhd: 0, ncl: 0, fdl: 0 }
+    },
+    debounce: { touch: 0, release: 0 },
+    baselineTracking: 'fiveBit',
+    autoConfig: false,
+    gpioModes: {},
+    proximity: false
+};
+
+/** @const {Object} Auto-configuration settings used for anything left out */
+const AUTO_CONFIG_DEFAULTS = {
+    supplyVoltage: 3.3,
+    retry: 0,
+    reconfigure: true,
+    skipChargeTimeSearch: false
+};
+
+/**
+ * Merges options over the defaults and checks every value against the
+ * datasheet ranges.
+ *
+ * @param {Object} [options] - See the MPR121 constructor
+ * @returns {Object} Complete settings
+ * @throws {Error} Listing every problem found
+ */
+function resolveOptions(options) {
+    options = options || {};
+
+    const errors = [];
+    const settings = Object.assign({}, DEFAULTS, options, {
+        thresholds: Object.assign({}, DEFAULTS.thresholds, options.thresholds),
+        filters: {
+            rising: Object.assign({}, DEFAULTS.filters.rising, options.filters && options.filters.rising),
+            falling: Object.assign({}, DEFAULTS.filters.falling, options.filters && options.filters.falling),
+            touched: Object.assign({}, DEFAULTS.filters.touched, options.filters && options.filters.touched)
+        },
+        debounce: Object.assign({}, DEFAULTS.debounce, options.debounce),
+        electrodeCharge: Object.assign({}, options.electrodeCharge),
+        gpioModes: Object.assign({}, options.gpioModes)
+    });
+
+    function integer(name, value, min, max) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(`${name} must be an integer ${min}-${max}, got ${JSON.stringify(value)}`);
+        }
+    }
+
+    function oneOf(name, value, allowed) {
+        if (!allowed.includes(value)) {
+            errors.push(`${name} must be one of ${allowed.join(', ')}, got ${JSON.stringify(value)}`);
+        }
+    }
+
+    integer('address', settings.address, 0x5A, 0x5D);
+    integer('bus', settings.bus, 0, 255);
+    integer('interval', settings.interval, 1, 60000);
+    if (settings.irqPin !== null) integer('irqPin', settings.irqPin, 0, 63);
+    if (settings.gpio !== null && (typeof settings.gpio !== 'object' || typeof settings.gpio.watch !== 'function')) {
+        errors.push('gpio must have a watch(pin, onEdge, onError) method');
+    }
+    integer('irqWatchdogMs', settings.irqWatchdogMs, 0, 60000);
+    integer('thresholds.touch', settings.thresholds.touch, 1, 255);
+    integer('thresholds.release', settings.thresholds.release, 0, 254);
+    if (settings.thresholds.release >= settings.thresholds.touch) {
+        errors.push('thresholds.release must be lower than thresholds.touch');
+    }
+
+    integer('chargeCurrent', settings.chargeCurrent, 1, 63);
+    oneOf('chargeTimeUs', settings.chargeTimeUs, CHARGE_TIMES_US.slice(1));
+    oneOf('firstFilterIterations', settings.firstFilterIterations, FIRST_FILTER_ITERATIONS);
+    oneOf('secondFilterIterations', settings.secondFilterIterations, SECOND_FILTER_ITERATIONS);
+    oneOf('sampleIntervalMs', settings.sampleIntervalMs, SAMPLE_INTERVALS_MS);
+
+    Object.keys(settings.electrodeCharge).forEach((pin) => {
+        const charge = settings.electrodeCharge[pin] || {};
+
+        integer('electrodeCharge pin', Number(pin), 0, 11);
+        if (charge.current !== undefined) integer(`electrodeCharge.${pin}.current`, charge.current, 1, 63);
+        if (charge.timeUs !== undefined) oneOf(`electrodeCharge.${pin}.timeUs`, charge.timeUs, CHARGE_TIMES_US.slice(1));
+    });
+
+    ['rising', 'falling', 'touched'].forEach((direction) => {
+        const filter = settings.filters[direction];
+
+        if (direction !== 'touched') integer(`filters.${direction}.mhd`, filter.mhd, 1, 63);
+        integer(`filters.${direction}.nhd`, filter.nhd, 0, 63);
+        integer(`filters.${direction}.ncl`, filter.ncl, 0, 255);
+        integer(`filters.${direction}.fdl`, filter.fdl, 0, 255);
+    });
+
+    integer('debounce.touch', settings.debounce.touch, 0, 7);
+    integer('debounce.release', settings.debounce.release, 0, 7);
+    oneOf('baselineTracking', settings.baselineTracking, Object.keys(BASELINE_TRACKING));
+
+    if (settings.autoConfig) {
+        settings.autoConfig = Object.assign({}, AUTO_CONFIG_DEFAULTS, settings.autoConfig === true ? {} : settings.autoConfig);
+
+        const voltage = settings.autoConfig.supplyVoltage;
+        if (typeof voltage !== 'number' || voltage < SUPPLY_VOLTAGE.min || voltage > SUPPLY_VOLTAGE.max) {
+            errors.push(`autoConfig.supplyVoltage must be ${SUPPLY_VOLTAGE.min}-${SUPPLY_VOLTAGE.max} volts, got ${JSON.stringify(voltage)}`);
+        }
+        integer('autoConfig.retry', settings.autoConfig.retry, 0, 3);
+        if (settings.baselineTracking === 'disabled') {
+            errors.push('autoConfig needs baselineTracking, it can\'t be "disabled"');
+        }
+    }
+
+    Object.keys(settings.gpioModes).forEach((pin) => {
+        integer('gpioModes pin', Number(pin), FIRST_GPIO_PIN, 11);
+        oneOf(`gpioModes.${pin}`, settings.gpioModes[pin], Object.keys(GPIO_MODES));
+    });
+
+    if (settings.proximity) {
+        const proximity = settings.proximity === true ? {} : settings.proximity;
+        const filters = proximity.filters || {};
+
+        settings.proximity = Object.assign({}, PROXIMITY_DEFAULTS, proximity, {
+            thresholds: Object.assign({}, PROXIMITY_DEFAULTS.thresholds, proximity.thresholds),
+            filters: {
+                rising: Object.assign({}, PROXIMITY_DEFAULTS.filters.rising, filters.rising),
+                falling: Object.assign({}, PROXIMITY_DEFAULTS.filters.falling, filters.falling),
+                touched: Object.assign({}, PROXIMITY_DEFAULTS.filters.touched, filters.touched)
+            }
+        });
+
+        const electrodes = settings.proximity.electrodes;
+        oneOf('proximity.electrodes', electrodes, Object.keys(PROXIMITY_ELECTRODES).map(Number));
+        if (PROXIMITY_ELECTRODES[electrodes] && electrodes > electrodeCount(settings.gpioModes)) {
+            errors.push(`proximity.electrodes ${electrodes} would take in the GPIO pins, use 2 or 4 with gpioModes`);
+        }
+
+        integer('proximity.thresholds.touch', settings.proximity.thresholds.touch, 1, 255);
+        integer('proximity.thresholds.release', settings.proximity.thresholds.release, 0, 254);
+        if (settings.proximity.thresholds.release >= settings.proximity.thresholds.touch) {
+            errors.push('proximity.thresholds.release must be lower than proximity.thresholds.touch');
+        }
+
+        ['rising', 'falling', 'touched'].forEach((direction) => {
+            const filter = settings.proximity.filters[direction];
+
+            if (direction !== 'touched') integer(`proximity.filters.${direction}.mhd`, filter.mhd, 1, 63);
+            integer(`proximity.filters.${direction}.nhd`, filter.nhd, 0, 63);
+            integer(`proximity.filters.${direction}.ncl`, filter.ncl, 0, 255);
+            integer(`proximity.filters.${direction}.fdl`, filter.fdl, 0, 255);
+        });
+    }
+
+    if (errors.length) {
+        throw new Error(`Invalid MPR121 options:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return settings;
+}
+
+/**
+ * Works out the auto-configuration limits for a supply voltage, as the
+ * datasheet (and AN3889) recommends.
+ *
+ * @param {number} supplyVoltage - Vdd in volts
+ * @returns {{upper: number, target: number, lower: number}} USL, TL and LSL register values
+ */
+function autoConfigLimits(supplyVoltage) {
+    const upper = Math.floor((supplyVoltage - 0.7) / supplyVoltage * 256);
+
+    return {
+        upper,
+        target: Math.floor(upper * 0.9),
+        lower: Math.floor(upper * 0.65)
+    };
+}
+
+/**
+ * Encodes settings as register values, in the order they should be written
+ * (all in stop mode, before ECR starts the chip).
+ *
+ * @param {Object} settings - Settings from resolveOptions
+ * @param {Object<string, number>} registers - Register addresses by name
+ * @returns {Array<number[]>} [register, value] pairs
+ */
+function registerValues(settings, registers) {
+    const filters = settings.filters;
+    const ffi = FIRST_FILTER_ITERATIONS.indexOf(settings.firstFilterIterations);
+    const cl = BASELINE_TRACKING[settings.baselineTracking];
+    const writes = [
+        [registers.MHDR, filters.rising.mhd],
+        [registers.NHDR, filters.rising.nhd],
+        [registers.NCLR, filters.rising.ncl],
+        [registers.FDLR, filters.rising.fdl],
+        [registers.MHDF, filters.falling.mhd],
+        [registers.NHDF, filters.falling.nhd],
+        [registers.NCLF, filters.falling.ncl],
+        [registers.FDLF, filters.falling.fdl],
+        [registers.NHDT, filters.touched.nhd],
+        [registers.NCLT, filters.touched.ncl],
+        [registers.FDLT, filters.touched.fdl],
+        [registers.DEBOUNCE, (settings.debounce.release << 4) | settings.debounce.touch],
+        [registers.CONFIG1, (ffi << 6) | settings.chargeCurrent],
+        [registers.CONFIG2, (CHARGE_TIMES_US.indexOf(settings.chargeTimeUs) << 5) |
+            (SECOND_FILTER_ITERATIONS.indexOf(settings.secondFilterIterations) << 3) |
+            SAMPLE_INTERVALS_MS.indexOf(settings.sampleIntervalMs)]
+    ];
+
+    // Per-electrode charge current and time, 0 meaning "use the global setting"
+    const charge = (pin) => settings.electrodeCharge[pin] || {};
+    for (let pin = 0; pin < 12; pin++) {
+        writes.push([registers.CHARGECURR_0 + pin, charge(pin).current || 0]);
+    }
+    for (let pin = 0; pin < 12; pin += 2) {
+        const even = CHARGE_TIMES_US.indexOf(charge(pin).timeUs || 0);
+        const odd = CHARGE_TIMES_US.indexOf(charge(pin + 1).timeUs || 0);
+        writes.push([registers.CHARGETIME_1 + pin / 2, (odd << 4) | even]);
+    }
+
+    if (settings.proximity) {
+        const proximity = settings.proximity.filters;
+
+        writes.push(
+            [registers.MHDPROXR, proximity.rising.mhd],
+            [registers.NHDPROXR, proximity.rising.nhd],
+            [registers.NCLPROXR, proximity.rising.ncl],
+            [registers.FDLPROXR, proximity.rising.fdl],
+            [registers.MHDPROXF, proximity.falling.mhd],
+            [registers.NHDPROXF, proximity.falling.nhd],
+            [registers.NCLPROXF, proximity.falling.ncl],
+            [registers.FDLPROXF, proximity.falling.fdl],
+            [registers.NHDPROXT, proximity.touched.nhd],
+            [registers.NCLPROXT, proximity.touched.ncl],
+            [registers.FDLPROXT, proximity.touched.fdl]
+        );
+    }
+
+    if (settings.autoConfig) {
+        const auto = settings.autoConfig;
+        const limits = autoConfigLimits(auto.supplyVoltage);
+
+        writes.push(
+            [registers.UPLIMIT, limits.upper],
+            [registers.TARGETLIMIT, limits.target],
+            [registers.LOWLIMIT, limits.lower],
+            [registers.AUTOCONFIG1, auto.skipChargeTimeSearch ? 0x80 : 0x00],
+            [registers.AUTOCONFIG0, (ffi << 6) | (auto.retry << 4) | (cl << 2) | (auto.reconfigure ? 0x02 : 0x00) | 0x01]
+        );
+    }
+
+    return writes;
+}
+
+/**
+ * Works out how many electrodes can sense touches. The ECR only enables
+ * electrodes from ELE0 up, so the lowest GPIO pin and everything above it
+ * are left out.
+ *
+ * @param {Object<number, string>} gpioModes - GPIO mode by pin
+ * @returns {number} Electrodes to enable, 4-12
+ */
+function electrodeCount(gpioModes) {
+    return Math.min(12, ...Object.keys(gpioModes).map(Number));
+}
+
+/**
+ * Encodes GPIO modes as the GPIO control, direction and enable register bitmasks
+ *
+ * @param {Object<number, string>} gpioModes - GPIO mode by pin
+ * @returns {{ctl0: number, ctl1: number, dir: number, en: number}} One bit per GPIO pin, ELE4 in bit 0
+ */
+function gpioRegisterValues(gpioModes) {
+    const values = { ctl0: 0, ctl1: 0, dir: 0, en: 0 };
+
+    Object.keys(gpioModes).forEach((pin) => {
+        const bit = 1 << (pin - FIRST_GPIO_PIN);
+        const mode = GPIO_MODES[gpioModes[pin]];
+
+        if (mode.ctl0) values.ctl0 |= bit;
+        if (mode.ctl1) values.ctl1 |= bit;
+        if (mode.dir) values.dir |= bit;
+        values.en |= bit;
+    });
+
+    return values;
+}
+
+/**
+ * Encodes the ECR proximity bits for the proximity settings.
+ *
+ * @param {Object|boolean} proximity - Proximity settings from resolveOptions, or false
+ * @returns {number} ELEPROX_EN bits, already shifted into place
+ */
+function proximityEnable(proximity) {
+    return proximity ? PROXIMITY_ELECTRODES[proximity.electrodes] << 4 : 0;
+}
+
+/**
+ * Encodes the ECR calibration lock bits for the baseline tracking mode.
+ *
+ * @param {string} baselineTracking - A BASELINE_TRACKING name
+ * @returns {number} CL bits, already shifted into place
+ */
+function calibrationLock(baselineTracking) {
+    return BASELINE_TRACKING[baselineTracking] << 6;
+}
+
+module.exports = {
+    DEFAULTS,
+    AUTO_CONFIG_DEFAULTS,
+    BASELINE_TRACKING,
+    FIRST_FILTER_ITERATIONS,
+    SECOND_FILTER_ITERATIONS,
+    SAMPLE_INTERVALS_MS,
+    CHARGE_TIMES_US,
+    FIRST_GPIO_PIN,
+    GPIO_MODES,
+    PROXIMITY_ELECTRODES,
+    PROXIMITY_DEFAULTS,
+    resolveOptions,
+    autoConfigLimits,
+    registerValues,
+    electrodeCount,
+    gpioRegisterValues,
+    proximityEnable,
+    calibrationLock
+};
@@ -0,0 +1,399 @@
+'use strict';
+
+/**
+ * @fileoverview MQTT bridge, with Home Assistant discovery
+ * Puts the light wall on an MQTT broker so Home Assistant (or anything else)
+ * can see it and work it. Every touch and release is published as an event,
+ * the controller's state after every change, and a notice whenever the
+ * schedule blocks something. Commands come in on topics and go through
+ * Controller#handleAction, the same path as a touch, so the schedule, the
+ * idle countdown and the Govee rate limits all still apply.
+ *
+ * Topics, under the configured base topic (default "lightwall"):
+ *
+ *   <base>/availability    "online" or "offline", retained (offline is the will)
+ *   <base>/state           JSON, retained: { state: "ON"|"OFF"|null, brightness, effect (the scene),
+ *                          collections: { NIGHT: { index, scene } }, countdown }
+ *   <base>/pad/<pad>       "touch" or "release"
+ *   <base>/blocked         JSON: { action, reason }, when the schedule blocks a touch or command
+ *   <base>/light/set       Home Assistant light command: { "state": "ON", "brightness": 80, "effect": "Aurora" }
+ *   <base>/command         any pad action: { "action": "collection", "collection": "NIGHT", "direction": "next" }
+ *
+ * With discovery on, it also publishes Home Assistant discovery configs: the
+ * wall as a light (with the scenes as effects), a device trigger for each
+ * mapped pad's touch and release, next/previous buttons for each collection
+ * and a sensor holding the last blocked request.
+ *
+ * @module Mqtt
+ * @requires fs
+ * @requires events
+ * @requires mqtt
+ * @requires ../PadMappings
+ */
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const mqtt = require('mqtt');
+const PadMappings = require('../PadMappings');
+
+/** @const {Object} Settings used for anything the config leaves out */
+const DEFAULTS = {
+    url: null,
+    username: null,
+    password: null,
+    clientId: 'govee-lightwall',
+    topic: 'lightwall',
+    discovery: true,
+    discoveryPrefix: 'homeassistant',
+    name: 'Light wall',
+    keepalive: 60
+};
+
+/**
+ * Checks a topic prefix is usable: no wildcards, no empty levels
+ * @private
+ * @param {*} topic - Value from the config
+ * @returns {boolean} True if it's fine
+ */
+function validTopic(topic) {
+    return typeof topic === 'string' && topic.length > 0 && !/[+#]/.test(topic) && !topic.split('/').includes('');
+}
+
+/**
+ * Makes a string safe for a Home Assistant object ID
+ * @private
+ * @param {string} value - Pad ID, collection name...
+ * @returns {string} Letters, digits, _ and - only
+ */
+function slug(value) {
+    return String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Bridges the controller and sensor to an MQTT broker
+ *
+ * @extends EventEmitter
+ *
+ * @fires MqttBridge#connect - Emitted each time the broker accepts the connection
+ * @fires MqttBridge#disconnect - Emitted when the connection drops, it is retried every second
+ * @fires MqttBridge#command - Emitted with (mapping, result) after a command has been handled, see Controller#handleAction
+ * @fires MqttBridge#error - Emitted with (error, mapping) when a command is bad or fails, or the connection fails
+ *
+ * @example
+ * const bridge = new MqttBridge({ url: 'mqtt://homeassistant.local' }, { controller, sensor });
+ * bridge.on('connect', () => console.log('MQTT connected'));
+ * bridge.connect();
+ */
+class MqttBridge extends EventEmitter {
+
+    /**
+     * Creates the bridge, not connected yet
+     * @param {Object} config - mqtt.json contents
+     * @param {string} config.url - Broker, mqtt://host[:port] or mqtts://host[:port]
+     * @param {string} [config.username] - User name
+     * @param {string} [config.password] - Password
+     * @param {string} [config.clientId='govee-lightwall'] - Client identifier, unique on the broker
+     * @param {string} [config.topic='lightwall'] - Base topic
+     * @param {boolean} [config.discovery=true] - Publish Home Assistant discovery configs
+     * @param {string} [config.discoveryPrefix='homeassistant'] - Home Assistant's discovery prefix
+     * @param {string} [config.name='Light wall'] - Device name in Home Assistant
+     * @param {number} [config.keepalive=60] - Seconds between pings
+     * @param {Object} options
+     * @param {Controller} options.controller - Controller to send commands through
+     * @param {EventEmitter} [options.sensor] - Sensor whose touches are published
+     * @throws {Error} Listing every problem with the config
+     */
+    constructor(config, options) {
+        super();
+
+        this.config = Object.assign({}, DEFAULTS, config);
+        MqttBridge.validate(this.config);
+
+        this.controller = options.controller;
+        this.sensor = options.sensor || null;
+        this.topic = this.config.topic;
+        this.nodeId = slug(this.topic);
+        this.commands = Promise.resolve();
+
+        // Anything published while disconnected is dropped rather than queued, every connect republishes the state anyway
+        this.client = mqtt.connect(this.config.url, {
+            manualConnect: true,
+            clientId: this.config.clientId,
+            username: this.config.username === null ? undefined : this.config.username,
+            password: this.config.password === null ? undefined : this.config.password,
+            keepalive: this.config.keepalive,
+            will: { topic: `${this.topic}/availability`, payload: 'offline', retain: true, qos: 0 },
+            queueQoSZero: false,
+            resubscribe: false
+        });
+
+        this.client.on('connect', () => this.onConnect());
+        this.client.on('offline', () => this.emit('disconnect'));
+        this.client.on('error', (error) => this.emit('error', error, null));
+        this.client.on('message', (topic, payload) => this.onMessage(topic, payload));
+
+        this.controller.on('action', () => this.publishState());
+        this.controller.on('power', () => this.publishState());
+        this.controller.on('reconciled', () => this.publishState());
+        this.controller.on('season', () => this.publishState());
+        this.controller.on('blocked', (mapping, reason) => {
+            this.client.publish(`${this.topic}/blocked`, JSON.stringify({ action: PadMappings.describeAction(mapping), reason }));
+        });
+
+        if (this.sensor) {
+            this.sensor.on('touch', (pad) => this.client.publish(`${this.topic}/pad/${pad}`, 'touch'));
+            this.sensor.on('release', (pad) => this.client.publish(`${this.topic}/pad/${pad}`, 'release'));
+        }
+    }
+
+    /**
+     * Checks an mqtt.json config
+     * @param {Object} config - Config with the defaults filled in
+     * @throws {Error} Listing every problem found
+     */
+    static validate(config) {
+        const errors = [];
+
+        if (typeof config.url !== 'string' || !/^mqtts?:\/\/[^/]+/.test(config.url)) {
+            errors.push(`"url" must be the broker's address, e.g. "mqtt://homeassistant.local:1883", got ${JSON.stringify(config.url)}`);
+        }
+        ['username', 'password'].forEach((key) => {
+            if (config[key] !== null && typeof config[key] !== 'string') {
+                errors.push(`"${key}" must be a string, got ${JSON.stringify(config[key])}`);
+            }
+        });
+        ['clientId', 'name'].forEach((key) => {
+            if (typeof config[key] !== 'string' || !config[key]) {
+                errors.push(`"${key}" must be a non-empty string, got ${JSON.stringify(config[key])}`);
+            }
+        });
+        ['topic', 'discoveryPrefix'].forEach((key) => {
+            if (!validTopic(config[key])) {
+                errors.push(`"${key}" must be a topic without wildcards or empty levels, e.g. "lightwall", got ${JSON.stringify(config[key])}`);
+            }
+        });
+        if (typeof config.discovery !== 'boolean') {
+            errors.push(`"discovery" must be true or false, got ${JSON.stringify(config.discovery)}`);
+        }
+        if (!Number.isInteger(config.keepalive) || config.keepalive < 1 || config.keepalive > 65535) {
+            errors.push(`"keepalive" must be a number of seconds 1-65535, got ${JSON.stringify(config.keepalive)}`);
+        }
+
+        if (errors.length) {
+            throw new Error(`Invalid MQTT config:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * Reads and validates an mqtt.json file
+     * @param {string} file - Path to the JSON config
+     * @returns {Object|null} The config, or null if there's no file and so no bridge
+     * @throws {Error} If the file cannot be parsed or is invalid
+     */
+    static loadConfig(file) {
+        if (!fs.existsSync(file)) return null;
+
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to read MQTT config ${file}: ${error.message}`);
+        }
+
+        MqttBridge.validate(Object.assign({}, DEFAULTS, config));
+        return config;
+    }
+
+    /**
+     * Connects to the broker, and keeps reconnecting until close()
+     */
+    connect() {
+        this.client.connect();
+    }
+
+    /**
+     * Marks the wall offline and disconnects
+     * @returns {Promise} Resolves once disconnected
+     */
+    close() {
+        this.client.publish(`${this.topic}/availability`, 'offline', { retain: true });
+        return this.client.endAsync();
+    }
+
+    /**
+     * Publishes the controller's state, retained
+     */
+    publishState() {
+        const state = this.controller.state();
+        const collections = {};
+
+        Object.keys(state.collections).forEach((name) => {
+            const index = this.controller.collectionIndices[name];
+            collections[name] = { index: index < 0 ? null : index, scene: state.collections[name] };
+        });
+
+        this.client.publish(`${this.topic}/state`, JSON.stringify({
+            state: state.power === null ? null : state.power.toUpperCase(),
+            brightness: state.brightness,
+            effect: state.scene,
+            collections,
+            countdown: state.countdown
+        }), { retain: true });
+    }
+
+    /**
+     * Publishes the Home Assistant discovery configs. Call it again when the
+     * scene list or the mappings change, so the effect list keeps up.
+     */
+    publishDiscovery() {
+        if (!this.config.discovery) return;
+
+        const prefix = this.config.discoveryPrefix;
+        const common = {
+            availability_topic: `${this.topic}/availability`,
+            device: { identifiers: [this.nodeId], name: this.config.name, manufacturer: 'Govee' }
+        };
+        const publish = (component, objectId, config) => {
+            this.client.publish(`${prefix}/${component}/${this.nodeId}/${objectId}/config`, JSON.stringify(Object.assign({}, common, config)), { retain: true });
+        };
+
+        publish('light', 'light', {
+            name: null,
+            unique_id: `${this.nodeId}_light`,
+            schema: 'json',
+            state_topic: `${this.topic}/state`,
+            command_topic: `${this.topic}/light/set`,
+            json_attributes_topic: `${this.topic}/state`,
+            json_attributes_template: '{{ {"collections": value_json.collections, "countdown": value_json.countdown} | tojson }}',
+            brightness: true,
+            brightness_scale: 100,
+            effect: true,
+            effect_list: this.controller.catalog.names()
+        });
+
+        publish('sensor', 'blocked', {
+            name: 'Last blocked',
+            unique_id: `${this.nodeId}_blocked`,
+            state_topic: `${this.topic}/blocked`,
+            value_template: '{{ value_json.action }}',
+            json_attributes_topic: `${this.topic}/blocked`
+        });
+
+        Object.keys(this.controller.mappings.pins).forEach((pad) => {
+            [['touch', 'button_short_press'], ['release', 'button_short_release']].forEach(([event, type]) => {
+                publish('device_automation', `pad_${slug(pad)}_${event}`, {
+                    automation_type: 'trigger',
+                    topic: `${this.topic}/pad/${pad}`,
+                    payload: event,
+                    type,
+                    subtype: `pad ${pad}`
+                });
+            });
+        });
+
+        Object.keys(this.controller.mappings.collections).forEach((name) => {
+            ['next', 'previous'].forEach((direction) => {
+                publish('button', `collection_${slug(name)}_${direction}`, {
+                    name: `${name} ${direction}`,
+                    unique_id: `${this.nodeId}_collection_${slug(name)}_${direction}`,
+                    command_topic: `${this.topic}/command`,
+                    payload_press: JSON.stringify({ action: 'collection', collection: name, direction })
+                });
+            });
+        });
+    }
+
+    /**
+     * Subscribes to the command topics and announces the wall, and what
+     * it's doing, on every connect
+     * @private
+     */
+    onConnect() {
+        this.client.subscribe([`${this.topic}/light/set`, `${this.topic}/command`]);
+        this.client.publish(`${this.topic}/availability`, 'online', { retain: true });
+        this.publishDiscovery();
+        this.publishState();
+        this.emit('connect');
+    }
+
+    /**
+     * Turns a message on a command topic into actions, and queues them
+     * behind any earlier command so they run in the order they arrived
+     * @private
+     * @param {string} topic - Topic it came in on
+     * @param {Buffer} payload - Message
+     */
+    onMessage(topic, payload) {
+        let command;
+        try {
+            command = JSON.parse(payload.toString());
+        } catch (error) {
+            this.emit('error', new Error(`Ignoring ${topic} message, it's not JSON: ${error.message}`), null);
+            return;
+        }
+
+        const mappings = topic === `${this.topic}/light/set` ? this.lightActions(command) : [command];
+
+        // A fade holds up the commands behind it until it's over, so end it now rather than when their turn comes
+        this.controller.transitions.cancel();
+        this.commands = this.commands.then(() => this.run(topic, mappings));
+    }
+
+    /**
+     * Translates a Home Assistant JSON light command into actions
+     * @private
+     * @param {Object} command - e.g. { "state": "ON", "brightness": 80, "effect": "Aurora", "transition": 2 }
+     * @returns {Object[]} Unvalidated actions, in the order to run them
+     */
+    lightActions(command) {
+        if (!command || typeof command !== 'object') return [command];
+        if (command.state === 'OFF') return [{ action: 'power', value: 'off' }];
+
+        const actions = [];
+        // Home Assistant sends "ON" with every brightness or effect change, only pass it on if the light is off
+        if (command.state === 'ON' && this.controller.power !== 'on') actions.push({ action: 'power', value: 'on' });
+        if (command.brightness !== undefined) {
+            actions.push(command.transition > 0
+                ? { action: 'fade', brightness: command.brightness, seconds: command.transition }
+                : { action: 'brightness', value: command.brightness });
+        }
+        if (command.effect !== undefined) actions.push({ action: 'scene', scene: command.effect });
+        return actions;
+    }
+
+    /**
+     * Validates actions and runs them through the controller, stopping at the
+     * first one that's bad, blocked or fails
+     * @private
+     * @param {string} topic - Topic they came in on
+     * @param {Object[]} mappings - Unvalidated actions
+     * @returns {Promise} Resolves when done, problems are emitted rather than thrown
+     */
+    async run(topic, mappings) {
+        for (const mapping of mappings) {
+            const problem = PadMappings.validateAction(mapping, {
+                collections: this.controller.mappings.collections,
+                scenes: this.controller.catalog.table()
+            });
+            if (problem) {
+                this.emit('error', new Error(`Ignoring ${topic} command: ${problem}`), mapping);
+                return;
+            }
+
+            let result;
+            try {
+                result = await this.controller.handleAction(mapping);
+            } catch (error) {
+                this.emit('error', error, mapping);
+                return;
+            }
+
+            this.emit('command', mapping, result);
+            if (!result.ran) return;
+        }
+    }
+}
+
+MqttBridge.DEFAULTS = DEFAULTS;
+
+exports = module.exports = MqttBridge;
@@ -0,0 +1,527 @@
+'use strict';
+
+/**
+ * @fileoverview Pad mapping loader
+ * Reads the JSON file that binds each MPR121 electrode to a light action,
+ * validates it against the known scenes and returns a normalized mapping
+ * the touch handler can dispatch on. Pads are plain pin numbers with a single
+ * board, and "board:pin" IDs with several (see SensorArray).
+ *
+ * @module PadMappings
+ * @requires fs
+ * @requires ../Collections
+ * @requires ../Gestures
+ * @requires ../Debouncer
+ * @requires ../Indicators
+ * @requires ../SensorArray
+ * @requires ../Controller/brightness
+ * @requires ../Controller/selection
+ */
+
+const fs = require('fs');
+const SceneCollections = require('../Collections');
+const GestureDetector = require('../Gestures');
+const PinDebouncer = require('../Debouncer');
+const Indicators = require('../Indicators');
+const SensorArray = require('../SensorArray');
+const { CURVES: BRIGHTNESS_CURVES } = require('../Controller/brightness');
+const SceneSelector = require('../Controller/selection');
+
+/** @const {number} Number of electrodes on a single MPR121 */
+const PIN_COUNT = 12;
+
+/** @const {number} Lowest electrode that can drive an indicator LED */
+const FIRST_GPIO_PIN = 4;
+
+const GESTURES = GestureDetector.GESTURES;
+const DEFAULT_GESTURE_TIMINGS = GestureDetector.DEFAULT_TIMINGS;
+
+/** @const {number} Longest fade, in seconds */
+const MAX_FADE_SECONDS = 3600;
+
+/**
+ * Checks an [r, g, b] colour
+ * @private
+ * @param {*} rgb - Value from the file
+ * @returns {boolean} True if it's three integers between 0 and 255
+ */
+function isRgb(rgb) {
+    return Array.isArray(rgb) && rgb.length === 3 && rgb.every((c) => Number.isInteger(c) && c >= 0 && c <= 255);
+}
+
+/**
+ * Checks how a scene picking pad picks, see Controller/selection
+ * @private
+ * @param {Object} mapping - A randomScene or collection action
+ * @param {string[]} scenes - Scene names it picks from
+ * @returns {string|undefined} Description of the problem, if any
+ */
+function validateSelection(mapping, scenes) {
+    const strategies = SceneSelector.STRATEGIES.filter((strategy) => strategy !== 'sequence' || mapping.action === 'collection');
+    if (mapping.strategy !== undefined && !strategies.includes(mapping.strategy)) {
+        return `"strategy" must be one of ${strategies.join(', ')}, got ${JSON.stringify(mapping.strategy)}`;
+    }
+
+    const max = SceneSelector.MAX_AVOID_RECENT;
+    if (mapping.avoidRecent !== undefined && (!Number.isInteger(mapping.avoidRecent) || mapping.avoidRecent < 0 || mapping.avoidRecent > max)) {
+        return `"avoidRecent" must be an integer between 0 and ${max}, got ${JSON.stringify(mapping.avoidRecent)}`;
+    }
+
+    if (mapping.strategy === 'weighted') {
+        const weights = mapping.weights;
+        if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+            return '"weighted" needs "weights", an object of scene names and how often to pick each';
+        }
+        const unknown = Object.keys(weights).filter((name) => !scenes.includes(name));
+        if (unknown.length) return `"weights" has scenes it can't pick: ${unknown.join(', ')}`;
+        if (!Object.values(weights).every((weight) => typeof weight === 'number' && weight >= 0)) {
+            return '"weights" must all be numbers, 0 or more';
+        }
+    } else if (mapping.weights !== undefined) {
+        return '"weights" only works with "strategy": "weighted"';
+    }
+}
+
+/**
+ * Supported actions and the parameters each one requires.
+ * @const {Object<string, {params: string[], validate: Function}>}
+ */
+const ACTIONS = {
+    power: {
+        params: ['value'],
+        validate: (mapping) => {
+            if (mapping.value !== 'on' && mapping.value !== 'off') {
+                return `"value" must be "on" or "off", got ${JSON.stringify(mapping.value)}`;
+            }
+        }
+    },
+    brightness: {
+        params: ['value'],
+        validate: (mapping) => {
+            if (!Number.isInteger(mapping.value) || mapping.value < 1 || mapping.value > 100) {
+                return `"value" must be an integer between 1 and 100, got ${JSON.stringify(mapping.value)}`;
+            }
+        }
+    },
+    brightnessStep: {
+        params: ['step'],
+        validate: (mapping) => {
+            if (!Number.isInteger(mapping.step) || mapping.step === 0 || Math.abs(mapping.step) > 99) {
+                return `"step" must be a non-zero integer between -99 and 99, got ${JSON.stringify(mapping.step)}`;
+            }
+            if (mapping.curve !== undefined && !BRIGHTNESS_CURVES.includes(mapping.curve)) {
+                return `"curve" must be one of ${BRIGHTNESS_CURVES.join(', ')}, got ${JSON.stringify(mapping.curve)}`;
+            }
+        }
+    },
+    collection: {
+        params: ['collection'],
+        validate: (mapping, context) => {
+            if (!context.collections[mapping.collection]) {
+                return `unknown collection "${mapping.collection}"`;
+            }
+            if (mapping.direction !== undefined && mapping.direction !== 'next' && mapping.direction !== 'previous') {
+                return `"direction" must be "next" or "previous", got ${JSON.stringify(mapping.direction)}`;
+            }
+            // Which scenes a query or season brings in depends on the day, so weights can name any scene
+            const scenes = context.collections[mapping.collection];
+            return validateSelection(mapping, Array.isArray(scenes) ? scenes : Object.keys(context.scenes));
+        }
+    },
+    scene: {
+        params: ['scene'],
+        validate: (mapping, context) => {
+            if (!(mapping.scene in context.scenes)) {
+                return `unknown scene "${mapping.scene}"`;
+            }
+        }
+    },
+    randomScene: {
+        params: [],
+        validate: (mapping, context) => validateSelection(mapping, Object.keys(context.scenes))
+    },
+    sleepTimer: {
+        params: ['minutes'],
+        validate: (mapping) => {
+            const options = [].concat(mapping.minutes);
+            if (!options.length || !options.every((m) => typeof m === 'number' && m > 0)) {
+                return `"minutes" must be a positive number or a list of them, got ${JSON.stringify(mapping.minutes)}`;
+            }
+        }
+    },
+    color: {
+        params: ['rgb'],
+        validate: (mapping) => {
+            if (!isRgb(mapping.rgb)) {
+                return `"rgb" must be an array of three integers between 0 and 255, got ${JSON.stringify(mapping.rgb)}`;
+            }
+        }
+    },
+    fade: {
+        params: ['seconds'],
+        validate: (mapping) => {
+            if (typeof mapping.seconds !== 'number' || !(mapping.seconds > 0) || mapping.seconds > MAX_FADE_SECONDS) {
+                return `"seconds" must be a positive number up to ${MAX_FADE_SECONDS}, got ${JSON.stringify(mapping.seconds)}`;
+            }
+            if (mapping.brightness === undefined && mapping.rgb === undefined) {
+                return 'action "fade" needs a "brightness", an "rgb" or both';
+            }
+            if (mapping.brightness !== undefined &&
+                (!Number.isInteger(mapping.brightness) || mapping.brightness < 1 || mapping.brightness > 100)) {
+                return `"brightness" must be an integer between 1 and 100, got ${JSON.stringify(mapping.brightness)}`;
+            }
+            if (mapping.rgb !== undefined && !isRgb(mapping.rgb)) {
+                return `"rgb" must be an array of three integers between 0 and 255, got ${JSON.stringify(mapping.rgb)}`;
+            }
+            if (mapping.from !== undefined && (mapping.rgb === undefined || !isRgb(mapping.from))) {
+                return `"from" must be an array of three integers between 0 and 255, alongside "rgb", got ${JSON.stringify(mapping.from)}`;
+            }
+            if (mapping.curve !== undefined && !BRIGHTNESS_CURVES.includes(mapping.curve)) {
+                return `"curve" must be one of ${BRIGHTNESS_CURVES.join(', ')}, got ${JSON.stringify(mapping.curve)}`;
+            }
+        }
+    }
+};
+
+/**
+ * Builds a human readable description of a pin's action, used for the
+ * startup banner when the mapping has no explicit label.
+ * @param {Object} mapping - Normalized pin mapping
+ * @returns {string} Description of the action
+ */
+function describeAction(mapping) {
+    if (mapping.label) return mapping.label;
+
+    switch (mapping.action) {
+        case 'power':
+            return mapping.value === 'on' ? 'Turn on' : 'Turn off';
+        case 'brightness':
+            return `Brightness ${mapping.value}%`;
+        case 'brightnessStep':
+            return mapping.step > 0 ? `Brighter by ${mapping.step}` : `Dimmer by ${-mapping.step}`;
+        case 'collection':
+            if (mapping.strategy && mapping.strategy !== 'sequence') return `${mapping.collection} scenes (${mapping.strategy})`;
+            return mapping.direction === 'previous'
+                ? `Previous ${mapping.collection} scene`
+                : `${mapping.collection} scenes`;
+        case 'scene':
+            return `Scene ${mapping.scene}`;
+        case 'randomScene':
+            return mapping.strategy && mapping.strategy !== 'random' ? `Random scene (${mapping.strategy})` : 'Random scene';
+        case 'sleepTimer':
+            return `Sleep timer ${[].concat(mapping.minutes).join('/')} min`;
+        case 'color':
+            return `Color rgb(${mapping.rgb.join(', ')})`;
+        case 'fade': {
+            const targets = [];
+            if (mapping.brightness !== undefined) targets.push(`${mapping.brightness}%`);
+            if (mapping.rgb) targets.push(`rgb(${mapping.rgb.join(', ')})`);
+            return `Fade to ${targets.join(' and ')} over ${mapping.seconds}s`;
+        }
+    }
+}
+
+/**
+ * Gets the schedule class of an action, which decides when it is allowed.
+ * An explicit "class" wins, otherwise power actions are "on"/"off" and the
+ * rest are grouped by what they change. A fade counts as a brightness change
+ * unless it only fades the colour.
+ * @param {Object} mapping - Normalized action mapping
+ * @returns {string} Action class, e.g. "on", "off", "brightness" or "scene"
+ */
+function actionClass(mapping) {
+    if (mapping.class) return mapping.class;
+
+    switch (mapping.action) {
+        case 'power':
+            return mapping.value;
+        case 'brightness':
+        case 'brightnessStep':
+            return 'brightness';
+        case 'scene':
+        case 'randomScene':
+        case 'collection':
+            return 'scene';
+        case 'sleepTimer':
+            return 'sleep';
+        case 'fade':
+            return mapping.brightness !== undefined ? 'brightness' : 'color';
+        default:
+            return mapping.action;
+    }
+}
+
+/**
+ * Builds a description of every gesture bound on a pin, e.g.
+ * "Brightness 100% (hold: Brighter by 10)".
+ * @param {Object<string, Object>} pinMapping - Normalized gesture to action map for a pin
+ * @returns {string} Description of the pin
+ */
+function describePin(pinMapping) {
+    const extras = GESTURES
+        .filter((gesture) => gesture !== 'tap' && pinMapping[gesture])
+        .map((gesture) => `${gesture}: ${describeAction(pinMapping[gesture])}`);
+
+    const tap = pinMapping.tap ? describeAction(pinMapping.tap) : '(no tap action)';
+    return extras.length ? `${tap} (${extras.join(', ')})` : tap;
+}
+
+/**
+ * Validates a single action, returning a problem description or nothing.
+ * @param {Object} mapping - Action mapping from the file
+ * @param {Object} context - Collections and scenes to validate against
+ * @returns {string|undefined} Description of the problem, if any
+ */
+function validateAction(mapping, context) {
+    if (!mapping || typeof mapping !== 'object') {
+        return 'mapping must be an object';
+    }
+
+    const definition = ACTIONS[mapping.action];
+    if (!definition) {
+        return `unknown action ${JSON.stringify(mapping.action)} ` +
+            `(expected one of ${Object.keys(ACTIONS).join(', ')})`;
+    }
+
+    const missing = definition.params.filter((param) => mapping[param] === undefined);
+    if (missing.length) {
+        return `action "${mapping.action}" is missing ${missing.map((p) => `"${p}"`).join(', ')}`;
+    }
+
+    if (mapping.class !== undefined && (typeof mapping.class !== 'string' || !mapping.class)) {
+        return `"class" must be a non-empty string, got ${JSON.stringify(mapping.class)}`;
+    }
+
+    return definition.validate(mapping, context);
+}
+
+/**
+ * Describes the pad IDs a mapping can use, for error messages
+ * @private
+ * @param {string[]|null} boards - Board names, or null for a single board
+ * @returns {string} What a pad ID looks like
+ */
+function expectedPads(boards) {
+    return boards ? `board:pin with a board of ${boards.join(', ')} and a pin 0-${PIN_COUNT - 1}` : `0-${PIN_COUNT - 1}`;
+}
+
+/**
+ * Validates a raw mapping object and collects every problem found,
+ * so a bad file can be fixed in one pass.
+ * @param {Object} raw - Parsed mapping file contents
+ * @param {Object<string, number>} scenes - Scene name to ID table
+ * @param {Object} [options]
+ * @param {string[]} [options.boards] - Board names when there are several MPR121s, so pads are "board:pin"
+ * @returns {{collections: Object<string, string[]|Object>, tags: Object, pins: Object<number, Object>, gestures: Object<string, number>, debounce: Object, idle: Object, proximity: Object, indicators: Object<string, number>}} Normalized mapping,
+ *     see Collections for the collections and tags
+ * @throws {Error} If the mapping contains any invalid entries
+ */
+function validateMappings(raw, scenes, options) {
+    const boards = (options && options.boards) || null;
+    const errors = [];
+    const { collections, tags } = SceneCollections.validate((raw && raw.collections) || {}, raw && raw.tags, scenes, errors);
+    const rawPins = raw && raw.pins;
+    const rawGestures = (raw && raw.gestures) || {};
+    const gestures = Object.assign({}, DEFAULT_GESTURE_TIMINGS);
+    const pins = {};
+
+    Object.keys(rawGestures).forEach((key) => {
+        if (!(key in DEFAULT_GESTURE_TIMINGS)) {
+            errors.push(`unknown gesture timing "${key}" (expected one of ${Object.keys(DEFAULT_GESTURE_TIMINGS).join(', ')})`);
+        } else if (!Number.isInteger(rawGestures[key]) || rawGestures[key] <= 0) {
+            errors.push(`gesture timing "${key}" must be a positive number of milliseconds`);
+        } else {
+            gestures[key] = rawGestures[key];
+        }
+    });
+
+    const rawDebounce = (raw && raw.debounce) || {};
+    const debounce = { defaultMs: PinDebouncer.DEFAULT_WINDOW_MS, windows: {} };
+
+    if (rawDebounce.defaultMs !== undefined) {
+        if (!Number.isInteger(rawDebounce.defaultMs) || rawDebounce.defaultMs < 0) {
+            errors.push('debounce "defaultMs" must be a non-negative number of milliseconds');
+        } else {
+            debounce.defaultMs = rawDebounce.defaultMs;
+        }
+    }
+
+    Object.keys(rawDebounce.pins || {}).forEach((key) => {
+        const windowMs = rawDebounce.pins[key];
+
+        const pad = SensorArray.parsePadId(key, boards);
+
+        if (!pad) {
+            errors.push(`debounce pin "${key}" is not a valid pad (expected ${expectedPads(boards)})`);
+        } else if (!Number.isInteger(windowMs) || windowMs < 0) {
+            errors.push(`debounce window for pin ${key} must be a non-negative number of milliseconds`);
+        } else {
+            debounce.windows[SensorArray.padId(pad.board, pad.pin)] = windowMs;
+        }
+    });
+
+    if (!rawPins || typeof rawPins !== 'object' || Array.isArray(rawPins)) {
+        errors.push('"pins" must be an object of pin number to action');
+    } else {
+        Object.keys(rawPins).forEach((key) => {
+            const pad = SensorArray.parsePadId(key, boards);
+            const mapping = rawPins[key];
+
+            if (!pad) {
+                errors.push(`pin "${key}" is not a valid pad (expected ${expectedPads(boards)})`);
+                return;
+            }
+
+            const pin = SensorArray.padId(pad.board, pad.pin);
+
+            if (!mapping || typeof mapping !== 'object') {
+                errors.push(`pin ${pin}: mapping must be an object`);
+                return;
+            }
+
+            // A bare action is shorthand for binding it to a tap
+            const bindings = 'action' in mapping ? { tap: mapping } : mapping;
+            const normalized = {};
+
+            Object.keys(bindings).forEach((gesture) => {
+                if (!GESTURES.includes(gesture)) {
+                    errors.push(`pin ${pin}: unknown gesture "${gesture}" (expected one of ${GESTURES.join(', ')})`);
+                    return;
+                }
+
+                const problem = validateAction(bindings[gesture], { collections, scenes });
+                if (problem) {
+                    errors.push(`pin ${pin} (${gesture}): ${problem}`);
+                    return;
+                }
+
+                normalized[gesture] = Object.assign({}, bindings[gesture]);
+            });
+
+            if (normalized.longPress && normalized.hold) {
+                errors.push(`pin ${pin}: "longPress" and "hold" cannot both be bound, they trigger on the same press`);
+                return;
+            }
+
+            pins[pin] = normalized;
+        });
+    }
+
+    const rawIdle = (raw && raw.idle) || {};
+    const idle = { timeoutMs: 0, warningMs: 0, warning: null };
+
+    if (rawIdle.timeoutMinutes !== undefined) {
+        if (typeof rawIdle.timeoutMinutes !== 'number' || rawIdle.timeoutMinutes < 0) {
+            errors.push('idle "timeoutMinutes" must be a non-negative number (0 disables idle auto-off)');
+        } else {
+            idle.timeoutMs = rawIdle.timeoutMinutes * 60000;
+        }
+    }
+
+    if (rawIdle.warningMinutes !== undefined) {
+        if (typeof rawIdle.warningMinutes !== 'number' || rawIdle.warningMinutes < 0) {
+            errors.push('idle "warningMinutes" must be a non-negative number');
+        } else {
+            idle.warningMs = rawIdle.warningMinutes * 60000;
+        }
+    }
+
+    if (rawIdle.warning !== undefined) {
+        const problem = validateAction(rawIdle.warning, { collections, scenes });
+        if (problem) {
+            errors.push(`idle warning: ${problem}`);
+        } else {
+            idle.warning = Object.assign({}, rawIdle.warning);
+        }
+    }
+
+    const rawProximity = (raw && raw.proximity) || {};
+    const proximity = { approach: null, leave: null, keepAwake: true };
+
+    Object.keys(rawProximity).forEach((key) => {
+        if (key === 'keepAwake') {
+            if (typeof rawProximity.keepAwake !== 'boolean') {
+                errors.push('proximity "keepAwake" must be true or false');
+            } else {
+                proximity.keepAwake = rawProximity.keepAwake;
+            }
+        } else if (key === 'approach' || key === 'leave') {
+            const problem = validateAction(rawProximity[key], { collections, scenes });
+            if (problem) {
+                errors.push(`proximity ${key}: ${problem}`);
+            } else {
+                proximity[key] = Object.assign({}, rawProximity[key]);
+            }
+        } else {
+            errors.push(`unknown proximity setting "${key}" (expected approach, leave or keepAwake)`);
+        }
+    });
+
+    const rawIndicators = (raw && raw.indicators) || {};
+    const indicators = {};
+
+    // Lowest indicator electrode on each board
+    const lowestIndicators = new Map();
+
+    Object.keys(rawIndicators).forEach((role) => {
+        const id = rawIndicators[role];
+        const pad = typeof id === 'number' || typeof id === 'string' ? SensorArray.parsePadId(id, boards) : null;
+
+        if (!Indicators.ROLES.includes(role)) {
+            errors.push(`unknown indicator "${role}" (expected one of ${Indicators.ROLES.join(', ')})`);
+        } else if (!pad || pad.pin < FIRST_GPIO_PIN) {
+            const where = boards ? `board:pin with a pin from ${FIRST_GPIO_PIN} to ${PIN_COUNT - 1}` : `an electrode from ${FIRST_GPIO_PIN} to ${PIN_COUNT - 1}`;
+            errors.push(`indicator "${role}" must be on ${where}, got ${JSON.stringify(id)}`);
+        } else {
+            indicators[role] = SensorArray.padId(pad.board, pad.pin);
+            lowestIndicators.set(pad.board, Math.min(pad.pin, lowestIndicators.has(pad.board) ? lowestIndicators.get(pad.board) : PIN_COUNT));
+        }
+    });
+
+    // Each chip only senses touches on electrodes below its first GPIO pin
+    Object.keys(pins).forEach((id) => {
+        const pad = SensorArray.parsePadId(id, boards);
+        const lowest = lowestIndicators.get(pad.board);
+
+        if (pad.pin >= lowest) {
+            errors.push(`pin ${id} can't be a pad, electrodes from the first indicator (${SensorArray.padId(pad.board, lowest)}) up drive LEDs`);
+        }
+    });
+
+    if (errors.length) {
+        throw new Error(`Invalid pad mapping:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return { collections, tags, pins, gestures, debounce, idle, proximity, indicators };
+}
+
+/**
+ * Reads and validates a pad mapping file.
+ * @param {string} file - Path to the JSON mapping file
+ * @param {Object<string, number>} scenes - Scene name to ID table
+ * @param {Object} [options] - See validateMappings
+ * @returns {Object} Normalized mapping, see validateMappings
+ * @throws {Error} If the file cannot be read, parsed or validated
+ */
+function loadMappings(file, scenes, options) {
+    let raw;
+
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read pad mapping ${file}: ${error.message}`);
+    }
+
+    return validateMappings(raw, scenes, options);
+}
+
+module.exports = {
+    ACTIONS,
+    PIN_COUNT,
+    actionClass,
+    describeAction,
+    describePin,
+    validateAction,
+    validateMappings,
+    loadMappings
+};
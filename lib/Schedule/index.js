@@ -0,0 +1,381 @@
+'use strict';
+
+/**
+ * @fileoverview Weekly schedule / quiet hours engine
+ * Decides whether a class of action (on, off, scene, party...) is allowed at
+ * a given moment, based on per-weekday windows, quiet periods and date
+ * exceptions, all evaluated in a configurable timezone. Every decision comes
+ * with a human readable reason so blocked touches can be explained in the logs.
+ * It also knows the brightness limits for each time of day, and when each
+ * collection's scenes are on offer.
+ *
+ * @module Schedule
+ * @requires fs
+ */
+
+const fs = require('fs');
+
+/** @const {string[]} Weekday keys in Date#getDay order */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** @const {string[]} Month keys in Date#getMonth order */
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/** @const {Object<string, string[]>} Shorthands usable in a window's "days" */
+const DAY_GROUPS = {
+    daily: WEEKDAYS,
+    weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    weekends: ['sat', 'sun']
+};
+
+/** @const {string} Rule used for action classes without their own */
+const DEFAULT_RULE = 'default';
+
+/**
+ * Parses "HH:MM" into minutes since midnight. "24:00" is allowed as an end time.
+ * @private
+ * @param {string} value - Time of day
+ * @returns {number} Minutes since midnight, or NaN if invalid
+ */
+function parseTime(value) {
+    const match = /^(\d{2}):(\d{2})$/.exec(value);
+    if (!match) return NaN;
+
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : NaN;
+}
+
+/**
+ * Expands a window's "days" into a list of weekday keys.
+ * @private
+ * @param {string|string[]} days - Day group name or list of weekday keys
+ * @returns {string[]|null} Weekday keys, or null if invalid
+ */
+function parseDays(days) {
+    if (typeof days === 'string') return DAY_GROUPS[days] || null;
+    if (!Array.isArray(days) || !days.length) return null;
+    return days.every((day) => WEEKDAYS.includes(day)) ? days : null;
+}
+
+/**
+ * Validates and normalizes a list of time windows. Any window can be
+ * narrowed to some months of the year with "months".
+ * @private
+ * @param {Object[]} windows - Raw windows from the config
+ * @param {string} where - Where the windows came from, for error messages
+ * @param {string[]} errors - Collected problems
+ * @param {boolean} [allDay=false] - Let "days" default to daily and "start"/"end" to the whole day
+ * @returns {Object[]} Normalized windows
+ */
+function parseWindows(windows, where, errors, allDay) {
+    if (!Array.isArray(windows)) {
+        errors.push(`${where} must be "always", "never" or a list of windows`);
+        return [];
+    }
+
+    return windows.map((window, i) => {
+        window = window || {};
+        const wholeDay = allDay && window.start === undefined && window.end === undefined;
+        const everyDay = allDay && window.days === undefined;
+        const days = everyDay ? WEEKDAYS : parseDays(window.days);
+        const start = wholeDay ? 0 : parseTime(window.start);
+        const end = wholeDay ? 24 * 60 : parseTime(window.end);
+        const months = window.months === undefined ? null : window.months;
+
+        if (!days) errors.push(`${where}[${i}]: "days" must be daily, weekdays, weekends or a list of ${WEEKDAYS.join('/')}`);
+        if (isNaN(start)) errors.push(`${where}[${i}]: "start" must be a time like "07:00"`);
+        if (isNaN(end)) errors.push(`${where}[${i}]: "end" must be a time like "20:00"`);
+        if (months !== null && (!Array.isArray(months) || !months.length || !months.every((month) => MONTHS.includes(month)))) {
+            errors.push(`${where}[${i}]: "months" must be a list of ${MONTHS.join('/')}`);
+        }
+
+        const label = [
+            wholeDay ? null : `${window.start}-${window.end}`,
+            everyDay ? null : (typeof window.days === 'string' ? window.days : (window.days || []).join('/')),
+            Array.isArray(months) ? `in ${months.join('/')}` : null
+        ].filter(Boolean).join(' ');
+
+        return {
+            name: window.name,
+            days: days || [],
+            start,
+            end,
+            months: Array.isArray(months) ? months : null,
+            label: label || 'all the time'
+        };
+    });
+}
+
+/**
+ * Checks if a minute of the day falls inside a window. Windows whose end is
+ * before their start wrap past midnight, and the part after midnight belongs
+ * to the day the window started on.
+ * @private
+ * @param {Object} window - Normalized window
+ * @param {string} weekday - Weekday key to check
+ * @param {number} minutes - Minutes since midnight to check
+ * @param {string} month - Month key to check
+ * @returns {boolean} True if the moment is inside the window
+ */
+function inWindow(window, weekday, minutes, month) {
+    if (window.months && !window.months.includes(month)) return false;
+
+    if (window.start <= window.end) {
+        return window.days.includes(weekday) && minutes >= window.start && minutes < window.end;
+    }
+
+    const previousDay = WEEKDAYS[(WEEKDAYS.indexOf(weekday) + 6) % 7];
+    return (window.days.includes(weekday) && minutes >= window.start) ||
+        (window.days.includes(previousDay) && minutes < window.end);
+}
+
+/**
+ * Schedule deciding which classes of action are allowed when.
+ *
+ * @example
+ * const schedule = Schedule.load('./schedule.json');
+ * const { allowed, reason } = schedule.check('on');
+ * if (!allowed) console.log(`Blocked: ${reason}`);
+ */
+class Schedule {
+
+    /**
+     * Creates a new schedule
+     * @param {Object} config - Schedule config, see schedule.json
+     * @param {string} [config.timezone] - IANA timezone, defaults to the system timezone
+     * @param {Object<string, string|Object[]>} config.rules - Windows per action class, must include "default"
+     * @param {Object[]} [config.quiet] - Windows where everything but "always" classes is blocked
+     * @param {Object[]} [config.exceptions] - Per-date overrides
+     * @param {Object[]} [config.brightnessLimits] - Windows with a "min" and/or "max" brightness
+     * @param {Object<string, string|Object[]>} [config.sceneRules] - Windows per collection when its scenes are on offer
+     * @param {Object} [options]
+     * @param {Function} [options.now] - Clock returning a Date, injectable for tests
+     * @throws {Error} If the config is invalid
+     */
+    constructor(config, options) {
+        const errors = [];
+
+        config = config || {};
+        options = options || {};
+
+        this.now = options.now || (() => new Date());
+        this.timezone = config.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        try {
+            this.formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            });
+        } catch (error) {
+            errors.push(`unknown timezone "${config.timezone}"`);
+        }
+
+        const rules = config.rules || {};
+        this.rules = {};
+
+        if (!(DEFAULT_RULE in rules)) {
+            errors.push(`"rules" must include a "${DEFAULT_RULE}" rule`);
+        }
+
+        Object.keys(rules).forEach((actionClass) => {
+            const rule = rules[actionClass];
+            this.rules[actionClass] = rule === 'always' || rule === 'never'
+                ? rule
+                : parseWindows(rule, `rules.${actionClass}`, errors);
+        });
+
+        this.quiet = parseWindows(config.quiet || [], 'quiet', errors);
+
+        this.brightnessLimitWindows = parseWindows(config.brightnessLimits || [], 'brightnessLimits', errors);
+        (Array.isArray(config.brightnessLimits) ? config.brightnessLimits : []).forEach((window, i) => {
+            ['min', 'max'].forEach((key) => {
+                if (window[key] !== undefined && (!Number.isInteger(window[key]) || window[key] < 1 || window[key] > 100)) {
+                    errors.push(`brightnessLimits[${i}]: "${key}" must be an integer between 1 and 100, got ${JSON.stringify(window[key])}`);
+                }
+            });
+            if (window.min === undefined && window.max === undefined) {
+                errors.push(`brightnessLimits[${i}]: needs a "min", a "max" or both`);
+            } else if (window.min > window.max) {
+                errors.push(`brightnessLimits[${i}]: "min" must not be above "max"`);
+            }
+            Object.assign(this.brightnessLimitWindows[i], { min: window.min, max: window.max });
+        });
+
+        // Windows default to the whole day here, since most are about months, like "HOLIDAY" only in December
+        const sceneRules = config.sceneRules || {};
+        this.sceneRules = {};
+        if (typeof sceneRules !== 'object' || Array.isArray(sceneRules)) {
+            errors.push('"sceneRules" must map collection names to "always", "never" or a list of windows');
+        } else {
+            Object.keys(sceneRules).forEach((collection) => {
+                const rule = sceneRules[collection];
+                this.sceneRules[collection] = rule === 'always' || rule === 'never'
+                    ? rule
+                    : parseWindows(rule, `sceneRules.${collection}`, errors, true);
+            });
+        }
+
+        this.exceptions = {};
+        const exceptions = config.exceptions || [];
+        if (!Array.isArray(exceptions)) errors.push('"exceptions" must be a list of dates');
+        (Array.isArray(exceptions) ? exceptions : []).forEach((exception, i) => {
+            if (!exception || typeof exception !== 'object') {
+                errors.push(`exceptions[${i}] must be an object with a "date"`);
+                return;
+            }
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(exception.date)) {
+                errors.push(`exceptions[${i}]: "date" must look like "2025-12-25"`);
+                return;
+            }
+            if (exception.treatAs !== undefined && !WEEKDAYS.includes(exception.treatAs)) {
+                errors.push(`exceptions[${i}]: "treatAs" must be one of ${WEEKDAYS.join(', ')}`);
+                return;
+            }
+            this.exceptions[exception.date] = exception;
+        });
+
+        if (errors.length) {
+            throw new Error(`Invalid schedule:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * Reads and validates a schedule file
+     * @param {string} file - Path to the JSON schedule file
+     * @param {Object} [options] - Passed on to the constructor
+     * @returns {Schedule} The loaded schedule
+     * @throws {Error} If the file cannot be read, parsed or validated
+     */
+    static load(file, options) {
+        let config;
+
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to read schedule ${file}: ${error.message}`);
+        }
+
+        return new Schedule(config, options);
+    }
+
+    /**
+     * Breaks a moment down into the schedule's timezone
+     * @param {Date} [date] - Moment to convert, defaults to now
+     * @returns {{date: string, weekday: string, month: string, minutes: number, time: string}} Local date parts
+     */
+    localTime(date) {
+        const parts = {};
+
+        this.formatter.formatToParts(date || this.now()).forEach((part) => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: parts.weekday.toLowerCase(),
+            month: MONTHS[Number(parts.month) - 1],
+            minutes: Number(parts.hour) * 60 + Number(parts.minute),
+            time: `${parts.hour}:${parts.minute}`
+        };
+    }
+
+    /**
+     * Decides whether an action class is allowed
+     * @param {string} actionClass - Class of action, e.g. "on", "off" or "party"
+     * @param {Date} [date] - Moment to check, defaults to now
+     * @returns {{allowed: boolean, reason: string}} The decision and why it was made
+     */
+    check(actionClass, date) {
+        const local = this.localTime(date);
+        const ruleName = actionClass in this.rules ? actionClass : DEFAULT_RULE;
+        const rule = this.rules[ruleName];
+        const exception = this.exceptions[local.date];
+        const weekday = exception && exception.treatAs ? exception.treatAs : local.weekday;
+        const when = `${local.weekday} ${local.date} ${local.time} ${this.timezone}`;
+
+        if (rule === 'always') {
+            return { allowed: true, reason: `"${actionClass}" is always allowed` };
+        }
+
+        if (rule === 'never') {
+            return { allowed: false, reason: `"${actionClass}" is never allowed (rule "${ruleName}")` };
+        }
+
+        if (exception && exception.closed) {
+            return { allowed: false, reason: `${exception.name || local.date} - closed all day (${when})` };
+        }
+
+        const quiet = this.quiet.find((window) => inWindow(window, weekday, local.minutes, local.month));
+        if (quiet) {
+            return { allowed: false, reason: `quiet hours${quiet.name ? ` "${quiet.name}"` : ''} ${quiet.label} (${when})` };
+        }
+
+        const open = rule.find((window) => inWindow(window, weekday, local.minutes, local.month));
+        if (!open) {
+            const asDay = weekday !== local.weekday ? `, treated as ${weekday} for ${exception.name || local.date}` : '';
+            const allowedWhen = rule.length ? rule.map((window) => window.label).join(', ') : 'nothing';
+            return { allowed: false, reason: `outside "${ruleName}" hours ${allowedWhen} (${when}${asDay})` };
+        }
+
+        return { allowed: true, reason: `within "${ruleName}" hours ${open.label}` };
+    }
+
+    /**
+     * Works out the brightness limits in force. Where windows overlap, the
+     * tightest limits win, and a max below a min wins over the min.
+     * @param {Date} [date] - Moment to check, defaults to now
+     * @returns {{min: number, max: number, reason: string|null}} The limits, 1-100 with none in force,
+     *     and the windows that set them
+     */
+    brightnessLimits(date) {
+        const local = this.localTime(date);
+        const exception = this.exceptions[local.date];
+        const weekday = exception && exception.treatAs ? exception.treatAs : local.weekday;
+        const limits = { min: 1, max: 100, reason: null };
+
+        const windows = this.brightnessLimitWindows.filter((window) => inWindow(window, weekday, local.minutes, local.month));
+        windows.forEach((window) => {
+            if (window.min !== undefined) limits.min = Math.max(limits.min, window.min);
+            if (window.max !== undefined) limits.max = Math.min(limits.max, window.max);
+        });
+        limits.min = Math.min(limits.min, limits.max);
+
+        if (windows.length) {
+            limits.reason = `brightness limits ${windows.map((window) => (window.name ? `"${window.name}"` : window.label)).join(', ')}`;
+        }
+        return limits;
+    }
+
+    /**
+     * Decides whether a collection's scenes are on offer. Unlike action
+     * classes, collections without a rule always are, and quiet hours don't
+     * come into it.
+     * @param {string} collection - Collection name
+     * @param {Date} [date] - Moment to check, defaults to now
+     * @returns {{allowed: boolean, reason: string|null}} The decision, and why not if they aren't
+     */
+    sceneRule(collection, date) {
+        const rule = this.sceneRules[collection];
+        if (rule === undefined || rule === 'always') return { allowed: true, reason: null };
+        if (rule === 'never') return { allowed: false, reason: `"${collection}" scenes are never on offer` };
+
+        const local = this.localTime(date);
+        const exception = this.exceptions[local.date];
+        const weekday = exception && exception.treatAs ? exception.treatAs : local.weekday;
+        if (rule.some((window) => inWindow(window, weekday, local.minutes, local.month))) return { allowed: true, reason: null };
+
+        const allowedWhen = rule.length ? rule.map((window) => window.label).join(', ') : 'nothing';
+        return { allowed: false, reason: `"${collection}" scenes are only on offer ${allowedWhen}` };
+    }
+}
+
+Schedule.WEEKDAYS = WEEKDAYS;
+Schedule.MONTHS = MONTHS;
+
+exports = module.exports = Schedule;
@@ -0,0 +1,362 @@
+'use strict';
+
+/**
+ * @fileoverview Several MPR121 boards as one sensor
+ * Each MPR121 has 12 electrodes and one of four I2C addresses (0x5A-0x5D), so
+ * up to 48 pads can share a bus. This wraps the boards in a single sensor
+ * whose pads have global IDs, "board1:3" being electrode 3 on board1, and
+ * reports errors and readiness per board.
+ *
+ * With a single board there are no names, and pads keep their plain pin
+ * numbers.
+ *
+ * @module SensorArray
+ * @requires events
+ * @requires ../MPR121
+ */
+
+const EventEmitter = require('events');
+const MPR121 = require('../MPR121');
+
+/** @const {number} Electrodes per board */
+const PIN_COUNT = 12;
+
+/** @const {RegExp} Board names: something that reads well before the colon in a pad ID */
+const BOARD_NAME = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Builds a pad ID
+ * @param {string|null} board - Board name, null for a single unnamed board
+ * @param {number} pin - Electrode number (0-11)
+ * @returns {string|number} "board:pin", or just the pin
+ */
+function padId(board, pin) {
+    return board === null ? pin : `${board}:${pin}`;
+}
+
+/**
+ * Splits a pad ID into its board and pin
+ * @param {string|number} id - Pad ID, e.g. "board1:3", or 3 with a single board
+ * @param {string[]|null} boards - Board names, or null for a single unnamed board
+ * @returns {{board: string|null, pin: number}|null} The board and pin, or null if the ID isn't one of ours
+ */
+function parsePadId(id, boards) {
+    const match = boards ? /^(.+):(\d+)$/.exec(id) : /^()(\d+)$/.exec(id);
+    if (!match) return null;
+
+    const board = boards ? match[1] : null;
+    const pin = Number(match[2]);
+    if (pin >= PIN_COUNT || (boards && !boards.includes(board))) return null;
+
+    return { board, pin };
+}
+
+/**
+ * Reads an I2C address written as a number or a hex string like "0x5B"
+ * @private
+ * @param {number|string} address - Address from the options
+ * @returns {number|string} The address as a number when it parses, as given otherwise
+ */
+function parseAddress(address) {
+    if (typeof address !== 'string' || !/^0x[0-9a-f]+$/i.test(address)) return address;
+    return Number(address);
+}
+
+/**
+ * Works out each board's options from sensor.json-style options. Options
+ * outside "boards" apply to every board, and each board's own options win.
+ *
+ * @param {Object} [options] - Sensor options, optionally with boards: { name: { address, ... } }
+ * @returns {Object<string, Object>|null} Options per board name, or null for a single board
+ * @throws {Error} Listing every problem found, per board
+ */
+function resolveBoards(options) {
+    options = Object.assign({}, options);
+    if (options.address !== undefined) options.address = parseAddress(options.address);
+
+    if (options.boards === undefined) {
+        MPR121.resolveOptions(options);
+        return null;
+    }
+
+    const shared = Object.assign({}, options);
+    delete shared.boards;
+
+    const errors = [];
+    const boards = {};
+    const used = {};
+    const names = options.boards && typeof options.boards === 'object' ? Object.keys(options.boards) : [];
+
+    if (!names.length) errors.push('boards must name at least one board, e.g. { "board1": { "address": "0x5A" } }');
+
+    names.forEach((name) => {
+        const board = Object.assign({}, shared, options.boards[name]);
+        board.address = parseAddress(board.address);
+
+        if (!BOARD_NAME.test(name)) {
+            errors.push(`board "${name}": names start with a letter and only use letters, digits, - and _`);
+        }
+        if (options.boards[name] === null || typeof options.boards[name] !== 'object' || board.address === undefined) {
+            errors.push(`${name}: needs an address (0x5A-0x5D)`);
+            return;
+        }
+
+        const slot = `${board.bus || 1}/${board.address}`;
+        if (used[slot]) {
+            errors.push(`${name}: address ${JSON.stringify(options.boards[name].address)} is already used by ${used[slot]}`);
+        }
+        used[slot] = name;
+
+        try {
+            MPR121.resolveOptions(board);
+        } catch (error) {
+            error.message.split('\n').slice(1).forEach((line) => errors.push(`${name}: ${line.replace(/^\s*- /, '')}`));
+        }
+
+        boards[name] = board;
+    });
+
+    if (errors.length) {
+        throw new Error(`Invalid sensor boards:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return boards;
+}
+
+/**
+ * One sensor made of several MPR121 boards
+ *
+ * @extends EventEmitter
+ *
+ * @fires SensorArray#touch - Emitted with the pad ID when a pad is touched
+ * @fires SensorArray#release - Emitted with the pad ID when a pad is released
+ * @fires SensorArray#approach - Emitted with the board name when something comes within range of its proximity electrode
+ * @fires SensorArray#leave - Emitted with the board name when it has gone again
+ * @fires SensorArray#error - Emitted with (error, board) when a board has a problem
+ * @fires SensorArray#boardReady - Emitted with the board name when a board is ready, or ready again after recovering
+ * @fires SensorArray#ready - Emitted when every board is ready
+ * @fires SensorArray#thresholds - Emitted with (pad, touch, release) once a pad's thresholds are set
+ *
+ * @example
+ * const sensor = SensorArray.create({ boards: { left: { address: 0x5A }, right: { address: 0x5B } } });
+ * sensor.on('touch', (pad) => console.log(`${pad} touched`)); // "right:3 touched"
+ */
+class SensorArray extends EventEmitter {
+
+    /**
+     * Wraps some sensors
+     * @param {Object<string, MPR121>|MPR121} sensors - Sensors by board name, or a single sensor
+     */
+    constructor(sensors) {
+        super();
+
+        this.named = !(sensors instanceof EventEmitter);
+        this.boards = new Map(this.named ? Object.entries(sensors) : [[null, sensors]]);
+        this.errors = new Map();
+
+        this.boards.forEach((sensor, board) => {
+            sensor.on('touch', (pin) => this.emit('touch', padId(board, pin)));
+            sensor.on('release', (pin) => this.emit('release', padId(board, pin)));
+            sensor.on('approach', () => this.emit('approach', board));
+            sensor.on('leave', () => this.emit('leave', board));
+            sensor.on('ready', () => {
+                this.errors.delete(board);
+                this.emit('boardReady', board);
+                if (this.ready) this.emit('ready');
+            });
+            sensor.on('error', (error) => {
+                this.errors.set(board, error);
+                this.emit('error', error, board);
+            });
+        });
+    }
+
+    /**
+     * Whether every board is ready
+     * @type {boolean}
+     */
+    get ready() {
+        return Array.from(this.boards.values()).every((sensor) => sensor.ready);
+    }
+
+    /**
+     * Board names, or null for a single unnamed board
+     * @returns {string[]|null} Names
+     */
+    boardNames() {
+        return this.named ? Array.from(this.boards.keys()) : null;
+    }
+
+    /**
+     * Reports how each board is doing
+     * @returns {Array<{board: string|null, address: number, ready: boolean, mode: string|null, error: string|null}>}
+     *     One entry per board. error is the last one since the board was last ready
+     */
+    status() {
+        return Array.from(this.boards, ([board, sensor]) => ({
+            board,
+            address: sensor.address,
+            ready: sensor.ready,
+            mode: sensor.mode,
+            error: this.errors.has(board) ? this.errors.get(board).message : null
+        }));
+    }
+
+    /**
+     * Finds the board and pin behind a pad ID
+     * @param {string|number} id - Pad ID
+     * @returns {{sensor: MPR121, pin: number}} The board's sensor and the pin on it
+     * @throws {Error} If there's no such pad
+     */
+    locate(id) {
+        const pad = parsePadId(id, this.boardNames());
+        if (!pad) {
+            const expected = this.named ? `board:pin with a board of ${this.boardNames().join(', ')}` : `0-${PIN_COUNT - 1}`;
+            throw new Error(`Unknown pad ${JSON.stringify(id)} (expected ${expected})`);
+        }
+
+        return { sensor: this.boards.get(pad.board), pin: pad.pin };
+    }
+
+    /**
+     * Calls a sensor method for a pad
+     * @private
+     * @param {string} method - MPR121 method name
+     * @param {string|number} id - Pad ID
+     * @param {...*} args - Arguments after the pin
+     * @returns {Promise} Whatever the method returns, or a rejection for an unknown pad
+     */
+    forward(method, id, ...args) {
+        let pad;
+        try {
+            pad = this.locate(id);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return pad.sensor[method](pad.pin, ...args);
+    }
+
+    /**
+     * Sets one pad's touch and release thresholds, see MPR121#setPinThresholds
+     * @param {string|number} id - Pad ID
+     * @param {number} touch - Touch threshold (0-255)
+     * @param {number} release - Release threshold, lower than touch
+     * @returns {Promise} Resolves when set
+     */
+    setPinThresholds(id, touch, release) {
+        return this.forward('setPinThresholds', id, touch, release).then((result) => {
+            this.emit('thresholds', String(id), touch, release);
+            return result;
+        });
+    }
+
+    /**
+     * Gets a pad's baseline, see MPR121#baselineData
+     * @param {string|number} id - Pad ID
+     * @returns {Promise<number>} Resolves with the baseline
+     */
+    baselineData(id) {
+        return this.forward('baselineData', id);
+    }
+
+    /**
+     * Gets a pad's filtered data, see MPR121#filteredData
+     * @param {string|number} id - Pad ID
+     * @returns {Promise<number>} Resolves with the filtered data
+     */
+    filteredData(id) {
+        return this.forward('filteredData', id);
+    }
+
+    /**
+     * Sets a pad's electrode up as GPIO, see MPR121#setGpioMode
+     * @param {string|number} id - Pad ID
+     * @param {string|null} mode - GPIO mode, or null
+     * @returns {Promise} Resolves when set up
+     */
+    setGpioMode(id, mode) {
+        return this.forward('setGpioMode', id, mode);
+    }
+
+    /**
+     * Sets a GPIO output, see MPR121#writeGpio
+     * @param {string|number} id - Pad ID
+     * @param {boolean} value - True for high
+     * @returns {Promise} Resolves when written
+     */
+    writeGpio(id, value) {
+        return this.forward('writeGpio', id, value);
+    }
+
+    /**
+     * Dims a GPIO output, see MPR121#pwm
+     * @param {string|number} id - Pad ID
+     * @param {number} duty - Duty cycle (0-15)
+     * @returns {Promise} Resolves when written
+     */
+    pwm(id, duty) {
+        return this.forward('pwm', id, duty);
+    }
+
+    /**
+     * Reads a GPIO pin, see MPR121#readGpio
+     * @param {string|number} id - Pad ID
+     * @returns {Promise<boolean>} Resolves true if high
+     */
+    readGpio(id) {
+        return this.forward('readGpio', id);
+    }
+
+    /**
+     * Checks if a pad is touched
+     * @param {string|number} id - Pad ID
+     * @returns {boolean} True if touched, false for unknown pads
+     */
+    isTouched(id) {
+        try {
+            const pad = this.locate(id);
+            return pad.sensor.isTouched(pad.pin);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Stops every board
+     */
+    stopPolling() {
+        this.boards.forEach((sensor) => sensor.stopPolling());
+    }
+
+    /**
+     * Creates the boards described by sensor.json-style options
+     * @param {Object} [options] - Sensor options, see resolveBoards
+     * @param {Function} [connect] - (board, options) => extra options for a board, e.g. a simulated i2cBus
+     * @returns {SensorArray} The boards
+     * @throws {Error} If the options are invalid
+     */
+    static create(options, connect) {
+        const boards = resolveBoards(options);
+        connect = connect || (() => ({}));
+
+        if (!boards) {
+            const single = Object.assign({}, options);
+            if (single.address !== undefined) single.address = parseAddress(single.address);
+            return new SensorArray(new MPR121(Object.assign(single, connect(null, single))));
+        }
+
+        const sensors = {};
+        Object.keys(boards).forEach((board) => {
+            sensors[board] = new MPR121(Object.assign({}, boards[board], connect(board, boards[board])));
+        });
+        return new SensorArray(sensors);
+    }
+}
+
+SensorArray.PIN_COUNT = PIN_COUNT;
+SensorArray.padId = padId;
+SensorArray.parsePadId = parsePadId;
+SensorArray.resolveBoards = resolveBoards;
+
+exports = module.exports = SensorArray;
@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * @fileoverview Touch driver for the simulated MPR121
+ * Turns typed or scripted commands into touches on one or more SimulatedMPR121s.
+ *
+ * Commands, one per line:
+ *   3              tap pin 3
+ *   tap 3 [ms]     tap pin 3, holding it for ms (default 100)
+ *   hold 2 1500    press pin 2 for 1.5 seconds
+ *   touch 4        press pin 4 and keep it pressed
+ *   release 4      let go of pin 4
+ *   approach       come within range of the proximity electrode
+ *   leave          go away again
+ *   wait 500       do nothing for half a second (handy in scripts)
+ *
+ * With several boards, pads are "board:pin" IDs, e.g. "tap right:3", and
+ * approach and leave take a board name, e.g. "approach right".
+ * Lines starting with # are ignored.
+ *
+ * @module Simulator/driver
+ * @requires fs
+ * @requires readline
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+/** @const {number} How long a plain tap holds the pad down */
+const DEFAULT_TAP_MS = 100;
+
+/**
+ * Runs touch commands against simulated chips, one at a time and in order
+ *
+ * @example
+ * const driver = new TouchDriver(chip);
+ * driver.attach(process.stdin);
+ *
+ * const boards = new TouchDriver(new Map([['left', leftChip], ['right', rightChip]]));
+ * boards.command('tap right:3');
+ */
+class TouchDriver {
+
+    /**
+     * Creates a driver for simulated chips
+     * @param {SimulatedMPR121|Map<string, SimulatedMPR121>} chips - A single chip, or chips by board name
+     */
+    constructor(chips) {
+        this.chips = chips instanceof Map ? chips : new Map([[null, chips]]);
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Queues a command behind any that are still running
+     * @param {string} line - A command, see the module docs
+     * @returns {Promise} Resolves when the command has finished
+     */
+    command(line) {
+        this.pending = this.pending
+            .then(() => this.run(line))
+            .catch((error) => console.error(`Simulator: ${error.message}`));
+        return this.pending;
+    }
+
+    /**
+     * Reads commands from a stream, e.g. the terminal
+     * @param {stream.Readable} input - Stream of command lines
+     * @returns {readline.Interface} The line reader, close it to stop
+     */
+    attach(input) {
+        const rl = readline.createInterface({ input, terminal: false });
+        rl.on('line', (line) => this.command(line));
+        return rl;
+    }
+
+    /**
+     * Runs every command in a script file
+     * @param {string} file - Path to the script
+     * @returns {Promise} Resolves when the script has finished
+     */
+    play(file) {
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        return Promise.all(lines.map((line) => this.command(line)));
+    }
+
+    /**
+     * Runs one command
+     * @private
+     * @param {string} line - A command
+     * @returns {Promise} Resolves when the command has finished
+     */
+    async run(line) {
+        const words = line.trim().split(/\s+/);
+        if (!words[0] || words[0].startsWith('#')) return;
+
+        if (/^(.+:)?\d+$/.test(words[0])) words.unshift('tap');
+
+        const [command, first, second] = words;
+
+        switch (command) {
+            case 'tap':
+            case 'hold': {
+                const { chip, pin } = this.find(first);
+                chip.touch(pin);
+                await wait(second !== undefined ? Number(second) : DEFAULT_TAP_MS);
+                chip.release(pin);
+                break;
+            }
+
+            case 'touch': {
+                const { chip, pin } = this.find(first);
+                chip.touch(pin);
+                break;
+            }
+
+            case 'release': {
+                const { chip, pin } = this.find(first);
+                chip.release(pin);
+                break;
+            }
+
+            case 'approach':
+            case 'leave':
+                this.findBoard(first)[command]();
+                break;
+
+            case 'wait':
+                await wait(Number(first));
+                break;
+
+            default:
+                throw new Error(`Unknown command "${line.trim()}" - try "3", "hold 2 1500" or "wait 500"`);
+        }
+    }
+
+    /**
+     * Finds the chip and pin for a pad
+     * @private
+     * @param {string} pad - A pin number, or "board:pin"
+     * @returns {{chip: SimulatedMPR121, pin: number}} Where to touch
+     * @throws {Error} If there's no such board
+     */
+    find(pad) {
+        const match = /^(?:(.+):)?(\d+)$/.exec(pad || '');
+        const board = match && match[1] !== undefined ? match[1] : null;
+
+        if (!match || !this.chips.has(board)) {
+            const boards = Array.from(this.chips.keys());
+            throw new Error(`Unknown pad "${pad}" - expected ${boards[0] === null ? 'a pin number' : `board:pin with a board of ${boards.join(', ')}`}`);
+        }
+
+        return { chip: this.chips.get(board), pin: Number(match[2]) };
+    }
+
+    /**
+     * Finds a board's chip
+     * @private
+     * @param {string} [board] - Board name, left out with a single chip
+     * @returns {SimulatedMPR121} The chip
+     * @throws {Error} If there's no such board
+     */
+    findBoard(board) {
+        const key = board === undefined ? null : board;
+
+        if (!this.chips.has(key)) {
+            const boards = Array.from(this.chips.keys());
+            throw new Error(`Unknown board "${board}" - expected ${boards[0] === null ? 'no board name' : `one of ${boards.join(', ')}`}`);
+        }
+
+        return this.chips.get(key);
+    }
+}
+
+/**
+ * Resolves after a delay
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after ms
+ */
+function wait(ms) {
+    if (!(ms >= 0)) return Promise.reject(new Error(`Expected a number of milliseconds, got ${ms}`));
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+exports = module.exports = TouchDriver;
@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * @fileoverview Stand-in Govee API server
+ * A local HTTP server that answers the Govee OpenAPI endpoints GoveeApi uses
+ * (device list, device state, scene list and control) for one simulated
+ * light. It checks commands against the capabilities the light declares,
+ * keeps track of the light's state and records every command it receives.
+ *
+ * Run it on its own with `node lib/Simulator/govee.js [port]` and point
+ * apiUrl in lib/GoveeApi/config.js at it.
+ *
+ * @module Simulator/govee
+ * @requires http
+ * @requires events
+ */
+
+const http = require('http');
+const EventEmitter = require('events');
+const { checkParameters } = require('../GoveeApi/capabilities');
+
+/** @const {number} Port the server listens on unless told otherwise */
+const DEFAULT_PORT = 8787;
+
+/** @const {Object} The simulated light, as the device list describes it */
+const DEFAULT_DEVICE = {
+    sku: 'H6061',
+    device: 'SI:MU:LA:TE:D0:00:00:01',
+    deviceName: 'Simulated light wall'
+};
+
+/**
+ * Builds the capability declarations the simulated light reports
+ * @returns {Object[]} Capabilities in /router/api/v1/user/devices format
+ */
+function declaredCapabilities() {
+    return [
+        {
+            type: 'devices.capabilities.on_off',
+            instance: 'powerSwitch',
+            parameters: { dataType: 'ENUM', options: [{ name: 'on', value: 1 }, { name: 'off', value: 0 }] }
+        },
+        {
+            type: 'devices.capabilities.range',
+            instance: 'brightness',
+            parameters: { dataType: 'INTEGER', unit: 'unit.percent', range: { min: 1, max: 100, precision: 1 } }
+        },
+        {
+            type: 'devices.capabilities.color_setting',
+            instance: 'colorRgb',
+            parameters: { dataType: 'INTEGER', range: { min: 0, max: 16777215, precision: 1 } }
+        },
+        {
+            type: 'devices.capabilities.color_setting',
+            instance: 'colorTemperatureK',
+            parameters: { dataType: 'INTEGER', range: { min: 2000, max: 9000, precision: 1 } }
+        },
+        {
+            type: 'devices.capabilities.dynamic_scene',
+            instance: 'lightScene',
+            parameters: { dataType: 'ENUM', options: [] }
+        }
+    ];
+}
+
+/**
+ * A stand-in for openapi.api.govee.com with one simulated light
+ *
+ * @extends EventEmitter
+ *
+ * @fires MockGoveeServer#command - Emitted with each accepted capability command
+ *
+ * @example
+ * const server = new MockGoveeServer({ scenes: require('./scenes') });
+ * await server.listen(8787);
+ * const govee = new GoveeApi({ apiKey: 'simulated', apiUrl: server.url, deviceSku: server.device.sku, deviceId: server.device.device });
+ */
+class MockGoveeServer extends EventEmitter {
+
+    /**
+     * Creates the server, not listening yet
+     * @param {Object} [options]
+     * @param {Object<string, number>} [options.scenes] - Scene names and ids to offer, e.g. scenes.js
+     * @param {Object} [options.device] - sku, device and deviceName of the simulated light
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this.device = Object.assign({}, DEFAULT_DEVICE, options.device, { capabilities: declaredCapabilities() });
+        this.scenes = Object.keys(options.scenes || {}).map((name) => ({
+            name,
+            value: { id: options.scenes[name], paramId: options.scenes[name] }
+        }));
+        this.state = {
+            online: true,
+            powerSwitch: 0,
+            brightness: 100,
+            colorRgb: 0xFFFFFF,
+            colorTemperatureK: 0,
+            lightScene: null
+        };
+        this.commands = [];
+        this.url = null;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * Starts listening on localhost
+     * @param {number} [port=8787] - Port, 0 for any free one
+     * @returns {Promise<string>} Resolves with the base URL once listening
+     */
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port === undefined ? DEFAULT_PORT : port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stops listening
+     * @returns {Promise} Resolves once the server has closed
+     */
+    close() {
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Answers one request
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    handle(req, res) {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            let status;
+            let response;
+
+            try {
+                ({ status, response } = this.route(req, body ? JSON.parse(body) : {}));
+            } catch (error) {
+                status = 400;
+                response = { code: 400, msg: error.message };
+            }
+
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response));
+        });
+    }
+
+    /**
+     * Works out the response for a request
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {Object} body - Parsed JSON body
+     * @returns {{status: number, response: Object}} HTTP status and JSON body
+     */
+    route(req, body) {
+        if (!req.headers['govee-api-key']) {
+            return { status: 401, response: { code: 401, msg: 'Missing Govee-API-Key header' } };
+        }
+
+        const route = `${req.method} ${req.url}`;
+        if (route === 'GET /router/api/v1/user/devices') {
+            return { status: 200, response: { code: 200, message: 'success', data: [this.device] } };
+        }
+
+        const payload = body.payload || {};
+        if (!route.startsWith('POST ')) {
+            return { status: 404, response: { code: 404, msg: `No such endpoint: ${route}` } };
+        }
+        if (payload.sku !== this.device.sku || payload.device !== this.device.device) {
+            return { status: 400, response: { code: 400, msg: `Unknown device ${payload.sku} ${payload.device}` } };
+        }
+
+        const reply = { requestId: body.requestId, code: 200, msg: 'success' };
+        const device = { sku: this.device.sku, device: this.device.device };
+
+        switch (req.url) {
+            case '/router/api/v1/device/state':
+                return { status: 200, response: Object.assign(reply, { payload: Object.assign(device, { capabilities: this.stateCapabilities() }) }) };
+
+            case '/router/api/v1/device/scenes': {
+                const lightScene = {
+                    type: 'devices.capabilities.dynamic_scene',
+                    instance: 'lightScene',
+                    parameters: { dataType: 'ENUM', options: this.scenes }
+                };
+                return { status: 200, response: Object.assign(reply, { payload: Object.assign(device, { capabilities: [lightScene] }) }) };
+            }
+
+            case '/router/api/v1/device/control':
+                return this.control(payload.capability || {}, reply);
+
+            default:
+                return { status: 404, response: { code: 404, msg: `No such endpoint: ${route}` } };
+        }
+    }
+
+    /**
+     * Applies a capability command to the simulated light
+     * @private
+     * @param {Object} capability - type, instance and value
+     * @param {Object} reply - Response fields shared by every endpoint
+     * @returns {{status: number, response: Object}} HTTP status and JSON body
+     */
+    control(capability, reply) {
+        const declared = this.device.capabilities.find((c) => c.type === capability.type && c.instance === capability.instance);
+        if (!declared) {
+            return { status: 400, response: { code: 400, msg: `Unsupported capability ${capability.type} ${capability.instance}` } };
+        }
+
+        const problem = checkParameters(declared.parameters, capability.value, capability.instance);
+        if (problem) {
+            return { status: 400, response: { code: 400, msg: problem } };
+        }
+
+        this.state[capability.instance] = capability.value;
+        this.commands.push({ at: new Date(), instance: capability.instance, value: capability.value });
+        this.emit('command', capability, this.state);
+
+        return {
+            status: 200,
+            response: Object.assign(reply, {
+                capability: Object.assign({}, capability, { state: { status: 'success' } })
+            })
+        };
+    }
+
+    /**
+     * Describes the light's state the way /device/state does
+     * @private
+     * @returns {Object[]} Capabilities with their current state
+     */
+    stateCapabilities() {
+        const capabilities = [{ type: 'devices.capabilities.online', instance: 'online', state: { value: this.state.online } }];
+        this.device.capabilities.forEach((capability) => {
+            capabilities.push({
+                type: capability.type,
+                instance: capability.instance,
+                state: { value: this.state[capability.instance] === null ? '' : this.state[capability.instance] }
+            });
+        });
+        return capabilities;
+    }
+}
+
+if (require.main === module) {
+    const server = new MockGoveeServer({ scenes: require('../../scenes') });
+    server.on('command', (capability) => console.log(`${capability.instance} = ${JSON.stringify(capability.value)}`));
+    server.listen(process.argv[2] !== undefined ? Number(process.argv[2]) : DEFAULT_PORT)
+        .then((url) => console.log(`Simulated Govee API listening on ${url}, device ${server.device.sku} ${server.device.device}`));
+}
+
+exports = module.exports = MockGoveeServer;
+exports.DEFAULT_PORT = DEFAULT_PORT;
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * @fileoverview Hardware-free simulation
+ * Everything needed to run the controller without a Raspberry Pi or a Govee
+ * account: a simulated MPR121 on a simulated I2C bus, with its IRQ line, a
+ * driver that turns typed or scripted commands into touches, and local
+ * stand-ins for the Govee API and an MQTT broker.
+ *
+ * @module Simulator
+ */
+
+const { SimulatedMPR121, createBus, createGpio } = require('./mpr121');
+const TouchDriver = require('./driver');
+const MockGoveeServer = require('./govee');
+const MockMqttBroker = require('./mqtt');
+
+/**
+ * Sensor options that connect the MPR121 driver to a simulated chip: the I2C
+ * bus, and the IRQ line too if the options use one
+ *
+ * @param {SimulatedMPR121} chip - Chip to connect
+ * @param {Object} [options] - The sensor options in use
+ * @returns {Object} Options to merge over them
+ */
+function wiring(chip, options) {
+    const connections = { i2cBus: createBus({ [(options && options.address) || 0x5A]: chip }) };
+
+    if (options && Number.isInteger(options.irqPin)) {
+        connections.gpio = createGpio({ [options.irqPin]: chip });
+    }
+
+    return connections;
+}
+
+/**
+ * Simulated chips for SensorArray.create. Every board it connects gets a
+ * chip of its own, wired up with wiring().
+ *
+ * @returns {{chips: Map<string|null, SimulatedMPR121>, connect: Function}} The chips by board name
+ *     (null for a single board), and the connect function for SensorArray.create
+ *
+ * @example
+ * const boards = createBoards();
+ * const sensor = SensorArray.create(options, boards.connect);
+ * const driver = new TouchDriver(boards.chips);
+ */
+function createBoards() {
+    const chips = new Map();
+
+    return {
+        chips,
+        connect(board, options) {
+            const chip = new SimulatedMPR121();
+            chips.set(board, chip);
+            return wiring(chip, options);
+        }
+    };
+}
+
+module.exports = {
+    SimulatedMPR121,
+    createBus,
+    createGpio,
+    wiring,
+    createBoards,
+    TouchDriver,
+    MockGoveeServer,
+    MockMqttBroker
+};
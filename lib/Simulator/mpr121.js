@@ -0,0 +1,398 @@
+'use strict';
+
+/**
+ * @fileoverview Simulated MPR121, I2C bus and IRQ line
+ * A register-level stand-in for the MPR121, an object with the same
+ * open()/readByte()/readWord()/writeByte() calls as i2c-bus and a GPIO
+ * adapter for the chip's IRQ output, so the real MPR121 driver can run on a
+ * machine with no I2C hardware.
+ *
+ * @module Simulator/mpr121
+ * @requires events
+ */
+
+const EventEmitter = require('events');
+
+/** @const {number} Number of electrodes on the chip */
+const ELECTRODES = 12;
+
+/** @const {number} Filtered data an untouched electrode reports */
+const IDLE_FILTERED = 700;
+
+/** @const {number} How far a touch pulls the filtered data below the baseline */
+const TOUCH_DELTA = 60;
+
+/** @const {number} How far someone nearby pulls the proximity electrode's filtered data below its baseline */
+const PROXIMITY_DELTA = 20;
+
+/** @const {number} The proximity electrode's slot in the data and threshold registers */
+const PROXIMITY = 12;
+
+/** @const {number} Touch status register (LSB) */
+const TOUCHSTATUS_L = 0x00,
+    /** @const {number} Filtered data register start (LSB) */
+    FILTDATA_0L = 0x04,
+    /** @const {number} Baseline data register start */
+    BASELINE_0 = 0x1E,
+    /** @const {number} Touch threshold register start */
+    TOUCHTH_0 = 0x41,
+    /** @const {number} Configuration register 1 */
+    CONFIG1 = 0x5C,
+    /** @const {number} Configuration register 2 */
+    CONFIG2 = 0x5D,
+    /** @const {number} Electrode configuration register */
+    ECR = 0x5E,
+    /** @const {number} Soft reset register */
+    SOFTRESET = 0x80,
+    /** @const {number} First register that can only be written in stop mode */
+    CONFIG_FIRST = 0x2B,
+    /** @const {number} First GPIO register, writable in any mode */
+    GPIO_FIRST = 0x73,
+    /** @const {number} GPIO data register */
+    GPIODATA = 0x75,
+    /** @const {number} GPIO direction register */
+    GPIODIR = 0x76,
+    /** @const {number} GPIO enable register */
+    GPIOEN = 0x77,
+    /** @const {number} GPIO set register */
+    GPIOSET = 0x78,
+    /** @const {number} GPIO clear register */
+    GPIOCLR = 0x79,
+    /** @const {number} GPIO toggle register */
+    GPIOTOGGLE = 0x7A,
+    /** @const {number} Last GPIO register */
+    GPIO_LAST = 0x7A,
+    /** @const {number} Last register that can only be written in stop mode */
+    CONFIG_LAST = 0x7F,
+    /** @const {number} PWM duty register start */
+    PWM_0 = 0x81;
+
+/** @const {number} Electrode the first GPIO pin shares */
+const FIRST_GPIO_PIN = 4;
+
+/**
+ * The registers of one MPR121, with touches driven by calling touch() and release()
+ *
+ * Touch status, filtered data and baseline registers follow the simulated
+ * touches, but only for electrodes the ECR register has switched on, the same
+ * as on the real chip. A touch only shows in the status register if it pulls
+ * the filtered data further below the baseline than the electrode's touch
+ * threshold, so thresholds set too high miss touches here too.
+ *
+ * Like the real IRQ output, the chip asserts its IRQ line (emitting 'irq')
+ * when the touch status changes, and lets it go once the status is read.
+ * disconnect() and connect() simulate the chip dropping off the bus and
+ * coming back in its power-on state. Electrodes set up as GPIO outputs report
+ * their level through output() and the 'gpio' event. approach() and leave()
+ * drive the proximity electrode, once the ECR has switched it on.
+ *
+ * @extends EventEmitter
+ * @fires SimulatedMPR121#irq - Emitted when the IRQ line falls
+ * @fires SimulatedMPR121#gpio - Emitted with (pin, duty) when a GPIO output changes, duty 0-15
+ *
+ * @example
+ * const chip = new SimulatedMPR121();
+ * chip.touch(3);
+ * chip.release(3);
+ */
+class SimulatedMPR121 extends EventEmitter {
+
+    /**
+     * Creates a simulated chip in its power-on state
+     */
+    constructor() {
+        super();
+        this.registers = new Uint8Array(0x100);
+        this.touched = 0;
+        this.near = false;
+        this.irq = false;
+        this.connected = true;
+        this.reset();
+    }
+
+    /**
+     * Puts the registers back to their power-on values, as a soft reset does
+     */
+    reset() {
+        this.registers.fill(0);
+        this.registers[CONFIG1] = 0x10;
+        this.registers[CONFIG2] = 0x24;
+        this.irq = false;
+        this.update();
+    }
+
+    /**
+     * Takes the chip off the bus, so every access fails
+     */
+    disconnect() {
+        this.connected = false;
+    }
+
+    /**
+     * Puts the chip back on the bus, freshly powered up
+     */
+    connect() {
+        this.connected = true;
+        this.reset();
+    }
+
+    /**
+     * Number of electrodes the ECR register has enabled
+     * @returns {number} 0-12
+     */
+    enabledElectrodes() {
+        return Math.min(this.registers[ECR] & 0x0F, ELECTRODES);
+    }
+
+    /**
+     * Starts touching an electrode
+     * @param {number} pin - Electrode number (0-11)
+     */
+    touch(pin) {
+        this.checkPin(pin);
+        this.touched |= (1 << pin);
+        this.update();
+    }
+
+    /**
+     * Stops touching an electrode
+     * @param {number} pin - Electrode number (0-11)
+     */
+    release(pin) {
+        this.checkPin(pin);
+        this.touched &= ~(1 << pin);
+        this.update();
+    }
+
+    /**
+     * Brings something within range of the proximity electrode
+     */
+    approach() {
+        this.near = true;
+        this.update();
+    }
+
+    /**
+     * Takes it away again
+     */
+    leave() {
+        this.near = false;
+        this.update();
+    }
+
+    /**
+     * Reads one register
+     * @param {number} reg - Register address
+     * @returns {number} Byte value
+     */
+    readByte(reg) {
+        this.readStatus(reg, reg);
+        return this.registers[reg];
+    }
+
+    /**
+     * Reads two registers as a little-endian word
+     * @param {number} reg - Address of the low byte
+     * @returns {number} Word value
+     */
+    readWord(reg) {
+        this.readStatus(reg, reg + 1);
+        return this.registers[reg] | (this.registers[reg + 1] << 8);
+    }
+
+    /**
+     * Releases the IRQ line when a read covers the touch status
+     * @private
+     * @param {number} first - First register read
+     * @param {number} last - Last register read
+     */
+    readStatus(first, last) {
+        if (first <= TOUCHSTATUS_L + 1 && last >= TOUCHSTATUS_L) this.irq = false;
+    }
+
+    /**
+     * Reads what a GPIO output is driving
+     * @param {number} pin - Electrode number (4-11)
+     * @returns {number} 0 when low or not an output, up to 15 when fully on
+     */
+    output(pin) {
+        const bit = 1 << (pin - FIRST_GPIO_PIN);
+        if (!(this.registers[GPIOEN] & this.registers[GPIODIR] & this.registers[GPIODATA] & bit)) return 0;
+
+        const index = pin - FIRST_GPIO_PIN;
+        const duty = (this.registers[PWM_0 + (index >> 1)] >> (index & 1 ? 4 : 0)) & 0x0F;
+        return duty || 15;
+    }
+
+    /**
+     * Checks whether the chip is in run mode, i.e. has any electrode enabled
+     * @returns {boolean} True when running
+     */
+    running() {
+        return (this.registers[ECR] & 0x3F) !== 0;
+    }
+
+    /**
+     * Writes one register, handling the soft reset command. Like the real
+     * chip, configuration registers ignore writes while it is running. Only
+     * ECR and the GPIO registers can be written at any time.
+     * @param {number} reg - Register address
+     * @param {number} value - Byte value
+     */
+    writeByte(reg, value) {
+        if (reg === SOFTRESET) {
+            if (value === 0x63) this.reset();
+            return;
+        }
+
+        const writableWhileRunning = reg === ECR || (reg >= GPIO_FIRST && reg <= GPIO_LAST);
+        if (this.running() && !writableWhileRunning && reg >= CONFIG_FIRST && reg <= CONFIG_LAST) return;
+
+        const outputs = this.outputs();
+        if (reg === GPIOSET) {
+            this.registers[GPIODATA] |= value;
+        } else if (reg === GPIOCLR) {
+            this.registers[GPIODATA] &= ~value;
+        } else if (reg === GPIOTOGGLE) {
+            this.registers[GPIODATA] ^= value;
+        } else {
+            this.registers[reg] = value & 0xFF;
+        }
+        this.update();
+
+        this.outputs().forEach((duty, index) => {
+            if (duty !== outputs[index]) this.emit('gpio', index + FIRST_GPIO_PIN, duty);
+        });
+    }
+
+    /**
+     * Every GPIO pin's output
+     * @private
+     * @returns {number[]} output() for electrodes 4-11
+     */
+    outputs() {
+        return [4, 5, 6, 7, 8, 9, 10, 11].map((pin) => this.output(pin));
+    }
+
+    /**
+     * Rewrites the status and data registers from the simulated touches
+     * @private
+     */
+    update() {
+        const enabled = this.enabledElectrodes();
+        const previous = this.registers[TOUCHSTATUS_L] | (this.registers[TOUCHSTATUS_L + 1] << 8);
+        let status = 0;
+
+        for (let pin = 0; pin < ELECTRODES; pin++) {
+            const active = pin < enabled;
+            const touched = active && (this.touched & (1 << pin)) !== 0;
+            const filtered = active ? IDLE_FILTERED - (touched ? TOUCH_DELTA : 0) : 0;
+
+            if (touched && TOUCH_DELTA > this.registers[TOUCHTH_0 + 2 * pin]) status |= (1 << pin);
+
+            this.registers[FILTDATA_0L + 2 * pin] = filtered & 0xFF;
+            this.registers[FILTDATA_0L + 2 * pin + 1] = filtered >> 8;
+            this.registers[BASELINE_0 + pin] = active ? IDLE_FILTERED >> 2 : 0;
+        }
+
+        // ELEPROX_EN in ECR bits 5:4 switches on the proximity electrode
+        const proximity = (this.registers[ECR] & 0x30) !== 0;
+        const near = proximity && this.near;
+        const filtered = proximity ? IDLE_FILTERED - (near ? PROXIMITY_DELTA : 0) : 0;
+
+        if (near && PROXIMITY_DELTA > this.registers[TOUCHTH_0 + 2 * PROXIMITY]) status |= (1 << PROXIMITY);
+
+        this.registers[FILTDATA_0L + 2 * PROXIMITY] = filtered & 0xFF;
+        this.registers[FILTDATA_0L + 2 * PROXIMITY + 1] = filtered >> 8;
+        this.registers[BASELINE_0 + PROXIMITY] = proximity ? IDLE_FILTERED >> 2 : 0;
+
+        this.registers[TOUCHSTATUS_L] = status & 0xFF;
+        this.registers[TOUCHSTATUS_L + 1] = status >> 8;
+
+        if (status !== previous && !this.irq) {
+            this.irq = true;
+            this.emit('irq');
+        }
+    }
+
+    /**
+     * Throws unless pin is an electrode number
+     * @private
+     * @param {number} pin - Electrode number
+     */
+    checkPin(pin) {
+        if (!Number.isInteger(pin) || pin < 0 || pin >= ELECTRODES) {
+            throw new Error(`Pin must be 0-${ELECTRODES - 1}, got ${pin}`);
+        }
+    }
+}
+
+/**
+ * Builds an object that can stand in for the i2c-bus module, with simulated
+ * chips at the given addresses. Talking to any other address fails the way a
+ * missing device does on a real bus.
+ *
+ * @param {Object<number, SimulatedMPR121>} chips - Simulated chips by I2C address
+ * @returns {{open: Function}} An i2c-bus lookalike
+ *
+ * @example
+ * const chip = new SimulatedMPR121();
+ * const sensor = new MPR121(0x5A, 1, 100, createBus({ 0x5A: chip }));
+ */
+function createBus(chips) {
+    function access(address, callback, fn) {
+        setImmediate(() => {
+            const chip = chips[address];
+            if (!chip || !chip.connected) {
+                const error = new Error(`Remote I/O error, nothing at address 0x${address.toString(16)}`);
+                error.code = 'EREMOTEIO';
+                return callback(error);
+            }
+            callback(null, fn(chip));
+        });
+    }
+
+    const bus = {
+        readByte: (address, reg, callback) => access(address, callback, (chip) => chip.readByte(reg)),
+        readWord: (address, reg, callback) => access(address, callback, (chip) => chip.readWord(reg)),
+        writeByte: (address, reg, value, callback) => access(address, callback, (chip) => chip.writeByte(reg, value)),
+        close: (callback) => setImmediate(callback)
+    };
+
+    return {
+        open(busNumber, callback) {
+            setImmediate(callback);
+            return bus;
+        }
+    };
+}
+
+/**
+ * Builds a GPIO adapter (see MPR121/gpio.js) with simulated chips' IRQ
+ * outputs wired to the given pins
+ *
+ * @param {Object<number, SimulatedMPR121>} lines - Simulated chips by GPIO pin
+ * @returns {{watch: Function}} A GPIO adapter
+ *
+ * @example
+ * const chip = new SimulatedMPR121();
+ * const sensor = new MPR121({ i2cBus: createBus({ 0x5A: chip }), irqPin: 4, gpio: createGpio({ 4: chip }) });
+ */
+function createGpio(lines) {
+    return {
+        watch(pin, onEdge) {
+            const chip = lines[pin];
+            if (!chip) throw new Error(`Nothing is wired to simulated GPIO ${pin}`);
+
+            const edge = () => setImmediate(onEdge);
+            chip.on('irq', edge);
+            return () => chip.removeListener('irq', edge);
+        }
+    };
+}
+
+module.exports = {
+    SimulatedMPR121,
+    createBus,
+    createGpio
+};
@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * @fileoverview Stand-in MQTT broker
+ * A local broker that's just enough for the MQTT bridge and its tests:
+ * QoS 0 publish and subscribe with + and # wildcards, retained messages,
+ * wills and pings. It records every message it routes, so a test or a
+ * curious human can see what the bridge published.
+ *
+ * Run it on its own with `node lib/Simulator/mqtt.js [port]` and point the
+ * url in mqtt.json at it.
+ *
+ * @module Simulator/mqtt
+ * @requires net
+ * @requires events
+ * @requires mqtt-packet
+ */
+
+const net = require('net');
+const EventEmitter = require('events');
+const mqttPacket = require('mqtt-packet');
+
+/** @const {number} Port the broker listens on unless told otherwise */
+const DEFAULT_PORT = 1883;
+
+/**
+ * Checks a topic against a subscription filter, with + and # wildcards
+ * @private
+ * @param {string} filter - e.g. "lightwall/#" or "lightwall/+/state"
+ * @param {string} topic - Topic a message was published to
+ * @returns {boolean} True if it matches
+ */
+function topicMatches(filter, topic) {
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') return true;
+        if (i >= topicLevels.length) return false;
+        if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+    }
+
+    return filterLevels.length === topicLevels.length;
+}
+
+/**
+ * A stand-in MQTT broker
+ *
+ * @extends EventEmitter
+ *
+ * @fires MockMqttBroker#publish - Emitted with (topic, payload, retain) for every message routed
+ *
+ * @example
+ * const broker = new MockMqttBroker();
+ * await broker.listen(0);
+ * const bridge = new MqttBridge({ url: broker.url }, { controller });
+ */
+class MockMqttBroker extends EventEmitter {
+
+    /**
+     * Creates the broker, not listening yet
+     */
+    constructor() {
+        super();
+
+        this.clients = new Set();
+        this.retained = new Map();
+        this.messages = [];
+        this.url = null;
+        this.server = net.createServer((socket) => this.accept(socket));
+    }
+
+    /**
+     * Starts listening on localhost
+     * @param {number} [port=1883] - Port, 0 for any free one
+     * @returns {Promise<string>} Resolves with the broker's mqtt:// URL once listening
+     */
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port === undefined ? DEFAULT_PORT : port, '127.0.0.1', () => {
+                this.url = `mqtt://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stops listening and drops every client
+     * @returns {Promise} Resolves once the server has closed
+     */
+    close() {
+        this.clients.forEach((client) => client.socket.destroy());
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Drops a client without a goodbye, as a dead network would, so its will is published
+     * @param {string} clientId - Client to drop
+     */
+    drop(clientId) {
+        this.clients.forEach((client) => {
+            if (client.clientId === clientId) client.socket.destroy();
+        });
+    }
+
+    /**
+     * Looks after one client connection
+     * @private
+     * @param {net.Socket} socket - The new connection
+     */
+    accept(socket) {
+        const client = { socket, clientId: null, will: null, subscriptions: [] };
+        const parser = mqttPacket.parser();
+
+        this.clients.add(client);
+        parser.on('packet', (packet) => this.handle(client, packet));
+        parser.on('error', () => socket.destroy());
+        socket.on('data', (data) => parser.parse(data));
+        socket.on('error', () => socket.destroy());
+        socket.on('close', () => {
+            this.clients.delete(client);
+            if (client.will) this.route(client.will.topic, client.will.payload, client.will.retain);
+        });
+    }
+
+    /**
+     * Acts on one packet from a client
+     * @private
+     * @param {Object} client - The client's connection and subscriptions
+     * @param {Object} packet - As mqtt-packet parses it
+     */
+    handle(client, packet) {
+        const send = (reply) => client.socket.write(mqttPacket.generate(reply));
+
+        switch (packet.cmd) {
+            case 'connect':
+                client.clientId = packet.clientId;
+                client.will = packet.will || null;
+                send({ cmd: 'connack', returnCode: 0, sessionPresent: false });
+                break;
+
+            case 'subscribe': {
+                const topics = packet.subscriptions.map((subscription) => subscription.topic);
+                client.subscriptions = client.subscriptions.concat(topics);
+                send({ cmd: 'suback', messageId: packet.messageId, granted: topics.map(() => 0) });
+
+                this.retained.forEach((payload, topic) => {
+                    if (topics.some((filter) => topicMatches(filter, topic))) {
+                        send({ cmd: 'publish', topic, payload, retain: true, qos: 0, dup: false });
+                    }
+                });
+                break;
+            }
+
+            case 'publish':
+                this.route(packet.topic, packet.payload, packet.retain);
+                break;
+
+            case 'pingreq':
+                send({ cmd: 'pingresp' });
+                break;
+
+            case 'disconnect':
+                client.will = null;
+                client.socket.end();
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Delivers a message to every matching subscriber, and keeps it if it's retained
+     * @private
+     * @param {string} topic - Topic
+     * @param {Buffer} payload - Message
+     * @param {boolean} retain - Whether to keep it for later subscribers
+     */
+    route(topic, payload, retain) {
+        if (retain) {
+            // An empty retained message clears the topic
+            if (payload.length) {
+                this.retained.set(topic, payload);
+            } else {
+                this.retained.delete(topic);
+            }
+        }
+
+        this.messages.push({ topic, payload: payload.toString(), retain });
+        this.emit('publish', topic, payload, retain);
+
+        this.clients.forEach((client) => {
+            if (client.subscriptions.some((filter) => topicMatches(filter, topic))) {
+                client.socket.write(mqttPacket.generate({ cmd: 'publish', topic, payload, retain: false, qos: 0, dup: false }));
+            }
+        });
+    }
+}
+
+if (require.main === module) {
+    const broker = new MockMqttBroker();
+    broker.on('publish', (topic, payload, retain) => console.log(`${topic}${retain ? ' (retained)' : ''} ${payload}`));
+    broker.listen(process.argv[2] !== undefined ? Number(process.argv[2]) : DEFAULT_PORT)
+        .then((url) => console.log(`Simulated MQTT broker listening on ${url}`));
+}
+
+exports = module.exports = MockMqttBroker;
+exports.DEFAULT_PORT = DEFAULT_PORT;
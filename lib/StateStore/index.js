@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * @fileoverview State that survives a restart
+ * A small JSON file holding whatever needs to outlive the process, in named
+ * sections. For now that's the controller's: power, brightness, the last
+ * scene and where each collection is up to, so a power blip or a deploy
+ * doesn't send every collection back to its first scene, plus any touch
+ * thresholds changed while running. Changes are held for a moment and
+ * written together, to a temporary file that's then renamed over the real
+ * one, so a crash half way through leaves the previous state rather than a
+ * corrupt file.
+ *
+ * @module StateStore
+ * @requires fs
+ * @requires path
+ * @requires events
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+/** @const {number} Format of the file, bumped if a section changes incompatibly */
+const VERSION = 1;
+
+/** @const {number} How long to gather changes before writing them, in milliseconds */
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Writes a file by way of a temporary file and a rename
+ * @param {string} file - Path to write
+ * @param {string} contents - What to write
+ * @returns {Promise} Resolves once the file is in place
+ */
+async function writeAtomic(file, contents) {
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+    await fs.promises.writeFile(tmp, contents);
+    await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Keeps state in a JSON file
+ *
+ * @extends EventEmitter
+ *
+ * @fires StateStore#error - Emitted when the file can't be read, which starts afresh, or can't be written,
+ *     which keeps the state in memory regardless
+ *
+ * @example
+ * const store = new StateStore({ file: './state.json' });
+ * store.on('error', (error) => console.error(error.message));
+ * controller.restore(store.load().get('controller'));
+ * store.attach(controller);
+ * process.on('SIGINT', () => store.flush().then(() => process.exit(0)));
+ */
+class StateStore extends EventEmitter {
+
+    /**
+     * Creates a store, empty until load()
+     * @param {Object} [options]
+     * @param {string} [options.file] - Where to keep the state, or nothing to keep it in memory only
+     * @param {number} [options.saveDelay=1000] - How long to gather changes before writing them, in milliseconds
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this.file = options.file || null;
+        this.saveDelay = options.saveDelay === undefined ? SAVE_DELAY_MS : options.saveDelay;
+        this.sections = {};
+        this.savedAt = null;
+        this.timer = null;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Reads the file, if there is one. An unreadable file is reported and
+     * then ignored, so it can't stop the controller starting.
+     * @returns {StateStore} this
+     */
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return this;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            if (saved.version !== VERSION) throw new Error(`unknown version ${JSON.stringify(saved.version)}`);
+
+            this.sections = saved.sections || {};
+            this.savedAt = saved.savedAt || null;
+        } catch (error) {
+            this.emit('error', new Error(`Ignoring unreadable state file ${this.file}: ${error.message}`));
+        }
+        return this;
+    }
+
+    /**
+     * Gets a section's last saved value
+     * @param {string} section - Section name, e.g. "controller"
+     * @returns {*} Its value, or undefined if nothing was saved
+     */
+    get(section) {
+        return this.sections[section];
+    }
+
+    /**
+     * Replaces a section, and writes the file once changes stop coming for saveDelay
+     * @param {string} section - Section name
+     * @param {*} value - Anything JSON can hold
+     */
+    set(section, value) {
+        this.sections[section] = value;
+        this.savedAt = new Date().toISOString();
+        if (!this.file || this.timer) return;
+
+        this.timer = setTimeout(() => this.flush(), this.saveDelay);
+    }
+
+    /**
+     * Writes any changes now, after a write that's already under way
+     * @returns {Promise} Resolves once they're written, or reported as an error
+     */
+    flush() {
+        if (!this.timer) return this.writing;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        this.writing = this.writing
+            .then(() => writeAtomic(this.file, `${JSON.stringify({ version: VERSION, savedAt: this.savedAt, sections: this.sections }, null, 2)}\n`))
+            .catch((error) => this.emit('error', new Error(`Could not save state to ${this.file}: ${error.message}`)));
+        return this.writing;
+    }
+
+    /**
+     * Saves the controller's state whenever it changes
+     * @param {Controller} controller - Controller to follow
+     * @returns {StateStore} this
+     */
+    attach(controller) {
+        const save = () => {
+            const { power, brightness, scene, collections } = controller.state();
+            this.set('controller', { power, brightness, scene, collections });
+        };
+
+        controller.on('action', save);
+        controller.on('power', save);
+        controller.on('reconciled', save);
+        controller.on('season', save);
+        return this;
+    }
+
+    /**
+     * Saves touch thresholds as they're changed, so they can be applied again
+     * after the calibrated ones on the next start
+     * @param {SensorArray} sensor - Boards to follow
+     * @returns {StateStore} this
+     */
+    attachSensor(sensor) {
+        sensor.on('thresholds', (pad, touch, release) => {
+            this.set('thresholds', Object.assign({}, this.get('thresholds'), { [pad]: { touch, release } }));
+        });
+        return this;
+    }
+}
+
+StateStore.writeAtomic = writeAtomic;
+
+exports = module.exports = StateStore;
@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * @fileoverview Paced transitions
+ * The light only does instant jumps, so a fade has to be faked with a series
+ * of commands. Govee allows 10 a minute, which the queue already enforces,
+ * but a fade that used all of them would leave a pad touched mid-fade
+ * waiting its turn. So a transition only takes a share of the rate limit and
+ * spreads as many steps as that buys evenly over its duration: a minute-long
+ * fade gets 5 steps, a ten minute sunrise gets 50. Only one transition runs
+ * at a time, and starting another or cancelling stops it where it is.
+ *
+ * @module Transitions
+ */
+
+/** @const {number} Share of the per-minute rate limit a transition may use */
+const DEFAULT_SHARE = 0.5;
+
+/** @const {number} Requests per minute, if the API config doesn't say */
+const DEFAULT_PER_MINUTE = 10;
+
+/**
+ * Works out a colour part way between two others
+ * @param {number[]} from - Starting [r, g, b]
+ * @param {number[]} to - Final [r, g, b]
+ * @param {number} fraction - How far along, 0-1
+ * @returns {number[]} The [r, g, b] in between, rounded
+ */
+function mixRgb(from, to, fraction) {
+    return from.map((channel, i) => Math.round(channel + (to[i] - channel) * fraction));
+}
+
+/**
+ * Runs one transition at a time, paced to the rate limit
+ *
+ * @example
+ * const transitions = new TransitionEngine({ rateLimit: { perMinute: 10 } });
+ * const steps = transitions.steps(60000);
+ * const completed = await transitions.run(steps, 60000, (fraction) => govee.setBrightness(Math.round(80 - 79 * fraction)));
+ */
+class TransitionEngine {
+
+    /**
+     * Creates a transition engine
+     * @param {Object} [options]
+     * @param {Object} [options.rateLimit] - The API's rate limit, only perMinute is used
+     * @param {number} [options.share=0.5] - Share of it transitions may use, 0-1
+     * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.perMinute = (options.rateLimit && options.rateLimit.perMinute) || DEFAULT_PER_MINUTE;
+        this.share = options.share || DEFAULT_SHARE;
+        this.now = options.now || Date.now;
+
+        // The transition in progress, null if there isn't one
+        this.current = null;
+    }
+
+    /**
+     * Whether a transition is in progress
+     * @returns {boolean} True until it completes or is cancelled
+     */
+    get running() {
+        return this.current !== null;
+    }
+
+    /**
+     * Works out how many steps a transition can afford
+     * @param {number} durationMs - How long it takes
+     * @param {number} [commandsPerStep=1] - Commands each step sends, e.g. 2 to fade brightness and colour together
+     * @returns {number} Steps, at least 1 so the final value is always sent
+     */
+    steps(durationMs, commandsPerStep) {
+        const budget = durationMs / 60000 * this.perMinute * this.share;
+        return Math.max(1, Math.floor(budget / (commandsPerStep || 1)));
+    }
+
+    /**
+     * Starts a transition, cancelling any still in progress. Step k of n runs
+     * k/n of the way through, so the last one lands at the end. Steps are
+     * timed from the start, so a slow request doesn't push back the rest.
+     * @param {number} steps - How many steps, see steps()
+     * @param {number} durationMs - How long it takes
+     * @param {Function} step - Called with how far along it is (0-1, exclusive of 0), may return a promise
+     * @returns {Promise<boolean>} Resolves true once the last step has run, false if it was cancelled first
+     * @throws {Error} Whatever a step throws, which ends the transition
+     */
+    run(steps, durationMs, step) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            const transition = {
+                timer: null,
+                cancel: () => {
+                    clearTimeout(transition.timer);
+                    this.current = null;
+                    resolve(false);
+                }
+            };
+            this.current = transition;
+
+            const start = this.now();
+            let done = 0;
+            const next = () => {
+                const due = start + (done + 1) * durationMs / steps;
+                transition.timer = setTimeout(async () => {
+                    done++;
+                    try {
+                        await step(done / steps);
+                    } catch (error) {
+                        if (this.current === transition) this.current = null;
+                        reject(error);
+                        return;
+                    }
+
+                    // Cancelled while the step was being sent
+                    if (this.current !== transition) return;
+
+                    if (done < steps) {
+                        next();
+                    } else {
+                        this.current = null;
+                        resolve(true);
+                    }
+                }, Math.max(0, due - this.now()));
+            };
+            next();
+        });
+    }
+
+    /**
+     * Stops the transition in progress, leaving the light wherever it got to
+     * @returns {boolean} True if there was one to stop
+     */
+    cancel() {
+        if (!this.current) return false;
+        this.current.cancel();
+        return true;
+    }
+}
+
+TransitionEngine.mixRgb = mixRgb;
+TransitionEngine.DEFAULT_SHARE = DEFAULT_SHARE;
+
+exports = module.exports = TransitionEngine;
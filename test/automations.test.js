@@ -0,0 +1,173 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const AutomationScheduler = require('../lib/Automations');
+const Schedule = require('../lib/Schedule');
+const { settle } = require('./fakes');
+
+const { parseCron, cronMatches } = AutomationScheduler;
+
+// A day in March 2025 as the schedule's localTime() gives it, at noon unless told otherwise
+const at = (date, weekday, time) => {
+    const [hours, minutes] = (time || '12:00').split(':').map(Number);
+    return { date: `2025-03-${date}`, weekday, minutes: hours * 60 + minutes };
+};
+
+describe('cron expressions', () => {
+    it('expands steps, ranges and lists', () => {
+        const [minute, hour, day, month, weekday] = parseCron('*/15 8-10 1,15 */3 1-5/2');
+
+        assert.deepStrictEqual([...minute.values], [0, 15, 30, 45]);
+        assert.deepStrictEqual([...hour.values], [8, 9, 10]);
+        assert.deepStrictEqual([...day.values], [1, 15]);
+        assert.deepStrictEqual([...month.values], [1, 4, 7, 10]);
+        assert.deepStrictEqual([...weekday.values], [1, 3, 5]);
+        assert.strictEqual(minute.any, false);
+        assert.strictEqual(parseCron('0 0 * * *')[2].any, true);
+    });
+
+    it('rejects fields it can\'t parse or that are out of range', () => {
+        assert.throws(() => parseCron('0 12 * *'), /must have 5 fields/);
+        assert.throws(() => parseCron(undefined), /must have 5 fields/);
+        assert.throws(() => parseCron('60 12 * * *'), /minute "60" is out of range 0-59/);
+        assert.throws(() => parseCron('0 12 * * 8'), /day of week "8" is out of range 0-7/);
+        assert.throws(() => parseCron('0 12 5-1 * *'), /day of month "5-1" is out of range/);
+        assert.throws(() => parseCron('0 12 * * */0'), /day of week "\*\/0" is out of range/);
+        assert.throws(() => parseCron('0 noon * * *'), /invalid hour "noon"/);
+    });
+
+    it('counts 0 and 7 as Sunday', () => {
+        assert.strictEqual(cronMatches(parseCron('0 12 * * 0'), at('02', 'sun')), true);
+        assert.strictEqual(cronMatches(parseCron('0 12 * * 7'), at('02', 'sun')), true);
+        assert.strictEqual(cronMatches(parseCron('0 12 * * 7'), at('03', 'mon')), false);
+    });
+
+    it('takes either day field when both are restricted, like cron', () => {
+        const firstOrMonday = parseCron('0 12 1 * 1');
+        assert.strictEqual(cronMatches(firstOrMonday, at('01', 'sat')), true);
+        assert.strictEqual(cronMatches(firstOrMonday, at('03', 'mon')), true);
+        assert.strictEqual(cronMatches(firstOrMonday, at('04', 'tue')), false);
+
+        // With one of them "*", only the other counts
+        assert.strictEqual(cronMatches(parseCron('0 12 * * 1'), at('01', 'sat')), false);
+        assert.strictEqual(cronMatches(parseCron('0 12 1 * *'), at('03', 'mon')), false);
+        assert.strictEqual(cronMatches(parseCron('0 12 * * 1'), at('03', 'mon', '12:01')), false);
+    });
+});
+
+describe('AutomationScheduler', () => {
+    let time;
+    let executed;
+    let allow;
+    let scheduler;
+
+    function create(automations) {
+        const schedule = new Schedule({ timezone: 'UTC', rules: { default: 'always' } });
+        scheduler = new AutomationScheduler({ automations }, {
+            scenes: { Aurora: 101 },
+            localTime: (date) => schedule.localTime(date),
+            execute: async (step) => {
+                executed.push(step.value);
+                return allow(step);
+            },
+            now: () => new Date(time)
+        });
+        scheduler.events = [];
+        ['run', 'done', 'aborted'].forEach((event) => {
+            scheduler.on(event, (automation) => scheduler.events.push([event, automation.name]));
+        });
+        return scheduler;
+    }
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        time = '2025-03-03T06:45:00Z';
+        executed = [];
+        allow = () => true;
+    });
+
+    afterEach(() => {
+        if (scheduler) scheduler.stop();
+        mock.timers.reset();
+    });
+
+    const SUNRISE = {
+        name: 'Sunrise',
+        cron: '45 6 * * 1-5',
+        steps: [{ action: 'brightness', value: 10 }, { wait: 60 }, { action: 'brightness', value: 70 }]
+    };
+
+    it('lists every problem in the config', () => {
+        assert.throws(() => create([
+            { name: 'Typo', cron: '45 25 * * *', steps: [{ action: 'power', value: 'on' }] },
+            { name: 'Empty', cron: '0 7 * * *', steps: [] },
+            { cron: '0 7 * * *', steps: [{ wait: -5 }, { action: 'dance' }] }
+        ]), (error) => {
+            assert.match(error.message, /^Invalid automations:/);
+            assert.match(error.message, /automation "Typo": hour "25" is out of range 0-23/);
+            assert.match(error.message, /automation "Empty": "steps" must be a non-empty list/);
+            assert.match(error.message, /automation 2 step 0: "wait" must be a positive number of seconds/);
+            assert.match(error.message, /automation 2 step 1: /);
+            return true;
+        });
+    });
+
+    it('runs the steps in order, waiting in between', async () => {
+        create([SUNRISE]);
+        scheduler.tick();
+        await settle();
+        assert.deepStrictEqual(executed, [10]);
+
+        mock.timers.tick(60000);
+        await settle();
+        assert.deepStrictEqual(executed, [10, 70]);
+        assert.deepStrictEqual(scheduler.events, [['run', 'Sunrise'], ['done', 'Sunrise']]);
+    });
+
+    it('only fires on matching minutes, and once per minute', async () => {
+        create([SUNRISE]);
+        scheduler.tick();
+        scheduler.tick();
+        time = '2025-03-03T06:46:00Z';
+        scheduler.tick();
+        time = '2025-03-02T06:45:00Z';
+        scheduler.tick();
+        await settle();
+
+        assert.deepStrictEqual(scheduler.events, [['run', 'Sunrise']]);
+    });
+
+    it('doesn\'t restart an automation that is still running', async () => {
+        create([SUNRISE]);
+        const first = scheduler.run(scheduler.automations[0]);
+        assert.strictEqual(await scheduler.run(scheduler.automations[0]), false);
+        await settle();
+
+        mock.timers.tick(60000);
+        assert.strictEqual(await first, true);
+        assert.deepStrictEqual(executed, [10, 70]);
+    });
+
+    it('stops at a step the schedule blocks', async () => {
+        allow = (step) => step.value !== 70;
+        create([SUNRISE]);
+        const run = scheduler.run(scheduler.automations[0]);
+        await settle();
+        mock.timers.tick(60000);
+
+        assert.strictEqual(await run, false);
+        assert.deepStrictEqual(scheduler.events, [['run', 'Sunrise'], ['aborted', 'Sunrise']]);
+    });
+
+    it('cancels a wait part way through when stopped', async () => {
+        create([SUNRISE]);
+        const run = scheduler.run(scheduler.automations[0]);
+        await settle();
+        scheduler.stop();
+
+        assert.strictEqual(await run, false);
+        assert.deepStrictEqual(executed, [10]);
+        assert.deepStrictEqual(scheduler.events, [['run', 'Sunrise']]);
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Calibration = require('../lib/Calibration');
+const { SimulatedMPR121, createBus } = require('../lib/Simulator');
+const MPR121 = require('../lib/MPR121');
+
+describe('Calibration', () => {
+    describe('proposeThresholds', () => {
+        it('puts the touch threshold between idle noise and the weakest touch', () => {
+            assert.deepStrictEqual(Calibration.proposeThresholds([2, 4, 3], [48, 44, 50]),
+                { touch: 24, release: 14, noise: 4, signal: 44 });
+        });
+
+        it('treats negative idle readings as no noise', () => {
+            assert.deepStrictEqual(Calibration.proposeThresholds([-3, -1], [20, 22]),
+                { touch: 10, release: 5, noise: 0, signal: 20 });
+        });
+
+        it('refuses pads where a touch barely stands out', () => {
+            const proposal = Calibration.proposeThresholds([5, 6], [8, 9]);
+
+            assert.match(proposal.error, /barely stronger than idle noise/);
+            assert.strictEqual(proposal.touch, undefined);
+        });
+    });
+
+    describe('validateProfile', () => {
+        it('returns thresholds per pin', () => {
+            const profile = { pins: { 0: { touch: 20, release: 10, noise: 2 }, 11: { touch: 8, release: 4 } } };
+
+            assert.deepStrictEqual(Calibration.validateProfile(profile), {
+                0: { touch: 20, release: 10 },
+                11: { touch: 8, release: 4 }
+            });
+        });
+
+        it('lists every problem', () => {
+            const profile = { pins: { 12: { touch: 20, release: 10 }, 1: { touch: 300, release: 10 }, 2: { touch: 10, release: 10 } } };
+
+            assert.throws(() => Calibration.validateProfile(profile), (error) => {
+                assert.match(error.message, /pin "12" must be 0-11/);
+                assert.match(error.message, /pin 1: "touch"/);
+                assert.match(error.message, /pin 2: "release"/);
+                return true;
+            });
+        });
+    });
+
+    it('samples baseline minus filtered data per pin', async () => {
+        const chip = new SimulatedMPR121();
+        const sensor = new MPR121(0x5A, 1, 10, createBus({ 0x5A: chip }));
+
+        try {
+            await new Promise((resolve) => sensor.once('ready', resolve));
+            chip.touch(2);
+
+            const deltas = await Calibration.sample(sensor, [1, 2], { samples: 3, intervalMs: 0 });
+            assert.deepStrictEqual(deltas, { 1: [0, 0, 0], 2: [60, 60, 60] });
+        } finally {
+            sensor.stopPolling();
+        }
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SceneCollections = require('../lib/Collections');
+const SceneCatalog = require('../lib/GoveeApi/catalog');
+
+const SCENES = { Aurora: 101, Ghost: 102, Pumpkin: 103, 'Christmas Tree': 104, 'Christmas Bell': 105, Snowman: 106 };
+
+function collections(raw, tags) {
+    const errors = [];
+    const validated = SceneCollections.validate(raw, tags, SCENES, errors);
+    if (errors.length) throw new Error(errors.join('\n'));
+
+    return new SceneCollections(Object.assign({ catalog: new SceneCatalog({ fallback: SCENES }) }, validated));
+}
+
+describe('SceneCollections', () => {
+    const TAGS = {
+        christmas: { match: '^christmas' },
+        winter: ['Snowman', 'Christmas Tree'],
+        spooky: ['Ghost', 'Pumpkin']
+    };
+
+    it('builds collections from tags', () => {
+        const resolved = collections({
+            NIGHT: ['Aurora'],
+            XMAS: { tags: ['christmas', 'winter'] },
+            COLD: { scenes: ['Aurora'], tags: ['winter'], except: ['christmas'] }
+        }, TAGS);
+
+        assert.deepStrictEqual(resolved.resolve('NIGHT', '2025-07-04'), { scenes: ['Aurora'], season: null });
+        assert.deepStrictEqual(resolved.resolve('XMAS', '2025-07-04').scenes, ['Christmas Tree', 'Christmas Bell', 'Snowman']);
+        assert.deepStrictEqual(resolved.resolve('COLD', '2025-07-04').scenes, ['Aurora', 'Snowman']);
+    });
+
+    it('switches seasons on their dates', () => {
+        const resolved = collections({
+            HOLIDAY: {
+                seasons: [
+                    { name: 'Halloween', from: '10-01', to: '10-31', tags: ['spooky'] },
+                    { name: 'Christmas', from: '12-01', to: '12-26', tags: ['christmas'] },
+                    { name: 'Winter', from: '12-27', to: '02-28', tags: ['winter'] }
+                ]
+            }
+        }, TAGS);
+        const season = (date) => resolved.resolve('HOLIDAY', date).season;
+
+        assert.strictEqual(season('2025-09-30'), null);
+        assert.strictEqual(season('2025-10-01'), 'Halloween');
+        assert.strictEqual(season('2025-10-31'), 'Halloween');
+        assert.deepStrictEqual(resolved.resolve('HOLIDAY', '2025-12-25').scenes, ['Christmas Tree', 'Christmas Bell']);
+        assert.strictEqual(season('2025-12-27'), 'Winter');
+        assert.strictEqual(season('2026-01-15'), 'Winter');
+        assert.deepStrictEqual(resolved.resolve('HOLIDAY', '2026-07-04'), { scenes: [], season: null });
+    });
+
+    it('lists every problem', () => {
+        const errors = [];
+        SceneCollections.validate({
+            EMPTY: [],
+            TYPO: { tags: ['spoky'] },
+            NOTHING: { except: ['spooky'] },
+            HOLIDAY: { seasons: [{ name: 'Halloween', from: '10-01', to: '10-32', tags: ['spooky'] }, { tags: ['spooky'] }] }
+        }, { spooky: ['Ghost', 'Casper'], broken: { match: '(' } }, SCENES, errors);
+
+        assert.match(errors.splice(1, 1)[0], /^tag "broken": "match" is not a valid pattern/);
+        assert.deepStrictEqual(errors, [
+            'tag "spooky" refers to unknown scene "Casper"',
+            'collection "EMPTY" must be a non-empty array of scene names',
+            'collection "TYPO" refers to unknown tag "spoky"',
+            'collection "NOTHING" needs "scenes", "tags" or both',
+            'collection "HOLIDAY" season 0: "from" and "to" must both be dates like "10-31"',
+            'collection "HOLIDAY" season 1: "name" must be a non-empty string'
+        ]);
+    });
+});
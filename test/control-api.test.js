@@ -0,0 +1,137 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const ControlApi = require('../lib/ControlApi');
+const { FakeMPR121, FakeGoveeApi, createController, settle } = require('./fakes');
+
+const power = (value) => ({ type: 'devices.capabilities.on_off', instance: 'powerSwitch', value });
+const scene = (value) => ({ type: 'devices.capabilities.dynamic_scene', instance: 'lightScene', value });
+
+describe('ControlApi', () => {
+    let hour;
+    let sensor;
+    let govee;
+    let controller;
+    let api;
+
+    async function start(config) {
+        controller = createController({ govee, sensor, date: () => new Date(`2025-03-05T${hour}:00:00Z`) });
+        api = new ControlApi(Object.assign({ port: 0, host: '127.0.0.1' }, config), { controller, sensor });
+        api.on('error', () => {});
+        await api.listen();
+    }
+
+    function request(method, path, body, headers) {
+        return fetch(`${api.url}${path}`, {
+            method,
+            headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+            body: body === undefined ? undefined : JSON.stringify(body)
+        }).then((res) => res.json().then((json) => ({ status: res.status, body: json })));
+    }
+
+    // A WebSocket client that collects the server's messages, or the response if it's turned away
+    function connect(path) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(`${api.url.replace(/^http/, 'ws')}${path}`);
+            const messages = [];
+            let upgraded;
+            socket.on('upgrade', (res) => (upgraded = res));
+            socket.on('message', (data) => messages.push(JSON.parse(data.toString())));
+            socket.on('open', () => resolve({ res: upgraded, socket, messages }));
+            socket.on('unexpected-response', (req, res) => {
+                res.resume();
+                req.destroy();
+                resolve({ res });
+            });
+            socket.on('error', reject);
+        });
+    }
+
+    beforeEach(() => {
+        hour = '12';
+        sensor = new FakeMPR121();
+        govee = new FakeGoveeApi();
+        api = null;
+    });
+
+    afterEach(async () => {
+        if (!api) return;
+        controller.stop();
+        await api.close();
+    });
+
+    it('runs commands through the controller', async () => {
+        await start();
+
+        const on = await request('POST', '/power', { value: 'on' });
+        assert.strictEqual(on.status, 200);
+        assert.strictEqual(on.body.message, 'Light turned on');
+        assert.strictEqual(on.body.state.power, 'on');
+
+        await request('POST', '/collection/NIGHT/next');
+        await request('POST', '/collection/NIGHT/next');
+        const state = await request('GET', '/state');
+
+        assert.deepStrictEqual(govee.sent, [power(1), scene(101), scene(102)]);
+        assert.strictEqual(state.body.scene, 'Fire');
+        assert.deepStrictEqual(state.body.collections, { NIGHT: 'Fire' });
+        assert.strictEqual(state.body.countdown, null);
+    });
+
+    it('respects the schedule and rejects bad commands', async () => {
+        hour = '22';
+        await start();
+
+        const blocked = await request('POST', '/scene', { scene: 'Aurora' });
+        assert.strictEqual(blocked.status, 409);
+        assert.match(blocked.body.message, /outside "default" hours/);
+
+        assert.strictEqual((await request('POST', '/scene', { scene: 'Nope' })).status, 400);
+        assert.strictEqual((await request('POST', '/brightness', { value: 101 })).status, 400);
+        assert.strictEqual((await request('POST', '/collection/DAY/next')).status, 400);
+        assert.strictEqual((await request('POST', '/dance')).status, 404);
+        assert.strictEqual((await request('POST', '/collection/%E0%A4%A/next')).status, 400);
+        assert.strictEqual((await request('POST', '/power', null)).status, 400);
+        assert.strictEqual((await request('POST', '/brightness', 5)).status, 400);
+        assert.strictEqual((await request('POST', '/scene', { scene: 'x'.repeat(20000) })).status, 413);
+        assert.deepStrictEqual(govee.sent, []);
+    });
+
+    it('needs the token when there is one', async () => {
+        await start({ token: 'let-me-in' });
+
+        assert.strictEqual((await request('GET', '/state')).status, 401);
+        assert.strictEqual((await request('GET', '/state', undefined, { Authorization: 'Bearer let-me-in' })).status, 200);
+        assert.strictEqual((await request('GET', '/state?token=let-me-in')).status, 200);
+        assert.strictEqual((await connect('/events')).res.statusCode, 401);
+    });
+
+    it('streams touches and command results', async () => {
+        await start();
+        const client = await connect('/events');
+        assert.strictEqual(client.res.statusCode, 101);
+
+        sensor.tap(0);
+        await settle();
+        await request('POST', '/power', { value: 'off' });
+        await settle();
+
+        assert.deepStrictEqual(client.messages.map((message) => message.type),
+            ['state', 'touch', 'release', 'power', 'action', 'power', 'action']);
+        assert.strictEqual(client.messages[0].state.power, null);
+        assert.strictEqual(client.messages[4].message, 'Light turned on');
+        assert.strictEqual(client.messages[6].message, 'Light turned off');
+        client.socket.terminate();
+    });
+
+    it('checks its config', () => {
+        assert.throws(() => ControlApi.validate(Object.assign({}, ControlApi.DEFAULTS, { port: 'http', token: '' })), (error) => {
+            assert.match(error.message, /^Invalid control API config:/);
+            assert.match(error.message, /"port" must be an integer/);
+            assert.match(error.message, /"token" must be a non-empty string/);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,622 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Controller = require('../lib/Controller');
+const { FakeMPR121, FakeGoveeApi, createController, fakeClock, settle } = require('./fakes');
+
+const SCENES = { Aurora: 101, Fire: 102, Moonlight: 103 };
+
+const PADS = {
+    collections: { NIGHT: ['Aurora', 'Fire', 'Moonlight'] },
+    idle: { timeoutMinutes: 60, warningMinutes: 1, warning: { action: 'brightness', value: 1, class: 'sleep' } },
+    pins: {
+        0: { action: 'power', value: 'on' },
+        2: {
+            tap: { action: 'brightness', value: 99 },
+            hold: { action: 'brightnessStep', step: 5 }
+        },
+        4: {
+            tap: { action: 'collection', collection: 'NIGHT' },
+            longPress: { action: 'collection', collection: 'NIGHT', direction: 'previous' }
+        },
+        9: { action: 'power', value: 'off' },
+        10: { action: 'sleepTimer', minutes: [15, 30] }
+    }
+};
+
+const SCHEDULE = {
+    timezone: 'UTC',
+    rules: {
+        off: 'always',
+        sleep: 'always',
+        on: [{ days: 'daily', start: '07:00', end: '20:00' }],
+        default: [{ days: 'daily', start: '08:00', end: '20:00' }]
+    }
+};
+
+const power = (value) => ({ type: 'devices.capabilities.on_off', instance: 'powerSwitch', value });
+const brightness = (value) => ({ type: 'devices.capabilities.range', instance: 'brightness', value });
+const scene = (value) => ({ type: 'devices.capabilities.dynamic_scene', instance: 'lightScene', value });
+const color = (r, g, b) => ({ type: 'devices.capabilities.color_setting', instance: 'colorRgb', value: (r << 16) + (g << 8) + b });
+
+describe('Controller', () => {
+    let clock;
+    let sensor;
+    let govee;
+    let controller;
+    let events;
+
+    function start(options) {
+        options = options || {};
+
+        controller = createController({
+            govee,
+            sensor,
+            pads: options.pads || PADS,
+            scenes: options.scenes || SCENES,
+            knownScenes: options.knownScenes || SCENES,
+            schedule: options.schedule || SCHEDULE,
+            date: clock.date,
+            now: clock.now,
+            random: options.random
+        });
+        ['action', 'blocked', 'debounced', 'warning', 'expired', 'error'].forEach((event) => {
+            controller.on(event, (...args) => events.push([event, ...args]));
+        });
+    }
+
+    async function tap(pin) {
+        sensor.tap(pin);
+        await settle();
+    }
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+        clock = fakeClock('2025-03-05T12:00:00Z');
+        sensor = new FakeMPR121();
+        govee = new FakeGoveeApi();
+        events = [];
+    });
+
+    afterEach(() => {
+        controller.stop();
+        mock.timers.reset();
+    });
+
+    describe('touch to command', () => {
+        it('sends the capability bound to a tapped pad', async () => {
+            start();
+            await tap(0);
+
+            assert.deepStrictEqual(govee.sent, [power(1)]);
+            assert.deepStrictEqual(events.map(([event]) => event), ['action']);
+        });
+
+        it('reports power changes, not repeats', async () => {
+            start();
+            const states = [];
+            controller.on('power', (state) => states.push(state));
+
+            await tap(0);
+            clock.advance(2000);
+            await tap(0);
+            await tap(9);
+
+            assert.deepStrictEqual(states, ['on', 'off']);
+            assert.strictEqual(controller.power, 'off');
+        });
+
+        it('ignores pads with nothing bound', async () => {
+            start();
+            await tap(7);
+
+            assert.deepStrictEqual(govee.sent, []);
+        });
+
+        it('ramps brightness while a hold pad is pressed', async () => {
+            start();
+            sensor.touch(2);
+            mock.timers.tick(700);
+            await settle();
+            mock.timers.tick(300);
+            await settle();
+            sensor.release(2);
+            mock.timers.tick(1000);
+            await settle();
+
+            assert.deepStrictEqual(govee.sent, [brightness(55), brightness(60)]);
+        });
+
+        it('clamps brightness steps at 100', async () => {
+            start();
+            await tap(2);
+            clock.advance(1000);
+            sensor.touch(2);
+            mock.timers.tick(700);
+            await settle();
+            sensor.release(2);
+
+            assert.deepStrictEqual(govee.sent, [brightness(99), brightness(100)]);
+        });
+
+        it('reports actions the device rejects as errors', async () => {
+            start();
+            govee.device = { sku: 'H6061', deviceName: 'Test wall' };
+            govee.capabilities = {};
+            await tap(0);
+
+            assert.deepStrictEqual(govee.sent, []);
+            assert.strictEqual(events[0][0], 'error');
+            assert.match(events[0][1].message, /does not support powerSwitch/);
+        });
+    });
+
+    describe('collection cycling', () => {
+        it('steps through the collection and wraps around', async () => {
+            start();
+            for (let i = 0; i < 4; i++) {
+                await tap(4);
+                clock.advance(1000);
+            }
+
+            assert.deepStrictEqual(govee.sent, [scene(101), scene(102), scene(103), scene(101)]);
+        });
+
+        it('goes back a scene on a long press', async () => {
+            start();
+            await tap(4);
+            clock.advance(1000);
+            await tap(4);
+            clock.advance(1000);
+
+            sensor.touch(4);
+            mock.timers.tick(700);
+            sensor.release(4);
+            await settle();
+
+            assert.deepStrictEqual(govee.sent, [scene(101), scene(102), scene(101)]);
+        });
+
+        it('wraps to the last scene when going back from the start', async () => {
+            start();
+            sensor.touch(4);
+            mock.timers.tick(700);
+            sensor.release(4);
+            await settle();
+
+            assert.deepStrictEqual(govee.sent, [scene(103)]);
+        });
+
+        it('skips scenes the device does not have', async () => {
+            start({ scenes: { Aurora: 101, Moonlight: 103 } });
+            await tap(4);
+            clock.advance(1000);
+            await tap(4);
+
+            assert.deepStrictEqual(govee.sent, [scene(101), scene(103)]);
+            assert.match(events[1][2], /skipped Fire/);
+        });
+
+        it('works out the next index', () => {
+            const scenes = ['a', 'b', 'c'];
+
+            assert.deepStrictEqual(Controller.nextCollectionIndex(scenes, -1), { index: 0, skipped: [] });
+            assert.deepStrictEqual(Controller.nextCollectionIndex(scenes, 2), { index: 0, skipped: [] });
+            assert.deepStrictEqual(Controller.nextCollectionIndex(scenes, 0, 'previous'), { index: 2, skipped: [] });
+            assert.deepStrictEqual(Controller.nextCollectionIndex(scenes, 0, 'next', (name) => name !== 'b'),
+                { index: 2, skipped: ['b'] });
+        });
+    });
+
+    describe('scene selection', () => {
+        const PICKS = {
+            collections: { NIGHT: ['Aurora', 'Fire', 'Moonlight'], WINTER: ['Moonlight'] },
+            pins: {
+                1: { action: 'randomScene' },
+                3: { action: 'randomScene', strategy: 'shuffle' },
+                4: { action: 'collection', collection: 'NIGHT' },
+                5: { action: 'collection', collection: 'NIGHT', strategy: 'weighted', weights: { Aurora: 0, Moonlight: 3 }, avoidRecent: 0 },
+                6: { action: 'collection', collection: 'WINTER' }
+            }
+        };
+
+        async function taps(pins) {
+            for (const pin of pins) {
+                await tap(pin);
+                clock.advance(1000);
+            }
+        }
+
+        it('doesn\'t repeat the scene showing, and shuffles through every scene', async () => {
+            // Always the first choice
+            start({ pads: PICKS, random: () => 0 });
+            await taps([1, 1, 1]);
+            await taps([3, 3, 3, 3]);
+
+            assert.deepStrictEqual(govee.sent.map((capability) => capability.value),
+                [101, 102, 101, 102, 101, 103, 101]);
+        });
+
+        it('picks favorites more often', async () => {
+            const picks = [0.1, 0.5, 0.9, 0.3];
+            start({ pads: PICKS, random: () => picks.shift() });
+            await taps([5, 5, 5, 5]);
+
+            assert.deepStrictEqual(govee.sent, [scene(102), scene(103), scene(103), scene(103)]);
+            assert.strictEqual(controller.state().collections.NIGHT, 'Moonlight');
+        });
+
+        it('leaves out scenes that are out of season', async () => {
+            const schedule = Object.assign({ sceneRules: { WINTER: [{ months: ['dec'] }] } }, SCHEDULE);
+            start({ pads: PICKS, schedule, random: () => 0.99 });
+            await taps([4, 4, 4, 1, 1, 6]);
+
+            assert.deepStrictEqual(govee.sent.map((capability) => capability.value), [101, 102, 101, 102, 101]);
+            assert.strictEqual(events[2][2],
+                'Scene set to Aurora (NIGHT collection, skipped Moonlight - "WINTER" scenes are only on offer in dec)');
+            assert.strictEqual(events[5][2], 'No WINTER scenes on offer right now ("WINTER" scenes are only on offer in dec)');
+
+            clock.set('2025-12-05T12:00:00Z');
+            await taps([6]);
+            assert.deepStrictEqual(govee.sent.pop(), scene(103));
+        });
+
+        it('switches a holiday collection over on the date', async () => {
+            const seasons = [];
+            start({
+                pads: {
+                    tags: { warm: ['Fire'], cool: { match: 'r|o' } },
+                    collections: {
+                        HOLIDAY: {
+                            seasons: [
+                                { name: 'Bonfire', from: '03-01', to: '03-05', tags: ['warm'], scenes: ['Aurora'] },
+                                { name: 'Spring', from: '03-06', to: '05-31', tags: ['cool'], except: ['warm'] }
+                            ]
+                        }
+                    },
+                    pins: { 6: { action: 'collection', collection: 'HOLIDAY' } }
+                }
+            });
+            controller.on('season', (...args) => seasons.push(args));
+            await taps([6, 6, 6]);
+            assert.deepStrictEqual(govee.sent, [scene(101), scene(102), scene(101)]);
+
+            clock.set('2025-03-06T00:00:00Z');
+            mock.timers.tick(60000);
+            assert.deepStrictEqual(seasons, [['HOLIDAY', 'Spring', 'Bonfire']]);
+            assert.deepStrictEqual(controller.collectionScenes('HOLIDAY'), ['Aurora', 'Moonlight']);
+
+            // Starts from the top of the new season
+            await taps([6]);
+            assert.deepStrictEqual(govee.sent.pop(), scene(101));
+        });
+    });
+
+    describe('time gating', () => {
+        const cases = [
+            ['2025-03-05T07:59:59Z', false],
+            ['2025-03-05T08:00:00Z', true],
+            ['2025-03-05T19:59:59Z', true],
+            ['2025-03-05T20:00:00Z', false]
+        ];
+
+        cases.forEach(([time, allowed]) => {
+            it(`${allowed ? 'allows' : 'blocks'} scenes at ${time.slice(11, 19)}`, async () => {
+                clock.set(time);
+                start();
+                await tap(4);
+
+                assert.deepStrictEqual(govee.sent, allowed ? [scene(101)] : []);
+                assert.strictEqual(events[0][0], allowed ? 'action' : 'blocked');
+            });
+        });
+
+        it('does not advance a collection while blocked', async () => {
+            clock.set('2025-03-05T07:59:00Z');
+            start();
+            await tap(4);
+            clock.set('2025-03-05T08:00:00Z');
+            await tap(4);
+
+            assert.deepStrictEqual(govee.sent, [scene(101)]);
+        });
+
+        it('lets the light on from 7am and off at any time', async () => {
+            clock.set('2025-03-05T06:59:59Z');
+            start();
+            await tap(0);
+            clock.set('2025-03-05T07:00:00Z');
+            await tap(0);
+            clock.set('2025-03-05T23:30:00Z');
+            await tap(9);
+
+            assert.deepStrictEqual(govee.sent, [power(1), power(0)]);
+            assert.match(events[0][2], /outside "on" hours 07:00-20:00/);
+        });
+    });
+
+    describe('debounce', () => {
+        it('ignores a second touch on the same pad inside the window', async () => {
+            start();
+            await tap(0);
+            clock.advance(999);
+            await tap(0);
+            clock.advance(1);
+            await tap(0);
+
+            assert.deepStrictEqual(govee.sent, [power(1), power(1)]);
+            assert.deepStrictEqual(events[1], ['debounced', 0, 'tap', 1000]);
+        });
+
+        it('keeps pads independent', async () => {
+            start();
+            await tap(4);
+            await tap(9);
+
+            assert.deepStrictEqual(govee.sent, [scene(101), power(0)]);
+        });
+
+        it('never swallows turning the light off', async () => {
+            start();
+            await tap(9);
+            await tap(9);
+
+            assert.deepStrictEqual(govee.sent, [power(0), power(0)]);
+        });
+    });
+
+    describe('auto-off', () => {
+        it('dims as a warning and turns off after the idle timeout', async () => {
+            start();
+            await tap(0);
+
+            mock.timers.tick(59 * 60000);
+            await settle();
+            assert.deepStrictEqual(govee.sent, [power(1), brightness(1)]);
+
+            mock.timers.tick(60000);
+            await settle();
+            assert.deepStrictEqual(govee.sent, [power(1), brightness(1), power(0)]);
+        });
+
+        it('runs a sleep timer to the end after hours', async () => {
+            clock.set('2025-03-05T21:00:00Z');
+            start();
+            await tap(10);
+
+            mock.timers.tick(14 * 60000);
+            await settle();
+            mock.timers.tick(60000);
+            await settle();
+
+            assert.deepStrictEqual(govee.sent, [brightness(1), power(0)]);
+            assert.deepStrictEqual(events.map(([event]) => event), ['action', 'warning', 'action', 'expired', 'action']);
+        });
+    });
+
+    describe('brightness limits', () => {
+        const STEPS = {
+            pins: {
+                0: { action: 'power', value: 'on' },
+                2: { action: 'brightnessStep', step: 10, curve: 'perceptual' },
+                3: { action: 'brightnessStep', step: -10, curve: 'perceptual' },
+                5: { action: 'brightness', value: 90 }
+            }
+        };
+        const EVENING = Object.assign({}, SCHEDULE, {
+            brightnessLimits: [{ days: 'daily', start: '19:00', end: '07:00', max: 40, name: 'evening' }]
+        });
+
+        async function taps(pins) {
+            for (const pin of pins) {
+                await tap(pin);
+                clock.advance(1000);
+            }
+        }
+
+        it('steps along a perceptual curve from what the light reports', async () => {
+            start({ pads: STEPS });
+            govee.deviceState = [{ instance: 'brightness', state: { value: 20 } }];
+
+            await taps([2, 2, 3, 3, 3]);
+
+            assert.deepStrictEqual(govee.sent, [brightness(30), brightness(43), brightness(30), brightness(20), brightness(12)]);
+        });
+
+        it('stays inside the range the light declares', async () => {
+            start({ pads: STEPS });
+            govee.getCapability = () => ({ parameters: { range: { min: 10, max: 80 } } });
+
+            await taps([5, 2, 3, 3, 3, 3, 3, 3]);
+
+            // Already at the top, so stepping up sends nothing
+            assert.deepStrictEqual(govee.sent.map((capability) => capability.value), [80, 60, 43, 30, 20, 12, 10]);
+            assert.strictEqual(events[0][2], 'Brightness set to 80% instead of 90% (device range)');
+            assert.strictEqual(events[1][2], 'Brightness already at 80%');
+        });
+
+        it('keeps to the schedule\'s limits for the time of day', async () => {
+            clock.set('2025-03-05T18:59:00Z');
+            start({ pads: STEPS, schedule: EVENING });
+            await taps([0, 5]);
+
+            clock.set('2025-03-05T19:30:00Z');
+            await taps([2, 0]);
+
+            assert.deepStrictEqual(govee.sent, [power(1), brightness(90), brightness(40), power(1)]);
+            assert.strictEqual(events[2][2], 'Brightness stepped to 40% (brightness limits "evening")');
+
+            // Turning on at a level that's too bright for the evening brings it down
+            controller.currentBrightness = 75;
+            await taps([0]);
+            assert.deepStrictEqual(govee.sent.slice(4), [power(1), brightness(40)]);
+            assert.strictEqual(events[4][2], 'Light turned on at 40% (brightness limits "evening")');
+        });
+    });
+
+    describe('fades', () => {
+        const FADES = {
+            pins: {
+                2: { action: 'brightness', value: 99 },
+                6: { action: 'fade', brightness: 30, seconds: 60 },
+                7: { action: 'fade', rgb: [250, 0, 0], from: [0, 0, 250], seconds: 30 },
+                10: { action: 'sleepTimer', minutes: 15 }
+            }
+        };
+
+        async function tick(ms) {
+            clock.advance(ms);
+            mock.timers.tick(ms);
+            await settle();
+        }
+
+        it('fades in as many steps as the rate limit affords', async () => {
+            start({ pads: FADES });
+            controller.currentBrightness = 80;
+            await tap(6);
+
+            // 10 requests a minute, half of them for fades, so a step every 12 seconds
+            await tick(11999);
+            assert.deepStrictEqual(govee.sent, []);
+            for (let i = 0; i < 5; i++) await tick(12000);
+
+            assert.deepStrictEqual(govee.sent, [brightness(70), brightness(60), brightness(50), brightness(40), brightness(30)]);
+            assert.deepStrictEqual(events.map((event) => event[2]), ['Faded to 30% over 60 seconds']);
+            assert.strictEqual(controller.transitions.running, false);
+        });
+
+        it('stops where it is when another command comes along', async () => {
+            start({ pads: FADES });
+            controller.currentBrightness = 80;
+            await tap(6);
+            await tick(12000);
+
+            // The sleep timer doesn't touch the light, so it leaves the fade alone
+            await tap(10);
+            await tick(12000);
+            await tap(2);
+            await tick(60000);
+
+            assert.deepStrictEqual(govee.sent, [brightness(70), brightness(60), brightness(99)]);
+            assert.deepStrictEqual(events.map((event) => event[2]),
+                ['Sleep timer set to 15 minutes', 'Fade to 30% interrupted at 60%', 'Brightness set to 99%']);
+        });
+
+        it('crossfades colours within a bigger rate limit', async () => {
+            govee = new FakeGoveeApi({ rateLimit: { perMinute: 20, perDay: 10000 } });
+            start({ pads: FADES });
+            await tap(7);
+            for (let i = 0; i < 5; i++) await tick(6000);
+
+            assert.deepStrictEqual(govee.sent,
+                [color(50, 0, 200), color(100, 0, 150), color(150, 0, 100), color(200, 0, 50), color(250, 0, 0)]);
+            assert.deepStrictEqual(controller.color, [250, 0, 0]);
+        });
+    });
+
+    describe('restarts', () => {
+        it('carries on from a saved state', async () => {
+            start();
+            controller.restore({ power: 'on', brightness: 40, scene: 'Fire', collections: { NIGHT: 'Fire', GONE: 'Aurora' } });
+
+            await tap(4);
+            clock.advance(1000);
+            await tap(2);
+
+            assert.deepStrictEqual(govee.sent, [scene(103), brightness(99)]);
+            assert.strictEqual(controller.state().power, 'on');
+        });
+
+        it('corrects the saved state from what the light reports', async () => {
+            start();
+            controller.restore({ power: 'off', brightness: 40, scene: 'Aurora', collections: { NIGHT: 'Aurora' } });
+            govee.deviceState = [
+                { instance: 'online', state: { value: true } },
+                { instance: 'powerSwitch', state: { value: 1 } },
+                { instance: 'brightness', state: { value: 70 } },
+                { instance: 'lightScene', state: { value: { id: 102, paramId: 102 } } }
+            ];
+
+            const changes = await controller.reconcile();
+            assert.deepStrictEqual(changes, ['power off -> on', 'brightness 40% -> 70%', 'scene Aurora -> Fire']);
+
+            // The collection picks up from the scene the light is showing
+            await tap(4);
+            assert.deepStrictEqual(govee.sent, [scene(103)]);
+
+            govee.deviceState[3].state.value = { id: 103, paramId: 103 };
+            assert.deepStrictEqual(await controller.reconcile(), []);
+        });
+
+        it('trusts the saved state when the light is offline or vague', async () => {
+            start();
+            controller.restore({ power: 'on', brightness: 40, scene: 'Fire', collections: {} });
+            govee.deviceState = [{ instance: 'powerSwitch', state: { value: 1 } }, { instance: 'lightScene', state: { value: '' } }];
+            assert.deepStrictEqual(await controller.reconcile(), []);
+
+            govee.deviceState = [{ instance: 'online', state: { value: false } }, { instance: 'powerSwitch', state: { value: 0 } }];
+            assert.deepStrictEqual(await controller.reconcile(), []);
+            assert.strictEqual(controller.state().scene, 'Fire');
+        });
+    });
+
+    describe('proximity', () => {
+        const proximity = {
+            approach: { action: 'brightnessStep', step: 10 },
+            leave: { action: 'brightnessStep', step: -10 }
+        };
+
+        async function near(event, board) {
+            sensor.emit(event, board);
+            await settle();
+        }
+
+        it('keeps the idle countdown going while someone is near', async () => {
+            start();
+            await tap(0);
+
+            mock.timers.tick(50 * 60000);
+            await near('approach');
+            mock.timers.tick(50 * 60000);
+            await settle();
+
+            assert.deepStrictEqual(govee.sent, [power(1)]);
+        });
+
+        it('runs the approach and leave actions once for several boards', async () => {
+            start({ pads: Object.assign({ proximity }, PADS) });
+            await tap(0);
+
+            await near('approach', 'left');
+            await near('approach', 'right');
+            await near('leave', 'left');
+            await near('leave', 'right');
+
+            assert.deepStrictEqual(govee.sent, [power(1), brightness(60), brightness(50)]);
+        });
+
+        it('leaves a dark wall dark, and stays quiet outside the schedule', async () => {
+            start({ pads: Object.assign({ proximity }, PADS) });
+            await tap(9);
+            await near('approach');
+
+            controller.power = 'on';
+            clock.set('2025-03-05T22:00:00Z');
+            await near('leave');
+            await near('approach');
+
+            assert.deepStrictEqual(govee.sent, [power(0)]);
+            assert.deepStrictEqual(events.map(([event]) => event), ['action']);
+        });
+
+        it('can wake the wall', async () => {
+            start({ pads: Object.assign({ proximity: { approach: { action: 'power', value: 'on' } } }, PADS) });
+            await tap(9);
+            await near('approach');
+
+            assert.deepStrictEqual(govee.sent, [power(0), power(1)]);
+            assert.strictEqual(controller.idleTimer.mode, 'idle');
+        });
+    });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * @fileoverview Test doubles for the hardware and the Govee API
+ */
+
+const EventEmitter = require('events');
+const Controller = require('../lib/Controller');
+const GoveeApi = require('../lib/GoveeApi');
+const SceneCatalog = require('../lib/GoveeApi/catalog');
+const PadMappings = require('../lib/PadMappings');
+const Schedule = require('../lib/Schedule');
+
+/** @const {Object<string, number>} Scenes the fake light has */
+const SCENES = { Aurora: 101, Fire: 102 };
+
+/** @const {Object} A power pad and a collection pad or two */
+const PADS = {
+    collections: { NIGHT: ['Aurora', 'Fire'] },
+    pins: {
+        0: { action: 'power', value: 'on' },
+        3: { action: 'collection', collection: 'NIGHT', direction: 'next' },
+        4: { action: 'collection', collection: 'NIGHT' }
+    }
+};
+
+/** @const {Object} Off any time, everything else 8am-8pm */
+const SCHEDULE = {
+    timezone: 'UTC',
+    rules: { off: 'always', default: [{ days: 'daily', start: '08:00', end: '20:00' }] }
+};
+
+/**
+ * Stands in for MPR121, with touches driven by the test
+ */
+class FakeMPR121 extends EventEmitter {
+
+    touch(pin) {
+        this.emit('touch', pin);
+    }
+
+    release(pin) {
+        this.emit('release', pin);
+    }
+
+    tap(pin) {
+        this.touch(pin);
+        this.release(pin);
+    }
+
+    writeGpio(pin, value) {
+        this.gpio = this.gpio || [];
+        this.gpio.push([pin, value]);
+        return Promise.resolve();
+    }
+
+    stopPolling() {}
+}
+
+/**
+ * The real GoveeApi with the HTTP request swapped for a list of sent capabilities
+ */
+class FakeGoveeApi extends GoveeApi {
+
+    constructor(options) {
+        super(Object.assign({ apiKey: 'test', apiUrl: 'http://govee.invalid', deviceSku: 'H6061', deviceId: 'AA:BB' }, options));
+        this.sent = [];
+        this.deviceState = [];
+    }
+
+    async getDeviceState() {
+        return { code: 200, payload: { capabilities: this.deviceState } };
+    }
+
+    async controlDevice(capability) {
+        this.checkCapability(capability);
+        this.sent.push(capability);
+        return { code: 200, msg: 'success' };
+    }
+}
+
+/**
+ * A clock that only moves when told to
+ * @param {string} iso - Starting time
+ * @returns {{now: Function, date: Function, set: Function, advance: Function}} The clock
+ */
+function fakeClock(iso) {
+    let time = Date.parse(iso);
+
+    return {
+        now: () => time,
+        date: () => new Date(time),
+        set: (value) => {
+            time = Date.parse(value);
+        },
+        advance: (ms) => {
+            time += ms;
+        }
+    };
+}
+
+/**
+ * Waits for pending promise callbacks, e.g. an action started by a touch
+ * @returns {Promise} Resolves on the next turn of the event loop
+ */
+function settle() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Builds a controller around the fakes, attached to a sensor
+ * @param {Object} [options]
+ * @param {Object} [options.pads] - Raw pads.json, PADS if not given
+ * @param {Object<string, number>} [options.scenes] - Scenes the light has, SCENES if not given
+ * @param {Object<string, number>} [options.knownScenes] - Scenes pads.json may use, the light's if not given
+ * @param {Object} [options.schedule] - Raw schedule.json, SCHEDULE if not given
+ * @param {Function} [options.date] - The schedule's clock, returning a Date
+ * @param {Function} [options.now] - The controller's clock, returning milliseconds
+ * @param {Function} [options.random] - Random numbers for scene picking
+ * @param {FakeGoveeApi} [options.govee] - The light, a fresh one if not given
+ * @param {FakeMPR121} [options.sensor] - The sensor, a fresh one if not given
+ * @returns {Controller} The controller
+ */
+function createController(options) {
+    options = options || {};
+
+    const scenes = options.scenes || SCENES;
+    const mappings = PadMappings.validateMappings(options.pads || PADS, options.knownScenes || scenes);
+
+    return new Controller({
+        govee: options.govee || new FakeGoveeApi(),
+        mappings,
+        schedule: new Schedule(options.schedule || SCHEDULE, { now: options.date }),
+        catalog: new SceneCatalog({ fallback: scenes }),
+        now: options.now,
+        random: options.random
+    }).attach(options.sensor || new FakeMPR121());
+}
+
+module.exports = {
+    FakeMPR121,
+    FakeGoveeApi,
+    fakeClock,
+    settle,
+    createController,
+    SCENES,
+    PADS,
+    SCHEDULE
+};
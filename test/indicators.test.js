@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const Indicators = require('../lib/Indicators');
+const PadMappings = require('../lib/PadMappings');
+const { FakeMPR121 } = require('./fakes');
+
+describe('Indicators', () => {
+    let sensor;
+    let controller;
+
+    function start(pins) {
+        return new Indicators({ sensor, pins, flashMs: 200, blinkMs: 100, blinks: 2 }).attach(controller);
+    }
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        sensor = new FakeMPR121();
+        controller = new EventEmitter();
+    });
+
+    afterEach(() => mock.timers.reset());
+
+    it('flashes when an action goes through', () => {
+        start({ success: 11 });
+
+        controller.emit('action', {}, 'Light turned on');
+        assert.deepStrictEqual(sensor.gpio, [[11, true]]);
+
+        mock.timers.tick(200);
+        assert.deepStrictEqual(sensor.gpio, [[11, true], [11, false]]);
+    });
+
+    it('blinks when the schedule blocks an action', () => {
+        start({ blocked: 10 });
+
+        controller.emit('blocked', {}, 'outside "default" hours');
+        for (let i = 0; i < 5; i++) mock.timers.tick(100);
+
+        assert.deepStrictEqual(sensor.gpio, [[10, true], [10, false], [10, true], [10, false]]);
+    });
+
+    it('shows power and flashes over it on a shared LED', () => {
+        const indicators = start({ success: 11, power: 11 });
+
+        controller.emit('power', 'on');
+        controller.emit('action', {}, 'Light turned on');
+        mock.timers.tick(200);
+        assert.deepStrictEqual(sensor.gpio, [[11, true], [11, false], [11, true]]);
+
+        indicators.stop();
+        assert.deepStrictEqual(sensor.gpio.pop(), [11, false]);
+    });
+
+    it('reports failed writes as errors', async () => {
+        const indicators = start({ success: 11 });
+        const errors = [];
+        indicators.on('error', (error) => errors.push(error.message));
+        sensor.writeGpio = () => Promise.reject(new Error('Remote I/O error'));
+
+        controller.emit('action', {}, 'Light turned on');
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.deepStrictEqual(errors, ['Remote I/O error']);
+    });
+
+    it('turns indicator pins into LED outputs', () => {
+        assert.deepStrictEqual(Indicators.gpioModes({ success: 11, blocked: 11, power: 10 }),
+            { 10: 'outputHighSide', 11: 'outputHighSide' });
+    });
+
+    it('keeps pads below the indicator pins in pads.json', () => {
+        const pads = { pins: { 0: { action: 'power', value: 'on' }, 10: { action: 'power', value: 'off' } } };
+
+        assert.deepStrictEqual(PadMappings.validateMappings(Object.assign({ indicators: { power: 11 } }, pads), {}).indicators,
+            { power: 11 });
+        assert.throws(() => PadMappings.validateMappings(Object.assign({ indicators: { power: 9, glow: 11, blocked: 2 } }, pads), {}),
+            (error) => {
+                assert.match(error.message, /pin 10 can't be a pad, electrodes from the first indicator \(9\) up drive LEDs/);
+                assert.match(error.message, /unknown indicator "glow"/);
+                assert.match(error.message, /indicator "blocked" must be on an electrode from 4 to 11, got 2/);
+                return true;
+            });
+    });
+});
@@ -0,0 +1,422 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const MPR121 = require('../lib/MPR121');
+const { SimulatedMPR121, createBus, createGpio } = require('../lib/Simulator');
+const { autoConfigLimits } = require('../lib/MPR121/options');
+
+const TOUCHTH_0 = 0x41;
+const RELEASETH_0 = 0x42;
+
+describe('MPR121', () => {
+    let chip;
+    let sensor;
+
+    function ready() {
+        return new Promise((resolve, reject) => {
+            sensor.once('ready', resolve);
+            sensor.once('error', reject);
+        });
+    }
+
+    function nextEvent(event) {
+        return new Promise((resolve) => sensor.once(event, resolve));
+    }
+
+    beforeEach(() => {
+        chip = new SimulatedMPR121();
+        sensor = new MPR121(0x5A, 1, 10, createBus({ 0x5A: chip }));
+    });
+
+    afterEach(() => sensor.stopPolling());
+
+    it('writes thresholds for the 12 electrodes and nothing past them', async () => {
+        await ready();
+
+        for (let pin = 0; pin < 12; pin++) {
+            assert.strictEqual(chip.registers[TOUCHTH_0 + 2 * pin], 25);
+            assert.strictEqual(chip.registers[RELEASETH_0 + 2 * pin], 15);
+        }
+        // 0x59/0x5A belong to the proximity electrode
+        assert.strictEqual(chip.registers[TOUCHTH_0 + 24], 0);
+        assert.strictEqual(chip.registers[RELEASETH_0 + 24], 0);
+    });
+
+    it('uses thresholds set before it is ready', async () => {
+        await sensor.setPinThresholds(4, 40, 20);
+        await ready();
+
+        assert.strictEqual(chip.registers[TOUCHTH_0 + 8], 40);
+        assert.strictEqual(chip.registers[RELEASETH_0 + 8], 20);
+    });
+
+    it('changes one pad\'s thresholds while running', async () => {
+        await ready();
+        await sensor.setPinThresholds(3, 70, 40);
+
+        assert.strictEqual(chip.registers[TOUCHTH_0 + 6], 70);
+        assert.strictEqual(chip.registers[TOUCHTH_0 + 8], 25);
+        assert.deepStrictEqual(sensor.getThresholds()[3], { touch: 70, release: 40 });
+
+        // The simulated touch is 60 counts strong, so pin 3 no longer notices it but pin 4 does
+        const touched = nextEvent('touch');
+        chip.touch(3);
+        chip.touch(4);
+        assert.strictEqual(await touched, 4);
+        assert.strictEqual(sensor.isTouched(3), false);
+    });
+
+    it('changes every pad\'s thresholds while running', async () => {
+        await ready();
+        await sensor.setThresholds(12, 6);
+
+        for (let pin = 0; pin < 12; pin++) {
+            assert.strictEqual(chip.registers[TOUCHTH_0 + 2 * pin], 12);
+            assert.strictEqual(chip.registers[RELEASETH_0 + 2 * pin], 6);
+        }
+    });
+
+    it('rejects thresholds out of range', async () => {
+        await ready();
+
+        await assert.rejects(sensor.setPinThresholds(12, 20, 10), /Pin must be 0-11/);
+        await assert.rejects(sensor.setPinThresholds(0, 256, 10), /Touch threshold/);
+        await assert.rejects(sensor.setThresholds(10, 10), /lower than its touch threshold/);
+    });
+
+    it('emits touch and release from the status register', async () => {
+        await ready();
+
+        const touched = nextEvent('touch');
+        chip.touch(7);
+        assert.strictEqual(await touched, 7);
+
+        const released = nextEvent('release');
+        chip.release(7);
+        assert.strictEqual(await released, 7);
+    });
+
+    describe('options', () => {
+        async function configured(options) {
+            sensor.stopPolling();
+            chip = new SimulatedMPR121();
+            sensor = new MPR121(Object.assign({ interval: 10, i2cBus: createBus({ 0x5A: chip }) }, options));
+            return ready();
+        }
+
+        it('writes the same registers as before by default', async () => {
+            await ready();
+
+            assert.strictEqual(chip.registers[0x5C], 0x10);
+            assert.strictEqual(chip.registers[0x5D], 0x20);
+            assert.strictEqual(chip.registers[0x5E], 0x8F);
+            assert.deepStrictEqual(Array.from(chip.registers.slice(0x2B, 0x36)), [1, 1, 14, 0, 1, 5, 1, 0, 0, 0, 0]);
+        });
+
+        it('encodes charge, filter, debounce and tracking settings', async () => {
+            await configured({
+                chargeCurrent: 32,
+                chargeTimeUs: 2,
+                firstFilterIterations: 18,
+                secondFilterIterations: 10,
+                sampleIntervalMs: 16,
+                electrodeCharge: { 3: { current: 20, timeUs: 1 }, 4: { timeUs: 8 } },
+                filters: { rising: { ncl: 20 }, touched: { nhd: 2 } },
+                debounce: { touch: 2, release: 3 },
+                baselineTracking: 'tenBit'
+            });
+
+            assert.strictEqual(chip.registers[0x5C], (2 << 6) | 32);
+            assert.strictEqual(chip.registers[0x5D], (3 << 5) | (2 << 3) | 4);
+            assert.strictEqual(chip.registers[0x5B], 0x32);
+            assert.strictEqual(chip.registers[0x2D], 20);
+            assert.strictEqual(chip.registers[0x33], 2);
+            assert.strictEqual(chip.registers[0x5F + 3], 20);
+            assert.strictEqual(chip.registers[0x6C + 1], 2 << 4);
+            assert.strictEqual(chip.registers[0x6C + 2], 5);
+            assert.strictEqual(chip.registers[0x5E], 0xCF);
+        });
+
+        it('sets up auto-configuration for the supply voltage', async () => {
+            await configured({ autoConfig: { supplyVoltage: 3.3, retry: 1 } });
+
+            assert.deepStrictEqual(autoConfigLimits(3.3), { upper: 201, target: 180, lower: 130 });
+            assert.strictEqual(chip.registers[0x7D], 201);
+            assert.strictEqual(chip.registers[0x7F], 180);
+            assert.strictEqual(chip.registers[0x7E], 130);
+            assert.strictEqual(chip.registers[0x7B], (1 << 4) | (2 << 2) | 0x03);
+        });
+
+        it('still accepts the original positional arguments', () => {
+            assert.strictEqual(sensor.address, 0x5A);
+            assert.strictEqual(sensor.interval, 10);
+        });
+
+        it('lists every option outside the datasheet ranges', () => {
+            assert.throws(() => MPR121.resolveOptions({
+                chargeCurrent: 64,
+                chargeTimeUs: 3,
+                filters: { rising: { mhd: 0 } },
+                debounce: { touch: 8 },
+                baselineTracking: 'sometimes',
+                autoConfig: { supplyVoltage: 5 }
+            }), (error) => {
+                assert.match(error.message, /^Invalid MPR121 options:/);
+                ['chargeCurrent', 'chargeTimeUs', 'filters.rising.mhd', 'debounce.touch', 'baselineTracking', 'autoConfig.supplyVoltage']
+                    .forEach((name) => assert.match(error.message, new RegExp(`- ${name.replace('.', '\\.')} must`)));
+                return true;
+            });
+        });
+    });
+
+    describe('reading', () => {
+        const STATUS_READ = 0x00;
+
+        // Swaps in a new chip and a sensor built with options(chip)
+        function restart(options) {
+            sensor.stopPolling();
+            chip = new SimulatedMPR121();
+            sensor = new MPR121(Object.assign({ interval: 10, i2cBus: createBus({ 0x5A: chip }) }, options(chip)));
+        }
+
+        function statusReads() {
+            const reads = { count: 0 };
+            const readWord = chip.readWord.bind(chip);
+            chip.readWord = (reg) => {
+                if (reg === STATUS_READ) reads.count++;
+                return readWord(reg);
+            };
+            return reads;
+        }
+
+        function wait(ms) {
+            return new Promise((resolve) => setTimeout(resolve, ms));
+        }
+
+        it('can be stopped before it is ready', async () => {
+            sensor.stopPolling();
+            await ready();
+            await wait(30);
+
+            assert.strictEqual(sensor.mode, null);
+            assert.strictEqual(sensor.timer, null);
+        });
+
+        it('only reads the status after the IRQ line falls', async () => {
+            restart((irqChip) => ({ irqPin: 4, gpio: createGpio({ 4: irqChip }), irqWatchdogMs: 0 }));
+            const reads = statusReads();
+            await ready();
+            await wait(30);
+
+            assert.strictEqual(sensor.mode, 'irq');
+            const idleReads = reads.count;
+            await wait(50);
+            assert.strictEqual(reads.count, idleReads);
+
+            const touched = nextEvent('touch');
+            chip.touch(6);
+
+            assert.strictEqual(await touched, 6);
+
+            const released = nextEvent('release');
+            chip.release(6);
+            assert.strictEqual(await released, 6);
+        });
+
+        it('falls back to polling when the IRQ line can\'t be watched', async () => {
+            restart((irqChip) => ({ irqPin: 17, gpio: createGpio({ 4: irqChip }) }));
+
+            const error = await nextEvent('error');
+            assert.match(error.message, /Can't watch IRQ on GPIO 17, polling every 10ms instead/);
+            assert.strictEqual(sensor.mode, 'polling');
+
+            const touched = nextEvent('touch');
+            chip.touch(2);
+            assert.strictEqual(await touched, 2);
+        });
+
+        it('never starts a read while the last one is still running', async () => {
+            let inFlight = 0;
+            let mostInFlight = 0;
+
+            // IRQ edges and the watchdog both ask for reads here
+            restart((slowChip) => ({ irqPin: 4, gpio: createGpio({ 4: slowChip }), irqWatchdogMs: 10, i2cBus: {
+                open(busNumber, callback) {
+                    const bus = createBus({ 0x5A: slowChip }).open(busNumber, callback);
+                    const readWord = bus.readWord;
+                    bus.readWord = (address, reg, done) => {
+                        if (reg !== STATUS_READ) return readWord(address, reg, done);
+
+                        inFlight++;
+                        mostInFlight = Math.max(mostInFlight, inFlight);
+                        setTimeout(() => readWord(address, reg, (err, value) => {
+                            inFlight--;
+                            done(err, value);
+                        }), 35);
+                    };
+                    return bus;
+                }
+            } }));
+            await ready();
+            chip.touch(3);
+            await wait(20);
+            chip.release(3);
+            chip.touch(8);
+            await wait(150);
+
+            assert.strictEqual(mostInFlight, 1);
+            assert.strictEqual(sensor.isTouched(3), false);
+            assert.strictEqual(sensor.isTouched(8), true);
+        });
+
+        it('reports a failed read, releases held pads and reconfigures the chip', async () => {
+            await ready();
+            await sensor.setPinThresholds(3, 40, 20);
+
+            const touched = nextEvent('touch');
+            chip.touch(5);
+            await touched;
+
+            const released = nextEvent('release');
+            const failed = nextEvent('error');
+            chip.disconnect();
+
+            assert.match((await failed).message, /Remote I\/O error/);
+            assert.strictEqual(await released, 5);
+            assert.strictEqual(sensor.isTouched(5), false);
+
+            // Back with its registers wiped, like after a brownout
+            const recovered = nextEvent('ready');
+            chip.release(5);
+            chip.connect();
+            await recovered;
+
+            assert.strictEqual(chip.registers[TOUCHTH_0 + 6], 40);
+            assert.strictEqual(chip.registers[0x5E], 0x8F);
+
+            const touchedAgain = nextEvent('touch');
+            chip.touch(1);
+            assert.strictEqual(await touchedAgain, 1);
+        });
+    });
+
+    describe('GPIO', () => {
+        const ECR = 0x5E;
+        const GPIOCTL0 = 0x73;
+        const GPIOCTL1 = 0x74;
+        const GPIODIR = 0x76;
+        const GPIOEN = 0x77;
+
+        async function configured(options) {
+            sensor.stopPolling();
+            chip = new SimulatedMPR121();
+            sensor = new MPR121(Object.assign({ interval: 10, i2cBus: createBus({ 0x5A: chip }) }, options));
+            return ready();
+        }
+
+        it('stops sensing touches from the first GPIO pin up', async () => {
+            await configured({ gpioModes: { 10: 'outputHighSide', 11: 'inputPullUp' } });
+
+            assert.strictEqual(chip.registers[ECR], 0x80 | 10);
+            assert.strictEqual(chip.registers[GPIOCTL0], 0xC0);
+            assert.strictEqual(chip.registers[GPIOCTL1], 0xC0);
+            assert.strictEqual(chip.registers[GPIODIR], 0x40);
+            assert.strictEqual(chip.registers[GPIOEN], 0xC0);
+        });
+
+        it('drives an output and dims it with PWM while running', async () => {
+            await ready();
+            await sensor.setGpioMode(11, 'outputHighSide');
+            assert.strictEqual(chip.registers[ECR], 0x80 | 11);
+
+            await sensor.writeGpio(11, true);
+            assert.strictEqual(chip.output(11), 15);
+            assert.strictEqual(await sensor.readGpio(11), true);
+
+            await sensor.pwm(11, 4);
+            assert.strictEqual(chip.output(11), 4);
+            assert.strictEqual(chip.registers[0x84], 0x40);
+
+            await sensor.writeGpio(11, false);
+            assert.strictEqual(chip.output(11), 0);
+
+            // Touch sensing carries on below it
+            const touched = nextEvent('touch');
+            chip.touch(10);
+            assert.strictEqual(await touched, 10);
+        });
+
+        it('rejects pins and values it can\'t use', async () => {
+            await ready();
+
+            await assert.rejects(sensor.setGpioMode(3, 'output'), /GPIO pin must be 4-11/);
+            await assert.rejects(sensor.setGpioMode(8, 'blinky'), /GPIO mode must be one of/);
+            await assert.rejects(sensor.writeGpio(6, true), /Pin 6 is not a GPIO output/);
+            await sensor.setGpioMode(6, 'input');
+            await assert.rejects(sensor.pwm(6, 3), /Pin 6 is not a GPIO output/);
+            await sensor.setGpioMode(6, 'output');
+            await assert.rejects(sensor.pwm(6, 16), /must be an integer 0-15/);
+        });
+
+        it('puts outputs back after recovering', async () => {
+            await configured({ gpioModes: { 11: 'outputHighSide' } });
+            await sensor.pwm(11, 7);
+
+            const failed = nextEvent('error');
+            chip.disconnect();
+            await failed;
+
+            const recovered = nextEvent('ready');
+            chip.connect();
+            await recovered;
+
+            assert.strictEqual(chip.output(11), 7);
+        });
+    });
+
+    describe('proximity', () => {
+        const ECR = 0x5E;
+        const MHDPROXR = 0x36;
+
+        async function configured(options) {
+            sensor.stopPolling();
+            chip = new SimulatedMPR121();
+            sensor = new MPR121(Object.assign({ interval: 10, i2cBus: createBus({ 0x5A: chip }) }, options));
+            return ready();
+        }
+
+        it('switches on the proximity electrode with its own thresholds and filters', async () => {
+            await configured({ proximity: { electrodes: 12, thresholds: { touch: 10, release: 5 } } });
+
+            assert.strictEqual(chip.registers[ECR], 0x80 | 0x30 | 0x0F);
+            assert.strictEqual(chip.registers[TOUCHTH_0 + 24], 10);
+            assert.strictEqual(chip.registers[RELEASETH_0 + 24], 5);
+            assert.strictEqual(chip.registers[MHDPROXR], 63);
+        });
+
+        it('emits approach and leave', async () => {
+            await configured({ proximity: true });
+            assert.strictEqual(chip.registers[ECR], 0x80 | 0x20 | 0x0F);
+
+            const approached = nextEvent('approach');
+            chip.approach();
+            await approached;
+            assert.strictEqual(sensor.isNear(), true);
+            assert.strictEqual(await sensor.filteredData(12), 680);
+
+            const left = nextEvent('leave');
+            chip.leave();
+            await left;
+            assert.strictEqual(sensor.isNear(), false);
+        });
+
+        it('keeps GPIO pins out of the proximity electrode', async () => {
+            assert.throws(() => new MPR121({ proximity: { electrodes: 12 }, gpioModes: { 11: 'output' } }),
+                /proximity.electrodes 12 would take in the GPIO pins/);
+
+            await configured({ proximity: { electrodes: 12 } });
+            await assert.rejects(sensor.setGpioMode(11, 'output'), /Pin 11 is part of the proximity electrode/);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const mqtt = require('mqtt');
+const MqttBridge = require('../lib/Mqtt');
+const MockMqttBroker = require('../lib/Simulator/mqtt');
+const { FakeMPR121, FakeGoveeApi, createController } = require('./fakes');
+
+const power = (value) => ({ type: 'devices.capabilities.on_off', instance: 'powerSwitch', value });
+const brightness = (value) => ({ type: 'devices.capabilities.range', instance: 'brightness', value });
+const scene = (value) => ({ type: 'devices.capabilities.dynamic_scene', instance: 'lightScene', value });
+
+describe('MqttBridge', () => {
+    let hour;
+    let broker;
+    let sensor;
+    let govee;
+    let controller;
+    let bridge;
+    let observer;
+    let received;
+
+    // Waits for the broker to have routed a message matching the test
+    async function published(test) {
+        for (let i = 0; i < 200; i++) {
+            const message = broker.messages.find(test);
+            if (message) return message;
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        throw new Error('Nothing matching was published');
+    }
+
+    const on = (topic) => (message) => message.topic === topic;
+
+    async function start(config) {
+        controller = createController({ govee, sensor, date: () => new Date(`2025-03-05T${hour}:00:00Z`) });
+        bridge = new MqttBridge(Object.assign({ url: broker.url }, config), { controller, sensor });
+        bridge.errors = [];
+        bridge.on('error', (error) => bridge.errors.push(error.message));
+        bridge.connect();
+        await once(bridge, 'connect');
+    }
+
+    // Another client on the broker, as Home Assistant would be
+    async function watch() {
+        observer = mqtt.connect(broker.url, { clientId: 'observer' });
+        observer.on('message', (topic, payload) => received.push({ topic, payload: payload.toString() }));
+        await once(observer, 'connect');
+        await observer.subscribeAsync('#');
+    }
+
+    beforeEach(async () => {
+        hour = '12';
+        broker = new MockMqttBroker();
+        await broker.listen(0);
+        sensor = new FakeMPR121();
+        govee = new FakeGoveeApi();
+        controller = null;
+        bridge = null;
+        observer = null;
+        received = [];
+    });
+
+    afterEach(async () => {
+        if (controller) controller.stop();
+        if (bridge) await bridge.close();
+        if (observer) await observer.endAsync();
+        await broker.close();
+    });
+
+    it('announces the wall to Home Assistant', async () => {
+        await start();
+
+        assert.strictEqual((await published(on('lightwall/availability'))).payload, 'online');
+        const light = JSON.parse((await published(on('homeassistant/light/lightwall/light/config'))).payload);
+        assert.strictEqual(light.schema, 'json');
+        assert.strictEqual(light.command_topic, 'lightwall/light/set');
+        assert.deepStrictEqual(light.effect_list, ['Aurora', 'Fire']);
+
+        const trigger = JSON.parse((await published(on('homeassistant/device_automation/lightwall/pad_3_touch/config'))).payload);
+        assert.deepStrictEqual([trigger.topic, trigger.payload, trigger.type], ['lightwall/pad/3', 'touch', 'button_short_press']);
+        await published(on('homeassistant/button/lightwall/collection_NIGHT_next/config'));
+
+        // Retained, so Home Assistant gets it all even if it starts after the wall
+        await watch();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.ok(received.some(on('homeassistant/light/lightwall/light/config')));
+        assert.deepStrictEqual(JSON.parse(received.find(on('lightwall/state')).payload),
+            { state: null, brightness: null, effect: null, collections: { NIGHT: { index: null, scene: null } }, countdown: null });
+    });
+
+    it('publishes touches and the state they lead to', async () => {
+        await start({ discovery: false });
+
+        sensor.tap(3);
+        await published((message) => message.topic === 'lightwall/state' && message.payload.includes('"index":0'));
+
+        assert.deepStrictEqual(broker.messages.filter(on('lightwall/pad/3')).map((message) => message.payload), ['touch', 'release']);
+        assert.deepStrictEqual(JSON.parse(broker.messages.filter(on('lightwall/state')).pop().payload).collections,
+            { NIGHT: { index: 0, scene: 'Aurora' } });
+        assert.ok(!broker.messages.some((message) => message.topic.startsWith('homeassistant/')));
+    });
+
+    it('takes commands from Home Assistant', async () => {
+        await start();
+        await watch();
+
+        observer.publish('lightwall/light/set', JSON.stringify({ state: 'ON', brightness: 80, effect: 'Fire' }));
+        await published((message) => message.topic === 'lightwall/state' && message.payload.includes('"effect":"Fire"'));
+        observer.publish('lightwall/command', JSON.stringify({ action: 'collection', collection: 'NIGHT', direction: 'previous' }));
+        await published((message) => message.topic === 'lightwall/state' && message.payload.includes('"index":1'));
+
+        assert.deepStrictEqual(govee.sent, [power(1), brightness(80), scene(102), scene(102)]);
+        assert.strictEqual(JSON.parse(broker.messages.filter(on('lightwall/state')).pop().payload).state, 'ON');
+
+        observer.publish('lightwall/command', JSON.stringify({ action: 'scene', scene: 'Nope' }));
+        observer.publish('lightwall/command', 'on please');
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.strictEqual(bridge.errors.length, 2);
+        assert.strictEqual(govee.sent.length, 4);
+    });
+
+    it('reports what the schedule blocks', async () => {
+        hour = '22';
+        await start();
+
+        sensor.tap(3);
+        const blocked = JSON.parse((await published(on('lightwall/blocked'))).payload);
+        assert.match(blocked.reason, /outside "default" hours/);
+        assert.deepStrictEqual(govee.sent, []);
+    });
+
+    it('is marked offline if it drops off the network', async () => {
+        await start();
+        await published(on('lightwall/availability'));
+
+        broker.drop('govee-lightwall');
+        const offline = await published((message) => message.topic === 'lightwall/availability' && message.payload === 'offline');
+        assert.strictEqual(offline.retain, true);
+
+        // And comes back by itself
+        await once(bridge, 'connect');
+        await published((message, index) => index > broker.messages.indexOf(offline) &&
+            message.topic === 'lightwall/availability' && message.payload === 'online');
+    });
+
+    it('checks its config', () => {
+        assert.throws(() => MqttBridge.validate(Object.assign({}, MqttBridge.DEFAULTS, { url: 'http://broker', topic: 'wall/#' })), (error) => {
+            assert.match(error.message, /^Invalid MQTT config:/);
+            assert.match(error.message, /"url" must be the broker's address/);
+            assert.match(error.message, /"topic" must be a topic without wildcards/);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const axios = require('axios');
+const GoveeApi = require('../lib/GoveeApi');
+const { RequestQueue } = require('../lib/GoveeApi/queue');
+const { MockGoveeServer } = require('../lib/Simulator');
+
+/**
+ * Runs the mocked timers whenever nothing else is going on, until a promise settles
+ * @param {Promise} promise - What to wait for
+ * @returns {Promise} The same outcome
+ */
+async function drive(promise) {
+    let done = false;
+    promise.then(() => (done = true), () => (done = true));
+
+    while (!done) {
+        await new Promise((resolve) => setImmediate(resolve));
+        mock.timers.runAll();
+    }
+    return promise;
+}
+
+describe('RequestQueue', () => {
+    let server;
+    let url;
+    let received;
+    let replies;
+
+    // Answers each request with the next scripted [status, headers], 200 once they run out
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+        received = [];
+        replies = [];
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const [status, headers] = replies.shift() || [200, {}];
+                received.push({ at: Date.now(), body: JSON.parse(body), status });
+                res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+                res.end(JSON.stringify({ code: status }));
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        mock.timers.reset();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    function queue(options) {
+        return new RequestQueue(Object.assign({
+            send: (payload) => axios.post(url, payload, { headers: { Connection: 'close' } })
+        }, options));
+    }
+
+    it('waits as long as a 429 says to', async () => {
+        replies = [[429, { 'Retry-After': '7' }]];
+        const response = await drive(queue().push(null, { n: 1 }));
+
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(received.map(({ at, status }) => [at, status]), [[150, 429], [7150, 200]]);
+    });
+
+    it('backs off exponentially on server errors, then gives up', async () => {
+        replies = [[503, {}], [500, {}], [502, {}]];
+        const rejected = drive(queue({ retry: { retries: 2 } }).push(null, { n: 1 }));
+
+        await assert.rejects(rejected, /status code 502/);
+        assert.deepStrictEqual(received.map(({ at }) => at), [150, 1150, 3150]);
+    });
+
+    it('keeps to the rate limit', async () => {
+        const requests = queue({ rateLimit: { perMinute: 2 }, settleMs: 0 });
+        await drive(Promise.all([1, 2, 3, 4].map((n) => requests.push(null, { n }))));
+
+        assert.deepStrictEqual(received.map(({ at, body }) => [at, body.n]), [[0, 1], [0, 2], [30000, 3], [60000, 4]]);
+    });
+
+    it('only replaces segment commands for the same segments', async () => {
+        const govee = new GoveeApi({ apiKey: 'test', apiUrl: url, deviceSku: 'H6061', deviceId: 'AA:BB' });
+        await drive(Promise.all([
+            govee.setSegmentColors([0, 1], 255, 0, 0),
+            govee.setSegmentColors([5, 6], 0, 0, 255),
+            govee.setSegmentColors([1, 0], 0, 255, 0)
+        ]));
+
+        assert.deepStrictEqual(received.map(({ body }) => body.payload.capability.value),
+            [{ segment: [5, 6], rgb: 0x0000FF }, { segment: [1, 0], rgb: 0x00FF00 }]);
+    });
+
+    it('sends a replaced command after the ones queued before it', async () => {
+        const light = new MockGoveeServer();
+        const govee = new GoveeApi({
+            apiKey: 'test',
+            apiUrl: await light.listen(0),
+            deviceSku: light.device.sku,
+            deviceId: light.device.device
+        });
+
+        try {
+            await drive(Promise.all([govee.setPower('on'), govee.setScene(101), govee.setPower('off')]));
+
+            assert.deepStrictEqual(light.commands.map(({ instance, value }) => [instance, value]),
+                [['lightScene', 101], ['powerSwitch', 0]]);
+            assert.strictEqual(light.state.powerSwitch, 0);
+        } finally {
+            await light.close();
+        }
+    });
+});
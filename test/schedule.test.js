@@ -0,0 +1,138 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Schedule = require('../lib/Schedule');
+
+const DAYTIME = [{ days: 'daily', start: '08:00', end: '20:00' }];
+
+function check(config, actionClass, iso) {
+    return new Schedule(config).check(actionClass, new Date(iso));
+}
+
+describe('Schedule', () => {
+    it('allows from the start of a window up to, but not including, its end', () => {
+        const config = { timezone: 'UTC', rules: { default: DAYTIME } };
+
+        assert.strictEqual(check(config, 'scene', '2025-03-05T07:59:59Z').allowed, false);
+        assert.strictEqual(check(config, 'scene', '2025-03-05T08:00:00Z').allowed, true);
+        assert.strictEqual(check(config, 'scene', '2025-03-05T19:59:59Z').allowed, true);
+        assert.strictEqual(check(config, 'scene', '2025-03-05T20:00:00Z').allowed, false);
+    });
+
+    it('checks windows in the configured timezone', () => {
+        const config = { timezone: 'America/New_York', rules: { default: DAYTIME } };
+
+        // 12:30 UTC is 07:30 in New York in winter and 08:30 in summer
+        assert.strictEqual(check(config, 'scene', '2025-01-15T12:30:00Z').allowed, false);
+        assert.strictEqual(check(config, 'scene', '2025-07-15T12:30:00Z').allowed, true);
+    });
+
+    it('runs windows that end before they start past midnight', () => {
+        const config = { timezone: 'UTC', rules: { default: [{ days: 'daily', start: '22:00', end: '02:00' }] } };
+
+        assert.strictEqual(check(config, 'scene', '2025-03-05T23:00:00Z').allowed, true);
+        assert.strictEqual(check(config, 'scene', '2025-03-05T01:59:00Z').allowed, true);
+        assert.strictEqual(check(config, 'scene', '2025-03-05T02:00:00Z').allowed, false);
+    });
+
+    it('falls back to the default rule and honors always and never', () => {
+        const config = { timezone: 'UTC', rules: { off: 'always', party: 'never', default: DAYTIME } };
+
+        assert.strictEqual(check(config, 'off', '2025-03-05T03:00:00Z').allowed, true);
+        assert.strictEqual(check(config, 'party', '2025-03-05T12:00:00Z').allowed, false);
+        assert.strictEqual(check(config, 'brightness', '2025-03-05T12:00:00Z').allowed, true);
+    });
+
+    it('says why an action was blocked', () => {
+        const config = { timezone: 'UTC', rules: { default: DAYTIME } };
+
+        assert.match(check(config, 'scene', '2025-03-05T20:00:00Z').reason, /outside "default" hours 08:00-20:00 daily/);
+    });
+
+    it('blocks everything but always classes in quiet windows', () => {
+        const config = {
+            timezone: 'UTC',
+            rules: { off: 'always', default: DAYTIME },
+            quiet: [{ days: 'daily', start: '13:00', end: '15:00', name: 'nap time' }]
+        };
+
+        assert.strictEqual(check(config, 'scene', '2025-03-05T14:00:00Z').allowed, false);
+        assert.strictEqual(check(config, 'off', '2025-03-05T14:00:00Z').allowed, true);
+    });
+
+    it('works out the brightness limits for the time of day', () => {
+        const schedule = new Schedule({
+            timezone: 'UTC',
+            rules: { default: DAYTIME },
+            brightnessLimits: [
+                { days: 'daily', start: '19:00', end: '07:00', max: 40, name: 'evening' },
+                { days: 'daily', start: '23:00', end: '06:00', max: 10 },
+                { days: 'weekdays', start: '07:00', end: '09:00', min: 30 }
+            ]
+        });
+
+        assert.deepStrictEqual(schedule.brightnessLimits(new Date('2025-03-05T12:00:00Z')), { min: 1, max: 100, reason: null });
+        assert.deepStrictEqual(schedule.brightnessLimits(new Date('2025-03-05T19:00:00Z')),
+            { min: 1, max: 40, reason: 'brightness limits "evening"' });
+        assert.strictEqual(schedule.brightnessLimits(new Date('2025-03-06T01:00:00Z')).max, 10);
+        assert.strictEqual(schedule.brightnessLimits(new Date('2025-03-05T08:00:00Z')).min, 30);
+        assert.strictEqual(schedule.brightnessLimits(new Date('2025-03-08T08:00:00Z')).min, 1);
+    });
+
+    it('rejects brightness limits that make no sense', () => {
+        assert.throws(() => new Schedule({
+            rules: { default: DAYTIME },
+            brightnessLimits: [
+                { days: 'daily', start: '19:00', end: '07:00' },
+                { days: 'daily', start: '19:00', end: '07:00', min: 50, max: 40 },
+                { days: 'daily', start: '19:00', end: '07:00', max: 0 }
+            ]
+        }), (error) => {
+            assert.match(error.message, /brightnessLimits\[0\]: needs a "min", a "max" or both/);
+            assert.match(error.message, /brightnessLimits\[1\]: "min" must not be above "max"/);
+            assert.match(error.message, /brightnessLimits\[2\]: "max" must be an integer between 1 and 100/);
+            return true;
+        });
+    });
+
+    it('says when each collection\'s scenes are on offer', () => {
+        const schedule = new Schedule({
+            timezone: 'UTC',
+            rules: { default: DAYTIME },
+            sceneRules: {
+                HOLIDAY: [{ months: ['dec'] }],
+                FUN: [{ start: '08:00', end: '18:00' }],
+                SPOOKY: [{ days: 'weekends', start: '18:00', end: '24:00', months: ['oct'] }],
+                OLD: 'never'
+            }
+        });
+
+        assert.deepStrictEqual(schedule.sceneRule('HOLIDAY', new Date('2025-12-01T03:00:00Z')), { allowed: true, reason: null });
+        assert.deepStrictEqual(schedule.sceneRule('HOLIDAY', new Date('2025-07-04T12:00:00Z')),
+            { allowed: false, reason: '"HOLIDAY" scenes are only on offer in dec' });
+        assert.strictEqual(schedule.sceneRule('FUN', new Date('2025-07-04T19:00:00Z')).reason, '"FUN" scenes are only on offer 08:00-18:00');
+        assert.strictEqual(schedule.sceneRule('SPOOKY', new Date('2025-10-25T20:00:00Z')).allowed, true);
+        assert.strictEqual(schedule.sceneRule('SPOOKY', new Date('2025-10-22T20:00:00Z')).allowed, false);
+        assert.strictEqual(schedule.sceneRule('OLD').allowed, false);
+        assert.strictEqual(schedule.sceneRule('NIGHT').allowed, true);
+
+        assert.throws(() => new Schedule({ rules: { default: DAYTIME }, sceneRules: { HOLIDAY: [{ months: ['december'] }] } }),
+            /sceneRules\.HOLIDAY\[0\]: "months" must be a list of jan/);
+    });
+
+    it('rejects a config without a default rule', () => {
+        assert.throws(() => new Schedule({ rules: { off: 'always' } }), /default/);
+    });
+
+    it('lists every bad exception', () => {
+        assert.throws(() => new Schedule({ rules: { default: DAYTIME }, exceptions: [null, 5, { date: 'xmas' }] }), (error) => {
+            assert.match(error.message, /exceptions\[0\] must be an object with a "date"/);
+            assert.match(error.message, /exceptions\[1\] must be an object with a "date"/);
+            assert.match(error.message, /exceptions\[2\]: "date" must look like "2025-12-25"/);
+            return true;
+        });
+        assert.throws(() => new Schedule({ rules: { default: DAYTIME }, exceptions: { date: '2025-12-25' } }),
+            /"exceptions" must be a list of dates/);
+    });
+});
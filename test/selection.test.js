@@ -0,0 +1,30 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SceneSelector = require('../lib/Controller/selection');
+
+describe('SceneSelector', () => {
+    const SCENES = ['Aurora', 'Fire', 'Moonlight'];
+
+    it('shuffles through every scene before repeating one', () => {
+        const selector = new SceneSelector({ random: () => 0 });
+        const picks = [];
+        for (let i = 0; i < 4; i++) {
+            picks.push(selector.pick('NIGHT', SCENES, { strategy: 'shuffle' }));
+            selector.shown(picks[i]);
+        }
+
+        assert.deepStrictEqual(picks, ['Aurora', 'Fire', 'Moonlight', 'Aurora']);
+    });
+
+    it('starts a new shuffle after a reset', () => {
+        const selector = new SceneSelector({ random: () => 0 });
+        selector.pick('NIGHT', SCENES, { strategy: 'shuffle', avoidRecent: 0 });
+        selector.pick('FUN', SCENES, { strategy: 'shuffle', avoidRecent: 0 });
+        selector.reset('NIGHT');
+
+        assert.strictEqual(selector.pick('NIGHT', SCENES, { strategy: 'shuffle', avoidRecent: 0 }), 'Aurora');
+        assert.strictEqual(selector.pick('FUN', SCENES, { strategy: 'shuffle', avoidRecent: 0 }), 'Fire');
+    });
+});
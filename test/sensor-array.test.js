@@ -0,0 +1,122 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SensorArray = require('../lib/SensorArray');
+const PadMappings = require('../lib/PadMappings');
+const { createBoards } = require('../lib/Simulator');
+
+const TOUCHTH_0 = 0x41;
+
+const BOARDS = { pollInterval: 10, boards: { b1: { address: '0x5A' }, b2: { address: '0x5B', thresholds: { touch: 30, release: 15 } } } };
+
+describe('SensorArray', () => {
+    describe('pad IDs', () => {
+        it('parses board:pin IDs, or plain pins for a single board', () => {
+            assert.deepStrictEqual(SensorArray.parsePadId('b2:11', ['b1', 'b2']), { board: 'b2', pin: 11 });
+            assert.deepStrictEqual(SensorArray.parsePadId('3', null), { board: null, pin: 3 });
+            assert.strictEqual(SensorArray.parsePadId('b3:1', ['b1', 'b2']), null);
+            assert.strictEqual(SensorArray.parsePadId('b1:12', ['b1', 'b2']), null);
+            assert.strictEqual(SensorArray.parsePadId('3', ['b1', 'b2']), null);
+            assert.strictEqual(SensorArray.parsePadId('b1:3', null), null);
+        });
+
+        it('lists every problem with the boards', () => {
+            const options = { boards: { b1: { address: 0x5A }, b2: { address: '0x5A' }, '3rd': { address: 0x5C, thresholds: { touch: 300 } }, b4: {} } };
+
+            assert.throws(() => SensorArray.resolveBoards(options), (error) => {
+                assert.match(error.message, /^Invalid sensor boards:/);
+                assert.match(error.message, /b2: address "0x5A" is already used by b1/);
+                assert.match(error.message, /board "3rd": names start with a letter/);
+                assert.match(error.message, /3rd: thresholds.touch/);
+                assert.match(error.message, /b4: needs an address/);
+                return true;
+            });
+        });
+
+        it('applies shared options to every board', () => {
+            const boards = SensorArray.resolveBoards(BOARDS);
+
+            assert.strictEqual(boards.b1.address, 0x5A);
+            assert.strictEqual(boards.b1.pollInterval, 10);
+            assert.deepStrictEqual(boards.b2.thresholds, { touch: 30, release: 15 });
+            assert.strictEqual(SensorArray.resolveBoards({ pollInterval: 10 }), null);
+        });
+    });
+
+    describe('boards', () => {
+        let simulated;
+        let sensor;
+
+        function ready() {
+            return new Promise((resolve, reject) => {
+                sensor.once('ready', resolve);
+                sensor.once('error', reject);
+            });
+        }
+
+        beforeEach(() => {
+            simulated = createBoards();
+            sensor = SensorArray.create(BOARDS, simulated.connect);
+        });
+
+        afterEach(() => sensor.stopPolling());
+
+        it('reports touches with pad IDs', async () => {
+            await ready();
+            const touches = [];
+            sensor.on('touch', (pad) => touches.push(pad));
+
+            simulated.chips.get('b1').touch(3);
+            await new Promise((resolve) => sensor.once('touch', resolve));
+            simulated.chips.get('b2').touch(3);
+            await new Promise((resolve) => sensor.once('touch', resolve));
+
+            assert.deepStrictEqual(touches, ['b1:3', 'b2:3']);
+            assert.strictEqual(sensor.isTouched('b2:3'), true);
+            assert.strictEqual(sensor.isTouched('b1:4'), false);
+        });
+
+        it('routes settings to the right board', async () => {
+            await ready();
+            const changed = [];
+            sensor.on('thresholds', (...args) => changed.push(args));
+            await sensor.setPinThresholds('b2:1', 60, 30);
+
+            assert.strictEqual(simulated.chips.get('b2').registers[TOUCHTH_0 + 2], 60);
+            assert.strictEqual(simulated.chips.get('b1').registers[TOUCHTH_0 + 2], 25);
+            assert.strictEqual(simulated.chips.get('b2').registers[TOUCHTH_0], 30);
+            await assert.rejects(sensor.setPinThresholds('b3:1', 60, 30), /Unknown pad "b3:1"/);
+            assert.deepStrictEqual(changed, [['b2:1', 60, 30]]);
+        });
+
+        it('reports errors per board', async () => {
+            await ready();
+            const errors = [];
+            sensor.on('error', (error, board) => errors.push(board));
+
+            simulated.chips.get('b2').disconnect();
+            await new Promise((resolve) => sensor.once('error', resolve));
+
+            assert.deepStrictEqual(errors, ['b2']);
+            assert.strictEqual(sensor.ready, false);
+            assert.deepStrictEqual(sensor.status().map((board) => [board.board, board.ready, board.error !== null]),
+                [['b1', true, false], ['b2', false, true]]);
+        });
+    });
+
+    it('lets a mapping span the boards', () => {
+        const pads = {
+            pins: { 'b1:0': { action: 'power', value: 'on' }, 'b2:0': { action: 'power', value: 'off' } },
+            debounce: { pins: { 'b2:0': 50 } },
+            indicators: { power: 'b2:11' }
+        };
+        const mappings = PadMappings.validateMappings(pads, {}, { boards: ['b1', 'b2'] });
+
+        assert.deepStrictEqual(Object.keys(mappings.pins), ['b1:0', 'b2:0']);
+        assert.deepStrictEqual(mappings.debounce.windows, { 'b2:0': 50 });
+        assert.deepStrictEqual(mappings.indicators, { power: 'b2:11' });
+        assert.throws(() => PadMappings.validateMappings({ pins: { 3: { action: 'power', value: 'on' } } }, {}, { boards: ['b1', 'b2'] }),
+            /pin "3" is not a valid pad \(expected board:pin with a board of b1, b2/);
+    });
+});
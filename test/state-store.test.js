@@ -0,0 +1,111 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StateStore = require('../lib/StateStore');
+const { FakeMPR121, createController, settle } = require('./fakes');
+
+describe('StateStore', () => {
+    let dir;
+    let file;
+    let controllers;
+
+    function controller(sensor) {
+        const created = createController({ sensor, schedule: { timezone: 'UTC', rules: { default: 'always' } } });
+        controllers.push(created);
+        return created;
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+        file = path.join(dir, 'state.json');
+        controllers = [];
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        mock.timers.reset();
+        controllers.forEach((created) => created.stop());
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('saves the controller state for the next run', async () => {
+        const sensor = new FakeMPR121();
+        const saving = new StateStore({ file }).attach(controller(sensor));
+
+        sensor.tap(0);
+        await settle();
+        sensor.tap(4);
+        await settle();
+        await saving.flush();
+
+        assert.deepStrictEqual(fs.readdirSync(dir), ['state.json']);
+
+        const store = new StateStore({ file }).load();
+        assert.deepStrictEqual(store.get('controller'), { power: 'on', brightness: null, scene: 'Aurora', collections: { NIGHT: 'Aurora' } });
+
+        const next = controller();
+        next.restore(store.get('controller'));
+        assert.strictEqual(next.collectionIndices.NIGHT, 0);
+    });
+
+    it('gathers changes into one write', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const renames = mock.method(fs.promises, 'rename');
+        const store = new StateStore({ file });
+
+        store.set('controller', { power: 'on' });
+        store.set('controller', { power: 'off' });
+        store.set('other', 1);
+        mock.timers.tick(999);
+        assert.strictEqual(fs.existsSync(file), false);
+
+        mock.timers.tick(1);
+        await store.writing;
+        assert.strictEqual(renames.mock.callCount(), 1);
+        assert.deepStrictEqual(new StateStore({ file }).load().sections, { controller: { power: 'off' }, other: 1 });
+    });
+
+    it('saves thresholds changed at runtime', async () => {
+        const sensor = new EventEmitter();
+        const store = new StateStore({ file }).attachSensor(sensor);
+
+        sensor.emit('thresholds', '3', 40, 20);
+        sensor.emit('thresholds', '5', 30, 15);
+        sensor.emit('thresholds', '3', 50, 25);
+        await store.flush();
+
+        assert.deepStrictEqual(new StateStore({ file }).load().get('thresholds'), {
+            3: { touch: 50, release: 25 },
+            5: { touch: 30, release: 15 }
+        });
+    });
+
+    it('starts afresh from a file it can\'t read', async () => {
+        fs.writeFileSync(file, '{ "version": 1, "sections": {');
+        const store = new StateStore({ file });
+        const errors = [];
+        store.on('error', (error) => errors.push(error.message));
+        assert.strictEqual(store.load().get('controller'), undefined);
+        assert.match(errors[0], /^Ignoring unreadable state file/);
+
+        store.set('controller', { power: 'off' });
+        await store.flush();
+        assert.deepStrictEqual(new StateStore({ file }).load().get('controller'), { power: 'off' });
+    });
+
+    it('reports a file it can\'t write, and keeps going', async () => {
+        const store = new StateStore({ file: path.join(dir, 'missing', 'state.json') });
+        const errors = [];
+        store.on('error', (error) => errors.push(error.message));
+
+        store.set('controller', { power: 'on' });
+        await store.flush();
+        assert.strictEqual(errors.length, 1);
+        assert.deepStrictEqual(store.get('controller'), { power: 'on' });
+    });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const TransitionEngine = require('../lib/Transitions');
+const { settle } = require('./fakes');
+
+describe('TransitionEngine', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('takes half the rate limit, and always at least one step', () => {
+        const transitions = new TransitionEngine({ rateLimit: { perMinute: 10 } });
+
+        assert.strictEqual(transitions.steps(60000), 5);
+        assert.strictEqual(transitions.steps(60000, 2), 2);
+        assert.strictEqual(transitions.steps(600000), 50);
+        assert.strictEqual(transitions.steps(2000), 1);
+    });
+
+    it('runs its steps evenly until a new transition takes over', async () => {
+        const transitions = new TransitionEngine();
+        const steps = [];
+
+        const first = transitions.run(4, 40000, (fraction) => steps.push(['first', fraction]));
+        for (let i = 0; i < 3; i++) {
+            mock.timers.tick(10000);
+            await settle();
+        }
+
+        const second = transitions.run(2, 1000, (fraction) => steps.push(['second', fraction]));
+        assert.strictEqual(await first, false);
+        for (let i = 0; i < 2; i++) {
+            mock.timers.tick(500);
+            await settle();
+        }
+
+        assert.strictEqual(await second, true);
+        assert.deepStrictEqual(steps, [['first', 0.25], ['first', 0.5], ['first', 0.75], ['second', 0.5], ['second', 1]]);
+        assert.strictEqual(transitions.running, false);
+    });
+
+    it('keeps to time when steps are slow to send', async () => {
+        const transitions = new TransitionEngine();
+        const times = [];
+
+        // Each step takes 3 seconds to go through
+        const done = transitions.run(3, 30000, () => {
+            times.push(Date.now());
+            return new Promise((resolve) => setTimeout(resolve, 3000));
+        });
+        const start = Date.now();
+        for (let i = 0; i < 40; i++) {
+            mock.timers.tick(1000);
+            await settle();
+        }
+
+        assert.strictEqual(await done, true);
+        assert.deepStrictEqual(times.map((time) => time - start), [10000, 20000, 30000]);
+    });
+});